@@ -1,18 +1,61 @@
 // ai-api-manager.js
-// Shared AI API Module for Claude and OpenAI (ES6)
+// Shared AI API Module - dispatches to pluggable provider adapters (ES6)
+
+import { defaultProviderRegistry } from './ai-provider-registry.js';
+import { RetryPolicy, RateLimiter, sleep } from './ai-request-policy.js';
+import { StructuredOutputError, checkStructuredContent } from './structured-output.js';
+import { SectionParser } from './section-parser.js';
 
 export class AIAPIManager {
     constructor(config = {}) {
-        this.provider = config.provider || 'claude'; // 'claude', 'openai', or 'manual'
-        this.apiKey = config.apiKey || null;
-        this.proxyUrl = config.proxyUrl || null;
+        this.initialConfig = config; // Settings a configuration without its own starts from (see bindStorage)
         this.storageKey = config.storageKey || 'ai_api_config';
-        this.defaultModel = config.defaultModel || null;
+        this.registry = config.registry || defaultProviderRegistry;
+        this.resetSettings();
+        
+        // Retry and rate limiting
+        this.retryCallback = config.onRetry || null;
+        this.limiters = new Map();
+        
+        // Fallback chain: [{ provider, model, apiKey, proxyUrl, baseUrl }] tried in order after the primary
+        this.fallbackOn = config.fallbackOn || ['network', 'server', 'quota', 'rate_limit', 'config'];
+        this.fallbackCallback = config.onFallback || null;
+        
+        // Usage tracking (optional UsageLedger) - agent name tags every entry
+        this.usageLedger = config.usageLedger || null;
+        this.agent = config.agent || null;
+        
+        // Optional CredentialVault - API keys are then stored encrypted
+        this.vault = config.vault || null;
         
         // Load from storage on init
         this.loadFromStorage();
     }
     
+    // Saved settings as passed to the constructor
+    resetSettings() {
+        const config = this.initialConfig;
+        this.provider = config.provider || 'claude'; // Any registered provider id, or 'manual'
+        this.apiKey = config.apiKey || null;
+        this.proxyUrl = config.proxyUrl || null;
+        this.baseUrl = config.baseUrl || null; // For OpenAI-compatible servers
+        this.defaultModel = config.defaultModel || null;
+        this.outputMode = config.outputMode || 'structured'; // 'structured' (JSON schema) or 'prefix' (legacy TITLE: lines)
+        this.autoRegenerate = config.autoRegenerate || false; // Ask again for missing/invalid sections
+        this.batchConcurrency = config.batchConcurrency || 1; // Posts generated at once in a batch
+        this.retryConfig = { maxAttempts: 4, ...(config.retry || {}) };
+        this.rateLimits = config.rateLimits || {}; // { [providerId]: { maxConcurrent, requestsPerMinute } }
+        this.fallbackChain = config.fallbackChain || [];
+    }
+    
+    // Use another saved configuration (e.g. a workspace profile's)
+    bindStorage(storageKey) {
+        this.storageKey = storageKey;
+        this.resetSettings();
+        this.limiters = new Map();
+        return this.loadFromStorage();
+    }
+    
     // Load configuration from localStorage
     loadFromStorage() {
         try {
@@ -22,7 +65,17 @@ export class AIAPIManager {
                 this.provider = data.provider || this.provider;
                 this.apiKey = data.apiKey || this.apiKey;
                 this.proxyUrl = data.proxyUrl || this.proxyUrl;
+                this.baseUrl = data.baseUrl || this.baseUrl;
                 this.defaultModel = data.defaultModel || this.defaultModel;
+                this.outputMode = data.outputMode || this.outputMode;
+                this.autoRegenerate = data.autoRegenerate ?? this.autoRegenerate;
+                this.batchConcurrency = data.batchConcurrency || this.batchConcurrency;
+                this.retryConfig = { ...this.retryConfig, ...(data.retry || {}) };
+                this.rateLimits = { ...this.rateLimits, ...(data.rateLimits || {}) };
+                this.fallbackChain = data.fallbackChain || this.fallbackChain;
+                if (this.vault && this.vault.isUnlocked()) {
+                    this.applySecrets(this.vault.getSecrets(this.storageKey));
+                }
                 return true;
             }
         } catch (error) {
@@ -38,8 +91,25 @@ export class AIAPIManager {
                 provider: this.provider,
                 apiKey: this.apiKey,
                 proxyUrl: this.proxyUrl,
-                defaultModel: this.defaultModel
+                baseUrl: this.baseUrl,
+                defaultModel: this.defaultModel,
+                outputMode: this.outputMode,
+                autoRegenerate: this.autoRegenerate,
+                batchConcurrency: this.batchConcurrency,
+                retry: this.retryConfig,
+                rateLimits: this.rateLimits,
+                fallbackChain: this.fallbackChain
             };
+            
+            // With a vault the keys are stored encrypted; while it is locked the saved copies stay as they are
+            if (this.vault && this.vault.isInitialized()) {
+                if (this.vault.isUnlocked()) {
+                    this.vault.setSecrets(this.storageKey, this.getSecrets());
+                }
+                delete data.apiKey;
+                data.fallbackChain = this.fallbackChain.map(({ apiKey, ...entry }) => entry);
+            }
+            
             localStorage.setItem(this.storageKey, JSON.stringify(data));
             return true;
         } catch (error) {
@@ -48,188 +118,658 @@ export class AIAPIManager {
         }
     }
     
+    // Values that belong in the vault
+    getSecrets() {
+        return {
+            apiKey: this.apiKey,
+            fallbackApiKeys: this.fallbackChain.map(entry => entry.apiKey || null)
+        };
+    }
+    
+    // Restore API keys read from the vault
+    applySecrets(secrets) {
+        this.apiKey = secrets.apiKey || this.apiKey;
+        const fallbackApiKeys = secrets.fallbackApiKeys || [];
+        this.fallbackChain = this.fallbackChain.map((entry, index) => ({
+            ...entry,
+            apiKey: fallbackApiKeys[index] || entry.apiKey || null
+        }));
+    }
+    
+    // Drop API keys from memory (when the vault locks)
+    clearSecrets() {
+        this.apiKey = null;
+        this.fallbackChain = this.fallbackChain.map(entry => ({ ...entry, apiKey: null }));
+    }
+    
     // Update configuration
     updateConfig(config) {
         if (config.provider) this.provider = config.provider;
         if (config.apiKey !== undefined) this.apiKey = config.apiKey;
         if (config.proxyUrl !== undefined) this.proxyUrl = config.proxyUrl;
+        if (config.baseUrl !== undefined) this.baseUrl = config.baseUrl;
         if (config.defaultModel !== undefined) this.defaultModel = config.defaultModel;
+        if (config.outputMode) this.outputMode = config.outputMode;
+        if (config.autoRegenerate !== undefined) this.autoRegenerate = !!config.autoRegenerate;
+        if (config.batchConcurrency) this.batchConcurrency = Math.max(1, parseInt(config.batchConcurrency, 10) || 1);
+        if (config.fallbackChain !== undefined) this.fallbackChain = config.fallbackChain || [];
+        if (config.retry) this.retryConfig = { ...this.retryConfig, ...config.retry };
+        if (config.rateLimits) {
+            this.rateLimits = { ...this.rateLimits, ...config.rateLimits };
+            for (const [providerId, limits] of Object.entries(config.rateLimits)) {
+                if (this.limiters.has(providerId)) {
+                    this.limiters.get(providerId).configure(limits);
+                }
+            }
+        }
         this.saveToStorage();
     }
     
-    // Generate content using the configured AI provider
-    async generateContent(systemPrompt, userPrompt, options = {}) {
-        if (this.provider === 'manual') {
+    // Get the retry policy built from the current configuration
+    getRetryPolicy() {
+        return new RetryPolicy(this.retryConfig);
+    }
+    
+    // Get (or create) the rate limiter shared by all calls to one provider
+    getLimiter(providerId = this.provider) {
+        if (!this.limiters.has(providerId)) {
+            this.limiters.set(providerId, new RateLimiter(this.getRateLimits(providerId)));
+        }
+        return this.limiters.get(providerId);
+    }
+    
+    // Rate limits for a provider (falls back to the 'default' entry)
+    getRateLimits(providerId = this.provider) {
+        return {
+            maxConcurrent: 2,
+            requestsPerMinute: 0,
+            ...(this.rateLimits.default || {}),
+            ...(this.rateLimits[providerId] || {})
+        };
+    }
+    
+    // Report a retry to the console and the registered callback
+    notifyRetry(providerId, info) {
+        const seconds = (info.delay / 1000).toFixed(1);
+        console.warn(`AI API retry (${providerId}) ${info.nextAttempt}/${info.maxAttempts} in ${seconds}s:`, info.error.message);
+        
+        if (this.retryCallback) {
+            this.retryCallback({ provider: providerId, ...info });
+        }
+    }
+    
+    // List registered providers (for UI dropdowns)
+    getProviders() {
+        return this.registry.list();
+    }
+    
+    // Get the adapter for a provider id (defaults to the configured provider)
+    getAdapter(providerId = this.provider) {
+        if (providerId === 'manual') {
             throw new Error('Manual mode selected - AI generation not available');
         }
         
-        if (!this.apiKey) {
-            throw new Error(`API key not configured for ${this.provider}`);
+        const adapter = this.registry.get(providerId);
+        if (!adapter) {
+            throw new Error(`Unknown AI provider: ${providerId}`);
         }
+        return adapter;
+    }
+    
+    // Settings passed to adapters when building requests
+    getSettings() {
+        return {
+            apiKey: this.apiKey,
+            proxyUrl: this.proxyUrl,
+            baseUrl: this.baseUrl
+        };
+    }
+    
+    // Ordered provider configs to try: the primary config, then the fallback chain
+    getProviderChain(options = {}) {
+        const primary = {
+            provider: this.provider,
+            model: options.model || this.defaultModel,
+            ...this.getSettings()
+        };
+        
+        const fallbacks = this.fallbackChain
+            .filter(entry => entry && entry.provider && entry.provider !== 'manual')
+            .map(entry => {
+                // Entries for the primary provider reuse its credentials unless they bring their own
+                const sameProvider = entry.provider === this.provider;
+                return {
+                    provider: entry.provider,
+                    model: entry.model || null,
+                    apiKey: entry.apiKey || (sameProvider ? this.apiKey : null),
+                    proxyUrl: entry.proxyUrl || (sameProvider ? this.proxyUrl : null),
+                    baseUrl: entry.baseUrl || (sameProvider ? this.baseUrl : null)
+                };
+            });
+        
+        return [primary, ...fallbacks];
+    }
+    
+    // Decide whether an error should hand the request to the next provider in the chain
+    shouldFallback(error) {
+        if (!error || error.name === 'AbortError') return false;
+        return this.fallbackOn.includes(error.category);
+    }
+    
+    // Report a fallback to the console and the registered callback
+    notifyFallback(from, to, error) {
+        console.warn(`AI API fallback: ${from.provider} -> ${to.provider}:`, error.message);
+        
+        if (this.fallbackCallback) {
+            this.fallbackCallback({ from: from, to: to, error: error });
+        }
+    }
+    
+    // Record token usage for a completed request in the ledger (if one is attached)
+    // options.usageContext = { postId, agent } ties the entry to a post
+    recordUsage(providerId, model, usage, options = {}) {
+        if (!this.usageLedger) return null;
+        
+        const tokens = this.getAdapter(providerId).normalizeUsage(usage);
+        const context = options.usageContext || {};
         
         try {
-            if (this.provider === 'claude') {
-                return await this.callClaudeAPI(systemPrompt, userPrompt, options);
-            } else if (this.provider === 'openai') {
-                return await this.callOpenAIAPI(systemPrompt, userPrompt, options);
-            } else {
-                throw new Error(`Unknown AI provider: ${this.provider}`);
+            return this.usageLedger.record({
+                provider: providerId,
+                model: model,
+                agent: context.agent || this.agent,
+                postId: context.postId || null,
+                promptTokens: tokens.promptTokens,
+                completionTokens: tokens.completionTokens
+            });
+        } catch (error) {
+            console.error('Error recording AI usage:', error);
+            return null;
+        }
+    }
+    
+    // Normalize prompt + options into the request shape adapters expect
+    buildRequestContext(adapter, systemPrompt, messages, options = {}, target = null) {
+        const model = target ? target.model : options.model || this.defaultModel;
+        
+        return {
+            systemPrompt: systemPrompt,
+            messages: messages,
+            model: model || adapter.defaultModel,
+            maxTokens: options.maxTokens || 1000,
+            temperature: options.temperature || 0.7,
+            stream: !!options.stream,
+            responseSchema: options.responseSchema || null
+        };
+    }
+    
+    // Generate content using the configured AI provider
+    async generateContent(systemPrompt, userPrompt, options = {}) {
+        return this.sendMessages(systemPrompt, [{ role: 'user', content: userPrompt }], options);
+    }
+    
+    // Send a full message list ({ role, content }), falling back along the provider chain
+    async sendMessages(systemPrompt, messages, options = {}) {
+        this.getAdapter(); // Fail fast on manual mode / unknown primary provider
+        const chain = this.getProviderChain(options);
+        
+        for (let i = 0; i < chain.length; i++) {
+            const target = chain[i];
+            
+            try {
+                const result = await this.sendToTarget(target, systemPrompt, messages, options);
+                this.recordUsage(target.provider, result.model, result.usage, options);
+                return { ...result, provider: target.provider, fallbackIndex: i };
+            } catch (error) {
+                const next = chain[i + 1];
+                if (!next || !this.shouldFallback(error)) {
+                    console.error(`AI API error (${target.provider}):`, error);
+                    throw error;
+                }
+                this.notifyFallback(target, next, error);
+            }
+        }
+    }
+    
+    // Send to one provider config with retries and rate limiting
+    async sendToTarget(target, systemPrompt, messages, options = {}) {
+        const adapter = this.getAdapter(target.provider);
+        const limiter = this.getLimiter(adapter.id);
+        
+        return this.getRetryPolicy().execute(
+            () => limiter.schedule(() => this.callProvider(adapter, systemPrompt, messages, options, target), options.signal),
+            {
+                signal: options.signal,
+                onRetry: (info) => this.notifyRetry(adapter.id, info)
             }
+        );
+    }
+    
+    // Make a single non-streaming request through an adapter
+    async callProvider(adapter, systemPrompt, messages, options = {}, target = null) {
+        const settings = target || this.getSettings();
+        this.validateTarget(adapter, settings);
+        
+        const request = this.buildRequestContext(adapter, systemPrompt, messages, { ...options, stream: false }, target);
+        const { url, init } = adapter.buildRequest(settings, request);
+        
+        let response;
+        try {
+            response = await fetch(url, { ...init, signal: options.signal });
+        } catch (error) {
+            throw adapter.mapNetworkError(error, settings);
+        }
+        
+        if (!response.ok) {
+            throw await adapter.mapError(response);
+        }
+        
+        const data = await response.json();
+        
+        return {
+            ...adapter.parseResponse(data, request),
+            raw: data
+        };
+    }
+    
+    // Validate settings, tagging failures so a misconfigured fallback is skipped rather than fatal
+    validateTarget(adapter, settings) {
+        try {
+            adapter.validateSettings(settings);
         } catch (error) {
-            console.error(`AI API error (${this.provider}):`, error);
+            error.category = 'config';
             throw error;
         }
     }
     
-    // Call Claude API
-    async callClaudeAPI(systemPrompt, userPrompt, options = {}) {
-        const model = options.model || this.defaultModel || 'claude-3-opus-20240229';
-        const maxTokens = options.maxTokens || 1000;
-        const temperature = options.temperature || 0.7;
+    // Stream content from the configured AI provider
+    // Yields { type: 'delta', text } chunks, then a final { type: 'done', content, usage, model, provider }
+    async *generateContentStream(systemPrompt, userPrompt, options = {}) {
+        yield* this.streamMessages(systemPrompt, [{ role: 'user', content: userPrompt }], options);
+    }
+    
+    // Stream a full message list, falling back along the provider chain until output starts
+    async *streamMessages(systemPrompt, messages, options = {}) {
+        this.getAdapter(); // Fail fast on manual mode / unknown primary provider
+        const chain = this.getProviderChain(options);
         
-        if (!this.proxyUrl) {
-            throw new Error('Cloudflare Worker URL not configured for Claude API');
+        for (let i = 0; i < chain.length; i++) {
+            const target = chain[i];
+            let receivedOutput = false;
+            
+            try {
+                for await (const chunk of this.streamToTarget(target, systemPrompt, messages, options)) {
+                    receivedOutput = true;
+                    if (chunk.type === 'done') {
+                        this.recordUsage(target.provider, chunk.model, chunk.usage, options);
+                    }
+                    yield chunk.type === 'done'
+                        ? { ...chunk, provider: target.provider, fallbackIndex: i }
+                        : chunk;
+                }
+                return;
+            } catch (error) {
+                const next = chain[i + 1];
+                if (receivedOutput || !next || !this.shouldFallback(error)) {
+                    if (error.name !== 'AbortError') {
+                        console.error(`AI streaming error (${target.provider}):`, error);
+                    }
+                    throw error;
+                }
+                this.notifyFallback(target, next, error);
+            }
         }
+    }
+    
+    // Stream from one provider config with retries and rate limiting
+    async *streamToTarget(target, systemPrompt, messages, options = {}) {
+        const adapter = this.getAdapter(target.provider);
+        const limiter = this.getLimiter(adapter.id);
+        const policy = this.getRetryPolicy();
+        let attempt = 1;
         
-        const requestBody = {
-            model: model,
-            system: systemPrompt,  // System prompt as top-level parameter
-            messages: [
-                {
-                    role: 'user',
-                    content: userPrompt
+        while (true) {
+            let receivedOutput = false;
+            const release = await limiter.acquire(options.signal);
+            
+            try {
+                for await (const chunk of this.streamProvider(adapter, systemPrompt, messages, options, target)) {
+                    receivedOutput = true;
+                    yield chunk;
                 }
-            ],
-            max_tokens: maxTokens,
-            temperature: temperature
-        };
+                return;
+            } catch (error) {
+                // Once text has been handed out we can't transparently start over
+                if (receivedOutput || !policy.shouldRetry(error, attempt)) {
+                    throw error;
+                }
+                
+                const delay = policy.getDelay(error, attempt);
+                this.notifyRetry(adapter.id, {
+                    attempt: attempt,
+                    nextAttempt: attempt + 1,
+                    maxAttempts: policy.maxAttempts,
+                    delay: delay,
+                    error: error
+                });
+                release();
+                await sleep(delay, options.signal);
+                attempt++;
+            } finally {
+                release();
+            }
+        }
+    }
+    
+    // Make a single streaming request through an adapter
+    async *streamProvider(adapter, systemPrompt, messages, options = {}, target = null) {
+        const settings = target || this.getSettings();
+        this.validateTarget(adapter, settings);
         
+        const request = this.buildRequestContext(adapter, systemPrompt, messages, { ...options, stream: true }, target);
+        const { url, init } = adapter.buildRequest(settings, request);
+        
+        let response;
         try {
-            const response = await fetch(this.proxyUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': this.apiKey,
-                    'anthropic-version': '2023-06-01'
-                },
-                body: JSON.stringify(requestBody)
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Claude API error: ${response.status} - ${errorText}`);
-            }
+            response = await fetch(url, { ...init, signal: options.signal });
+        } catch (error) {
+            throw adapter.mapNetworkError(error, settings);
+        }
+        
+        if (!response.ok) {
+            throw await adapter.mapError(response);
+        }
+        
+        let content = '';
+        let usage = null;
+        let model = request.model;
+        
+        for await (const event of this.readServerSentEvents(response)) {
+            const parsed = adapter.parseStreamEvent(event, request);
+            if (!parsed) continue;
+            if (parsed.done) break;
             
-            const data = await response.json();
+            if (parsed.model) model = parsed.model;
+            if (parsed.usage) usage = { ...(usage || {}), ...parsed.usage };
             
-            if (!data.content || !data.content[0] || !data.content[0].text) {
-                throw new Error('Invalid response structure from Claude API');
+            if (parsed.delta) {
+                content += parsed.delta;
+                yield { type: 'delta', text: parsed.delta };
+            }
+        }
+        
+        yield { type: 'done', content, usage, model };
+    }
+    
+    // Consume a stream and return the same shape as generateContent
+    async collectStream(systemPrompt, userPrompt, options = {}) {
+        return this.collectMessages(systemPrompt, [{ role: 'user', content: userPrompt }], options);
+    }
+    
+    // Consume a message-list stream, passing text to options.onDelta as it arrives
+    async collectMessages(systemPrompt, messages, options = {}) {
+        const { onDelta, ...streamOptions } = options;
+        let result = null;
+        
+        for await (const chunk of this.streamMessages(systemPrompt, messages, streamOptions)) {
+            if (chunk.type === 'delta') {
+                if (onDelta) onDelta(chunk.text);
+            } else if (chunk.type === 'done') {
+                result = chunk;
+            }
+        }
+        
+        return {
+            content: result.content,
+            usage: result.usage,
+            model: result.model,
+            provider: result.provider,
+            fallbackIndex: result.fallbackIndex,
+            raw: null
+        };
+    }
+    
+    // Generate JSON matching schema ({ name, description, schema }) using the provider's native
+    // JSON / tool-calling mode. Invalid output gets one repair pass; if that fails too, the legacy
+    // prefix parser is tried on the raw text. Set options.stream to stream the draft to options.onDelta.
+    // Returns the generateContent shape plus { data, outputMode: 'json' | 'prefix', repaired }
+    async generateStructured(systemPrompt, userPrompt, schema, options = {}) {
+        const messages = [{ role: 'user', content: `${userPrompt}\n\n${this.buildSchemaInstruction(schema)}` }];
+        const { stream, onDelta, ...requestOptions } = options;
+        let nativeOptions = { ...requestOptions, responseSchema: schema };
+        
+        const request = (messageList, callOptions, streamed) => streamed
+            ? this.collectMessages(systemPrompt, messageList, { ...callOptions, onDelta })
+            : this.sendMessages(systemPrompt, messageList, callOptions);
+        
+        let response;
+        try {
+            response = await request(messages, nativeOptions, stream);
+        } catch (error) {
+            // Older models and some local servers reject native JSON mode - rely on the prompt instead
+            if (error.category !== 'invalid_request') throw error;
+            console.warn('Native JSON mode rejected, retrying with prompt instructions only:', error.message);
+            nativeOptions = requestOptions;
+            response = await request(messages, nativeOptions, stream);
+        }
+        
+        const first = checkStructuredContent(response.content, schema);
+        if (first.errors.length === 0) {
+            return { ...response, data: first.data, outputMode: 'json', repaired: false };
+        }
+        
+        // One repair pass: show the model its answer and what was wrong with it
+        console.warn(`Structured output failed validation (${schema.name}), requesting repair:`, first.errors);
+        const repairMessages = [
+            ...messages,
+            { role: 'assistant', content: response.content || '(empty response)' },
+            { role: 'user', content: this.buildRepairPrompt(schema, first.errors) }
+        ];
+        
+        let repairedResponse = null;
+        try {
+            repairedResponse = await request(repairMessages, nativeOptions, false);
+            const second = checkStructuredContent(repairedResponse.content, schema);
+            if (second.errors.length === 0) {
+                return { ...repairedResponse, data: second.data, outputMode: 'json', repaired: true };
             }
-            
-            return {
-                content: data.content[0].text,
-                usage: data.usage || null,
-                model: data.model || model,
-                raw: data
-            };
         } catch (error) {
-            if (error.name === 'TypeError' && error.message.includes('Failed to fetch')) {
-                throw new Error('Network error - please check:\n1. Cloudflare Worker URL is correct\n2. Worker is deployed and running\n3. CORS headers are configured in the worker');
+            if (error.name === 'AbortError') throw error;
+            console.warn('Structured output repair request failed:', error.message);
+        }
+        
+        // Last resort: the model may have answered in the legacy TITLE:/CONTENT: format
+        const sections = Object.keys(schema.schema.properties || {});
+        const required = schema.schema.required || sections;
+        for (const candidate of [repairedResponse, response]) {
+            if (!candidate || !candidate.content) continue;
+            const parsed = this.parseStructuredResponse(candidate.content, sections);
+            if (required.every(section => parsed[section])) {
+                return { ...candidate, data: parsed, outputMode: 'prefix', repaired: candidate === repairedResponse };
             }
-            throw error;
         }
+        
+        throw new StructuredOutputError(`AI response did not match the ${schema.name} format: ${first.errors.join('; ')}`, {
+            errors: first.errors,
+            content: response.content
+        });
+    }
+    
+    // Instructions appended to the prompt in structured mode (also covers providers without a native JSON mode)
+    buildSchemaInstruction(schema) {
+        return `Respond with a single JSON object (no markdown, no code fences) matching this "${schema.name}" JSON schema. ` +
+            `It replaces any line-prefix format described above - put each section in the field of the same name.\n` +
+            JSON.stringify(schema.schema, null, 2);
+    }
+    
+    // Follow-up prompt for the repair pass
+    buildRepairPrompt(schema, errors) {
+        return `Your response did not match the "${schema.name}" schema:\n` +
+            errors.map(error => `- ${error}`).join('\n') +
+            `\n\nReply again with only the corrected JSON object. Keep the content you already wrote where it was valid.`;
+    }
+    
+    // Start a multi-turn conversation (options are the defaults for every turn)
+    createConversation(systemPrompt, options = {}) {
+        return new AIConversation(this, { systemPrompt: systemPrompt, options: options });
+    }
+    
+    // Continue a conversation saved with conversation.toJSON()
+    resumeConversation(data, options = {}) {
+        return new AIConversation(this, { ...data, options: options });
+    }
+    
+    // Call Claude API (kept for existing callers - routes through the Claude adapter)
+    async callClaudeAPI(systemPrompt, userPrompt, options = {}) {
+        return this.callProvider(this.getAdapter('claude'), systemPrompt, [{ role: 'user', content: userPrompt }], options);
     }
     
-    // Call OpenAI API
+    // Call OpenAI API (kept for existing callers - routes through the OpenAI adapter)
     async callOpenAIAPI(systemPrompt, userPrompt, options = {}) {
-        const model = options.model || this.defaultModel || 'gpt-4';
-        const maxTokens = options.maxTokens || 1000;
-        const temperature = options.temperature || 0.7;
-        
-        const requestBody = {
-            model: model,
-            messages: [
-                {
-                    role: 'system',
-                    content: systemPrompt
-                },
-                {
-                    role: 'user',
-                    content: userPrompt
-                }
-            ],
-            max_tokens: maxTokens,
-            temperature: temperature
-        };
+        return this.callProvider(this.getAdapter('openai'), systemPrompt, [{ role: 'user', content: userPrompt }], options);
+    }
+    
+    // Read a fetch response body as a sequence of server-sent events
+    async *readServerSentEvents(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let finished = false;
         
         try {
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.apiKey}`
-                },
-                body: JSON.stringify(requestBody)
-            });
-            
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`OpenAI API error: ${errorData.error?.message || response.statusText}`);
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    finished = true;
+                    break;
+                }
+                
+                buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+                
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const event = this.parseServerSentEvent(buffer.slice(0, boundary));
+                    buffer = buffer.slice(boundary + 2);
+                    if (event) yield event;
+                }
             }
             
-            const data = await response.json();
-            
-            if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-                throw new Error('Invalid response structure from OpenAI API');
+            // Flush a trailing event that wasn't followed by a blank line
+            const event = this.parseServerSentEvent(buffer + decoder.decode());
+            if (event) yield event;
+        } finally {
+            // Stop the underlying request if the consumer bailed out early
+            if (!finished) {
+                reader.cancel().catch(() => {});
             }
+            reader.releaseLock();
+        }
+    }
+    
+    // Parse a single SSE block into { event, data }
+    parseServerSentEvent(block) {
+        let eventName = 'message';
+        const dataLines = [];
+        
+        for (const line of block.split('\n')) {
+            if (!line || line.startsWith(':')) continue;
             
-            return {
-                content: data.choices[0].message.content,
-                usage: data.usage || null,
-                model: data.model || model,
-                raw: data
-            };
-        } catch (error) {
-            throw error;
+            const separator = line.indexOf(':');
+            const field = separator === -1 ? line : line.slice(0, separator);
+            const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+            
+            if (field === 'event') eventName = value;
+            if (field === 'data') dataLines.push(value);
         }
+        
+        if (dataLines.length === 0) return null;
+        
+        return { event: eventName, data: dataLines.join('\n') };
     }
     
-    // Parse structured response (for both providers)
+    // Parse structured response (provider-agnostic) - returns the sections that were found
     parseStructuredResponse(content, sections) {
-        const result = {};
-        const lines = content.split('\n');
-        let currentSection = '';
-        let currentContent = [];
+        return new SectionParser(sections).parse(content).sections;
+    }
+    
+    // Parse line-prefix sections and check them against rules: returns { sections, diagnostics }
+    parseSections(content, rules) {
+        return new SectionParser(rules).parse(content);
+    }
+    
+    // Check already-structured data (e.g. from JSON mode) against the same rules
+    validateSections(sections, rules) {
+        return { sections: sections, diagnostics: new SectionParser(rules).validate(sections) };
+    }
+    
+    // Write sections back out as NAME: value lines (e.g. to store a normalized answer in a conversation)
+    formatSections(sections, rules) {
+        return new SectionParser(rules).format(sections);
+    }
+    
+    // Ask the model for only the sections that were missing, empty or invalid, and merge them in
+    // previous = { content, sections, diagnostics } from the first response
+    async regenerateSections(systemPrompt, userPrompt, previous, rules, options = {}) {
+        const parser = new SectionParser(rules);
+        const names = parser.getSectionsToRegenerate(previous.diagnostics);
+        if (names.length === 0) {
+            return { ...previous, regenerated: [] };
+        }
         
-        for (const line of lines) {
-            let sectionFound = false;
-            
-            for (const section of sections) {
-                if (line.startsWith(section + ':')) {
-                    // Save previous section if exists
-                    if (currentSection) {
-                        result[currentSection] = currentContent.join('\n').trim();
-                    }
-                    
-                    // Start new section
-                    currentSection = section;
-                    currentContent = [line.substring(section.length + 1).trim()];
-                    sectionFound = true;
-                    break;
-                }
+        const format = names.map(name => {
+            const constraints = parser.describeRule(name);
+            return `${name}: [${constraints ? constraints : 'content'}]`;
+        }).join('\n');
+        
+        const messages = [
+            { role: 'user', content: userPrompt },
+            { role: 'assistant', content: previous.content || '(empty response)' },
+            {
+                role: 'user',
+                content: `Your response had problems:\n${previous.diagnostics.issues.map(issue => `- ${issue}`).join('\n')}\n\n` +
+                    `Reply with only these sections, each starting on its own line with the section name and a colon:\n${format}`
             }
-            
-            if (!sectionFound && currentSection) {
-                currentContent.push(line);
+        ];
+        
+        const response = await this.sendMessages(systemPrompt, messages, options);
+        const fixed = new SectionParser(names).parse(response.content).sections;
+        
+        // Only take replacements that actually have content
+        const sections = { ...previous.sections };
+        const regenerated = [];
+        for (const name of names) {
+            if (fixed[name] && fixed[name].trim()) {
+                sections[name] = fixed[name];
+                regenerated.push(name);
             }
         }
         
-        // Save last section
-        if (currentSection) {
-            result[currentSection] = currentContent.join('\n').trim();
+        return {
+            content: previous.content,
+            sections: sections,
+            diagnostics: parser.validate(sections),
+            regenerated: regenerated
+        };
+    }
+    
+    // Turn a generation response into checked sections, regenerating bad ones when autoRegenerate is on
+    // Works for both output modes: uses response.data from JSON mode, otherwise parses response.content
+    async resolveSections(response, systemPrompt, userPrompt, rules, options = {}) {
+        const result = response.data
+            ? this.validateSections(response.data, rules)
+            : this.parseSections(response.content, rules);
+        
+        if (result.diagnostics.valid || !this.autoRegenerate) {
+            return { content: response.content, ...result, regenerated: [] };
         }
         
-        return result;
+        try {
+            return await this.regenerateSections(systemPrompt, userPrompt, { content: response.content, ...result }, rules, options);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn('Section regeneration failed:', error.message);
+            return { content: response.content, ...result, regenerated: [] };
+        }
     }
     
     // Test API connection
@@ -243,7 +783,7 @@ export class AIAPIManager {
             
             return {
                 success: response.content.includes('Connection successful'),
-                provider: this.provider,
+                provider: response.provider || this.provider,
                 model: response.model,
                 response: response.content
             };
@@ -258,13 +798,30 @@ export class AIAPIManager {
     
     // Get configuration status
     getStatus() {
+        const adapter = this.registry.get(this.provider);
+        let isConfigured = this.provider === 'manual';
+        
+        if (adapter) {
+            try {
+                adapter.validateSettings(this.getSettings());
+                isConfigured = true;
+            } catch (error) {
+                isConfigured = false;
+            }
+        }
+        
         return {
             provider: this.provider,
-            isConfigured: this.provider === 'manual' || !!this.apiKey,
+            isConfigured: isConfigured,
             hasApiKey: !!this.apiKey,
             hasProxyUrl: !!this.proxyUrl,
-            needsProxy: this.provider === 'claude',
-            model: this.defaultModel
+            hasBaseUrl: !!this.baseUrl,
+            needsProxy: !!adapter && adapter.needsProxy,
+            needsBaseUrl: !!adapter && adapter.needsBaseUrl,
+            outputMode: this.outputMode,
+            autoRegenerate: this.autoRegenerate,
+            batchConcurrency: this.batchConcurrency,
+            model: this.defaultModel || (adapter ? adapter.defaultModel : null)
         };
     }
     
@@ -272,6 +829,102 @@ export class AIAPIManager {
     clearConfig() {
         this.apiKey = null;
         this.proxyUrl = null;
+        this.baseUrl = null;
         this.saveToStorage();
     }
+}
+
+// Multi-turn conversation: keeps the message history so follow-ups ("make it shorter") see earlier turns
+export class AIConversation {
+    constructor(manager, config = {}) {
+        this.manager = manager;
+        this.systemPrompt = config.systemPrompt || '';
+        this.messages = (config.messages || []).map(message => ({ ...message }));
+        this.options = config.options || {};
+        this.maxMessages = config.maxMessages || 20; // Older turns are dropped from requests and storage
+        this.turnCount = config.turnCount ?? Math.max(0, this.messages.filter(message => message.role === 'user').length - 1);
+        this.createdAt = config.createdAt || new Date().toISOString();
+        this.updatedAt = config.updatedAt || this.createdAt;
+    }
+    
+    // Append a message ({ role, content } plus optional metadata such as provider/model)
+    addMessage(role, content, meta = {}) {
+        this.messages.push({ role: role, content: content, timestamp: new Date().toISOString(), ...meta });
+        this.updatedAt = new Date().toISOString();
+        this.trim();
+        return this;
+    }
+    
+    // Record a prompt and the answer it got (e.g. the original generation)
+    addExchange(userContent, assistantContent, meta = {}) {
+        this.addMessage('user', userContent);
+        return this.addMessage('assistant', assistantContent, meta);
+    }
+    
+    // Keep the first exchange (the original brief) and the most recent turns
+    trim() {
+        if (this.messages.length <= this.maxMessages) return;
+        
+        const keepRecent = Math.max(2, this.maxMessages - 2);
+        // Cut on a user message so roles keep alternating
+        let start = this.messages.length - keepRecent;
+        if (this.messages[start].role !== 'user') start++;
+        this.messages = [...this.messages.slice(0, 2), ...this.messages.slice(start)];
+    }
+    
+    // Messages in the { role, content } shape providers expect
+    getMessages() {
+        return this.messages.map(message => ({ role: message.role, content: message.content }));
+    }
+    
+    // Number of follow-up instructions sent (including turns trimmed from the history)
+    getTurnCount() {
+        return this.turnCount;
+    }
+    
+    // Send a follow-up and add the reply to the history
+    // options.responseSchema asks for JSON; a valid reply comes back with .data like generateStructured
+    async send(content, options = {}) {
+        const requestOptions = { ...this.options, ...options };
+        const messages = [...this.getMessages(), { role: 'user', content: content }];
+        
+        const response = options.onDelta
+            ? await this.manager.collectMessages(this.systemPrompt, messages, requestOptions)
+            : await this.manager.sendMessages(this.systemPrompt, messages, requestOptions);
+        
+        this.addExchange(content, response.content, { provider: response.provider, model: response.model });
+        this.turnCount++;
+        
+        if (requestOptions.responseSchema) {
+            const checked = checkStructuredContent(response.content, requestOptions.responseSchema);
+            if (checked.errors.length === 0) {
+                return { ...response, data: checked.data };
+            }
+        }
+        
+        return response;
+    }
+    
+    // Remove the last follow-up and its reply
+    undo() {
+        if (this.messages.length <= 2) return false;
+        
+        const lastUser = this.messages.map(message => message.role).lastIndexOf('user');
+        this.messages = this.messages.slice(0, lastUser);
+        this.turnCount = Math.max(0, this.turnCount - 1);
+        this.updatedAt = new Date().toISOString();
+        return true;
+    }
+    
+    // Serializable form for storing on a post
+    toJSON() {
+        return {
+            systemPrompt: this.systemPrompt,
+            messages: this.messages,
+            maxMessages: this.maxMessages,
+            turnCount: this.turnCount,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
 }
\ No newline at end of file
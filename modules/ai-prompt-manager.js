@@ -7,6 +7,7 @@ export class AIPromptManager {
         this.namespace = config.namespace || 'default';
         this.templates = {};
         this.variables = {};
+        this.schemas = {}; // Custom output schemas per platform
         
         // Load saved prompts on initialization
         this.loadPrompts();
@@ -115,6 +116,86 @@ HASHTAGS: [3-5 professional hashtags]`,
         }
     };
     
+    // Default output schemas for structured (JSON) mode
+    // Field names match the line-prefix sections so both modes produce the same shape
+    static DEFAULT_SCHEMAS = {
+        blog: {
+            name: 'blog_post',
+            description: 'A complete SEO-optimized blog post',
+            schema: {
+                type: 'object',
+                properties: {
+                    TITLE: { type: 'string', minLength: 1, description: 'SEO-optimized title' },
+                    CONTENT: { type: 'string', minLength: 1, description: 'Full blog post in HTML format with proper headings' },
+                    META_DESCRIPTION: { type: 'string', minLength: 1, description: '150-160 character meta description' },
+                    FEATURED_IMAGE_SUGGESTION: { type: 'string', description: 'Description of ideal featured image' }
+                },
+                required: ['TITLE', 'CONTENT', 'META_DESCRIPTION', 'FEATURED_IMAGE_SUGGESTION']
+            }
+        },
+        
+        instagram: {
+            name: 'instagram_caption',
+            description: 'An Instagram caption with hashtags and call-to-action',
+            schema: {
+                type: 'object',
+                properties: {
+                    CAPTION: { type: 'string', minLength: 1, description: 'The caption text' },
+                    HASHTAGS: { type: 'string', description: '5-10 highly relevant hashtags separated by spaces' },
+                    CTA: { type: 'string', description: 'Specific call-to-action for comments' }
+                },
+                required: ['CAPTION', 'HASHTAGS', 'CTA']
+            }
+        },
+        
+        twitter: {
+            name: 'twitter_thread',
+            description: 'A Twitter thread of 3-5 tweets',
+            schema: {
+                type: 'object',
+                properties: {
+                    TWEETS: { type: 'array', minItems: 1, maxItems: 5, items: { type: 'string', minLength: 1, maxLength: 280 }, description: 'Tweets in thread order, hook first' },
+                    HASHTAGS: { type: 'string', description: '2-3 relevant hashtags' }
+                },
+                required: ['TWEETS', 'HASHTAGS']
+            }
+        },
+        
+        linkedin: {
+            name: 'linkedin_post',
+            description: 'A LinkedIn thought-leadership post',
+            schema: {
+                type: 'object',
+                properties: {
+                    POST: { type: 'string', minLength: 1, description: 'LinkedIn post content' },
+                    HASHTAGS: { type: 'string', description: '3-5 professional hashtags' }
+                },
+                required: ['POST', 'HASHTAGS']
+            }
+        }
+    };
+    
+    // Per-section constraints checked after parsing (in both output modes)
+    static SECTION_RULES = {
+        blog: {
+            TITLE: { required: true },
+            CONTENT: { required: true },
+            META_DESCRIPTION: { required: true, minLength: 150, maxLength: 160 },
+            FEATURED_IMAGE_SUGGESTION: { required: false }
+        },
+        
+        instagram: {
+            CAPTION: { required: true },
+            HASHTAGS: { required: true, minHashtags: 5, maxHashtags: 10 },
+            CTA: { required: true }
+        },
+        
+        linkedin: {
+            POST: { required: true },
+            HASHTAGS: { required: true, minHashtags: 3, maxHashtags: 5 }
+        }
+    };
+    
     // Load prompts from storage
     loadPrompts() {
         try {
@@ -123,6 +204,7 @@ HASHTAGS: [3-5 professional hashtags]`,
                 const data = JSON.parse(stored);
                 this.templates = data.templates || {};
                 this.variables = data.variables || {};
+                this.schemas = data.schemas || {};
                 return true;
             }
         } catch (error) {
@@ -137,6 +219,7 @@ HASHTAGS: [3-5 professional hashtags]`,
             const data = {
                 templates: this.templates,
                 variables: this.variables,
+                schemas: this.schemas,
                 lastUpdated: new Date().toISOString()
             };
             localStorage.setItem(this.getStorageKey(), JSON.stringify(data));
@@ -147,6 +230,15 @@ HASHTAGS: [3-5 professional hashtags]`,
         }
     }
     
+    // Switch to another namespace (e.g. a workspace profile's prompts). Anything it hasn't customized uses the defaults
+    setNamespace(namespace) {
+        this.namespace = namespace;
+        this.templates = {};
+        this.variables = {};
+        this.schemas = {};
+        return this.loadPrompts();
+    }
+    
     // Get storage key with namespace
     getStorageKey() {
         return `${this.storageKey}_${this.namespace}`;
@@ -194,12 +286,43 @@ HASHTAGS: [3-5 professional hashtags]`,
         this.savePrompts();
     }
     
+    // Get the output schema for structured (JSON) mode
+    getOutputSchema(platform) {
+        return this.schemas[platform] || AIPromptManager.DEFAULT_SCHEMAS[platform] || null;
+    }
+    
+    // Get section rules for a platform (defaults to the output schema's fields, all required)
+    getSectionRules(platform) {
+        if (AIPromptManager.SECTION_RULES[platform]) {
+            return AIPromptManager.SECTION_RULES[platform];
+        }
+        
+        const schema = this.getOutputSchema(platform);
+        return schema ? Object.keys(schema.schema.properties) : [];
+    }
+    
+    // Set a custom output schema ({ name, description, schema }) - null restores the default
+    setOutputSchema(platform, schema) {
+        if (schema && (!schema.name || !schema.schema || !schema.schema.properties)) {
+            throw new Error('Output schema needs a name and a JSON schema with properties');
+        }
+        
+        if (schema) {
+            this.schemas[platform] = schema;
+        } else {
+            delete this.schemas[platform];
+        }
+        this.savePrompts();
+    }
+    
     // Reset to default prompts
     resetToDefaults(platform = null) {
         if (platform) {
             delete this.templates[platform];
+            delete this.schemas[platform];
         } else {
             this.templates = {};
+            this.schemas = {};
         }
         this.savePrompts();
     }
@@ -303,6 +426,7 @@ HASHTAGS: [3-5 professional hashtags]`,
         return {
             templates: this.templates,
             variables: this.variables,
+            schemas: this.schemas,
             exportDate: new Date().toISOString(),
             version: '1.0'
         };
@@ -317,6 +441,7 @@ HASHTAGS: [3-5 professional hashtags]`,
         if (overwrite) {
             this.templates = data.templates;
             this.variables = data.variables || {};
+            this.schemas = data.schemas || {};
         } else {
             // Merge with existing
             for (const [platform, prompts] of Object.entries(data.templates)) {
@@ -327,6 +452,7 @@ HASHTAGS: [3-5 professional hashtags]`,
                 }
             }
             this.variables = { ...this.variables, ...(data.variables || {}) };
+            this.schemas = { ...this.schemas, ...(data.schemas || {}) };
         }
         
         this.savePrompts();
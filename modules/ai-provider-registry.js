@@ -0,0 +1,613 @@
+// ai-provider-registry.js
+// Pluggable AI Provider Adapters and Registry (ES6)
+
+// Error body text that means the account is out of credit rather than briefly over a rate limit
+const BILLING_MARKERS = ['insufficient_quota', 'credit balance', 'check your plan and billing'];
+
+// Error raised by provider adapters, carrying enough detail to decide how to react
+export class AIProviderError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'AIProviderError';
+        this.provider = details.provider || null;
+        this.status = details.status || null;
+        this.category = details.category || 'unknown'; // 'auth', 'rate_limit', 'quota', 'server', 'network', 'invalid_request', 'unknown'
+        this.retryAfter = details.retryAfter ?? null; // Milliseconds, if the provider told us
+        this.body = details.body || null;
+    }
+    
+    // Map an HTTP status code to an error category. The body only tells quota apart from the status's own
+    // category: OpenAI answers 429 and Google 403 when quota runs out, Anthropic 400 for credits. A 429 is
+    // quota only with a billing message - Gemini's per-minute limits also say "Quota exceeded for metric"
+    static categorize(status, bodyText = '') {
+        const text = (bodyText || '').toLowerCase();
+        const outOfCredit = BILLING_MARKERS.some(marker => text.includes(marker));
+        
+        if (status === 402) return 'quota';
+        if (status === 429) return outOfCredit ? 'quota' : 'rate_limit';
+        if (status === 403) return outOfCredit || text.includes('quota') ? 'quota' : 'auth';
+        if (status === 401) return 'auth';
+        if (status === 529 || status >= 500) return 'server';
+        if (status === 400 && text.includes('credit balance')) return 'quota';
+        if (status >= 400) return 'invalid_request';
+        return 'unknown';
+    }
+    
+    // Read a retry-after header (seconds or HTTP date) as milliseconds
+    static parseRetryAfter(response) {
+        const header = response.headers?.get('retry-after');
+        if (!header) return null;
+        
+        const seconds = Number(header);
+        if (!Number.isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        
+        const date = Date.parse(header);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+}
+
+// Base adapter - subclasses describe how to talk to one provider
+export class AIProviderAdapter {
+    constructor(config = {}) {
+        this.id = config.id;
+        this.label = config.label || config.id;
+        this.defaultModel = config.defaultModel || null;
+        this.requiresApiKey = config.requiresApiKey !== false;
+        this.needsProxy = config.needsProxy || false;
+        this.needsBaseUrl = config.needsBaseUrl || false;
+    }
+    
+    // Check the settings needed before any request is made
+    validateSettings(settings) {
+        if (this.requiresApiKey && !settings.apiKey) {
+            throw new Error(`API key not configured for ${this.id}`);
+        }
+        if (this.needsBaseUrl && !settings.baseUrl) {
+            throw new Error(`Base URL not configured for ${this.id}`);
+        }
+    }
+    
+    // Build the fetch call for a request: returns { url, init }
+    // request = { systemPrompt, messages, model, maxTokens, temperature, stream, responseSchema }
+    // responseSchema = { name, description, schema } asks for JSON output in the provider's native mode
+    buildRequest(settings, request) {
+        throw new Error(`${this.id} adapter does not implement buildRequest`);
+    }
+    
+    // Turn a non-streaming JSON response into { content, usage, model }
+    parseResponse(data, request) {
+        throw new Error(`${this.id} adapter does not implement parseResponse`);
+    }
+    
+    // Turn one SSE event into { delta, usage, model, done } (or null to skip it)
+    parseStreamEvent(event, request) {
+        throw new Error(`${this.id} adapter does not implement parseStreamEvent`);
+    }
+    
+    // Turn a failed HTTP response into an AIProviderError
+    async mapError(response) {
+        const bodyText = await response.text().catch(() => '');
+        return new AIProviderError(`${this.label} error: ${response.status} - ${bodyText}`, {
+            provider: this.id,
+            status: response.status,
+            category: AIProviderError.categorize(response.status, bodyText),
+            retryAfter: AIProviderError.parseRetryAfter(response),
+            body: bodyText
+        });
+    }
+    
+    // Turn a fetch-level failure (DNS, CORS, offline) into an AIProviderError
+    mapNetworkError(error, settings) {
+        if (error.name === 'AbortError') return error;
+        
+        return new AIProviderError(`Network error contacting ${this.label}: ${error.message}`, {
+            provider: this.id,
+            category: 'network'
+        });
+    }
+    
+    // Convert provider-specific usage into { promptTokens, completionTokens }
+    normalizeUsage(usage) {
+        if (!usage) return { promptTokens: 0, completionTokens: 0 };
+        return {
+            promptTokens: usage.prompt_tokens || usage.input_tokens || 0,
+            completionTokens: usage.completion_tokens || usage.output_tokens || 0
+        };
+    }
+    
+    // Describe the adapter for UI dropdowns
+    describe() {
+        return {
+            id: this.id,
+            label: this.label,
+            defaultModel: this.defaultModel,
+            requiresApiKey: this.requiresApiKey,
+            needsProxy: this.needsProxy,
+            needsBaseUrl: this.needsBaseUrl
+        };
+    }
+}
+
+// Anthropic Messages API (through a Cloudflare Worker proxy)
+export class ClaudeAdapter extends AIProviderAdapter {
+    constructor(config = {}) {
+        super({
+            id: 'claude',
+            label: 'Claude API',
+            defaultModel: 'claude-3-opus-20240229',
+            needsProxy: true,
+            ...config
+        });
+    }
+    
+    validateSettings(settings) {
+        super.validateSettings(settings);
+        if (!settings.proxyUrl) {
+            throw new Error('Cloudflare Worker URL not configured for Claude API');
+        }
+    }
+    
+    buildRequest(settings, request) {
+        const body = {
+            model: request.model,
+            system: request.systemPrompt,  // System prompt as top-level parameter
+            messages: request.messages.map(message => ({
+                role: message.role,
+                content: message.content
+            })),
+            max_tokens: request.maxTokens,
+            temperature: request.temperature
+        };
+        
+        if (request.stream) {
+            body.stream = true;
+        }
+        
+        // Structured output: force a single tool call whose input is the schema
+        if (request.responseSchema) {
+            body.tools = [{
+                name: request.responseSchema.name,
+                description: request.responseSchema.description || `Return the ${request.responseSchema.name} result`,
+                input_schema: request.responseSchema.schema
+            }];
+            body.tool_choice = { type: 'tool', name: request.responseSchema.name };
+        }
+        
+        return {
+            url: settings.proxyUrl,
+            init: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': settings.apiKey,
+                    'anthropic-version': '2023-06-01'
+                },
+                body: JSON.stringify(body)
+            }
+        };
+    }
+    
+    parseResponse(data, request) {
+        // Structured output arrives as the tool call's input
+        const toolUse = (data.content || []).find(block => block.type === 'tool_use');
+        if (toolUse) {
+            return {
+                content: JSON.stringify(toolUse.input),
+                usage: data.usage || null,
+                model: data.model || request.model
+            };
+        }
+        
+        if (!data.content || !data.content[0] || !data.content[0].text) {
+            throw new AIProviderError('Invalid response structure from Claude API', { provider: this.id });
+        }
+        
+        return {
+            content: data.content[0].text,
+            usage: data.usage || null,
+            model: data.model || request.model
+        };
+    }
+    
+    parseStreamEvent(event, request) {
+        const data = JSON.parse(event.data);
+        
+        if (data.type === 'message_start') {
+            return { model: data.message?.model, usage: data.message?.usage };
+        }
+        if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+            return { delta: data.delta.text };
+        }
+        if (data.type === 'content_block_delta' && data.delta?.type === 'input_json_delta') {
+            return { delta: data.delta.partial_json };
+        }
+        if (data.type === 'message_delta' && data.usage) {
+            return { usage: data.usage };
+        }
+        if (data.type === 'message_stop') {
+            return { done: true };
+        }
+        if (data.type === 'error') {
+            const type = data.error?.type || '';
+            throw new AIProviderError(`Claude API error: ${data.error?.message || 'Stream error'}`, {
+                provider: this.id,
+                category: type === 'overloaded_error' ? 'server' : type === 'rate_limit_error' ? 'rate_limit' : 'unknown'
+            });
+        }
+        
+        return null;
+    }
+    
+    normalizeUsage(usage) {
+        if (!usage) return { promptTokens: 0, completionTokens: 0 };
+        return {
+            // Cached prompt tokens are billed separately but still count as input
+            promptTokens: (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0),
+            completionTokens: usage.output_tokens || 0
+        };
+    }
+    
+    async mapError(response) {
+        const bodyText = await response.text().catch(() => '');
+        return new AIProviderError(`Claude API error: ${response.status} - ${bodyText}`, {
+            provider: this.id,
+            status: response.status,
+            category: AIProviderError.categorize(response.status, bodyText),
+            retryAfter: AIProviderError.parseRetryAfter(response),
+            body: bodyText
+        });
+    }
+    
+    mapNetworkError(error, settings) {
+        if (error.name === 'TypeError' && error.message.includes('Failed to fetch')) {
+            return new AIProviderError('Network error - please check:\n1. Cloudflare Worker URL is correct\n2. Worker is deployed and running\n3. CORS headers are configured in the worker', {
+                provider: this.id,
+                category: 'network'
+            });
+        }
+        return super.mapNetworkError(error, settings);
+    }
+}
+
+// OpenAI Chat Completions API
+export class OpenAIAdapter extends AIProviderAdapter {
+    constructor(config = {}) {
+        super({
+            id: 'openai',
+            label: 'OpenAI',
+            defaultModel: 'gpt-4',
+            ...config
+        });
+        this.endpoint = config.endpoint || 'https://api.openai.com/v1/chat/completions';
+        this.errorPrefix = config.errorPrefix || 'OpenAI API error';
+    }
+    
+    // Resolve the chat completions URL for these settings
+    getEndpoint(settings) {
+        return this.endpoint;
+    }
+    
+    buildRequest(settings, request) {
+        const body = {
+            model: request.model,
+            messages: [
+                {
+                    role: 'system',
+                    content: request.systemPrompt
+                },
+                ...request.messages.map(message => ({
+                    role: message.role,
+                    content: message.content
+                }))
+            ],
+            max_tokens: request.maxTokens,
+            temperature: request.temperature
+        };
+        
+        if (request.stream) {
+            body.stream = true;
+            body.stream_options = { include_usage: true };
+        }
+        
+        if (request.responseSchema) {
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: {
+                    name: request.responseSchema.name,
+                    description: request.responseSchema.description,
+                    schema: request.responseSchema.schema,
+                    strict: false // Validated client-side; strict mode rejects optional fields
+                }
+            };
+        }
+        
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+        if (settings.apiKey) {
+            headers['Authorization'] = `Bearer ${settings.apiKey}`;
+        }
+        
+        return {
+            url: this.getEndpoint(settings),
+            init: {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(body)
+            }
+        };
+    }
+    
+    parseResponse(data, request) {
+        if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+            throw new AIProviderError(`Invalid response structure from ${this.label}`, { provider: this.id });
+        }
+        
+        return {
+            content: data.choices[0].message.content,
+            usage: data.usage || null,
+            model: data.model || request.model
+        };
+    }
+    
+    parseStreamEvent(event, request) {
+        if (event.data === '[DONE]') {
+            return { done: true };
+        }
+        
+        const data = JSON.parse(event.data);
+        return {
+            model: data.model,
+            usage: data.usage || null,
+            delta: data.choices?.[0]?.delta?.content || ''
+        };
+    }
+    
+    async mapError(response) {
+        const bodyText = await response.text().catch(() => '');
+        let message = response.statusText;
+        try {
+            message = JSON.parse(bodyText).error?.message || message;
+        } catch (e) {
+            // Non-JSON error body - keep the status text
+        }
+        
+        return new AIProviderError(`${this.errorPrefix}: ${message}`, {
+            provider: this.id,
+            status: response.status,
+            category: AIProviderError.categorize(response.status, bodyText),
+            retryAfter: AIProviderError.parseRetryAfter(response),
+            body: bodyText
+        });
+    }
+}
+
+// Any server speaking the OpenAI chat completions protocol (LM Studio, vLLM, Ollama's /v1)
+export class OpenAICompatibleAdapter extends OpenAIAdapter {
+    constructor(config = {}) {
+        super({
+            id: 'openai-compatible',
+            label: 'OpenAI-compatible (LM Studio, vLLM, Ollama)',
+            defaultModel: 'llama3',
+            requiresApiKey: false,
+            needsBaseUrl: true,
+            errorPrefix: 'OpenAI-compatible API error',
+            ...config
+        });
+    }
+    
+    getEndpoint(settings) {
+        const baseUrl = settings.baseUrl.replace(/\/+$/, '');
+        return baseUrl.endsWith('/chat/completions') ? baseUrl : `${baseUrl}/chat/completions`;
+    }
+    
+    mapNetworkError(error, settings) {
+        if (error.name === 'TypeError') {
+            return new AIProviderError(`Network error - could not reach ${settings.baseUrl}. Check the server is running and allows CORS from this page.`, {
+                provider: this.id,
+                category: 'network'
+            });
+        }
+        return super.mapNetworkError(error, settings);
+    }
+}
+
+// Google Gemini API
+export class GeminiAdapter extends AIProviderAdapter {
+    constructor(config = {}) {
+        super({
+            id: 'gemini',
+            label: 'Google Gemini',
+            defaultModel: 'gemini-1.5-pro',
+            ...config
+        });
+        this.baseUrl = config.baseUrl || 'https://generativelanguage.googleapis.com/v1beta';
+    }
+    
+    buildRequest(settings, request) {
+        const action = request.stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+        
+        const body = {
+            contents: request.messages.map(message => ({
+                role: message.role === 'assistant' ? 'model' : 'user',
+                parts: [{ text: message.content }]
+            })),
+            generationConfig: {
+                maxOutputTokens: request.maxTokens,
+                temperature: request.temperature
+            }
+        };
+        
+        if (request.systemPrompt) {
+            body.systemInstruction = { parts: [{ text: request.systemPrompt }] };
+        }
+        
+        if (request.responseSchema) {
+            body.generationConfig.responseMimeType = 'application/json';
+            body.generationConfig.responseSchema = this.toGeminiSchema(request.responseSchema.schema);
+        }
+        
+        return {
+            url: `${this.baseUrl}/models/${encodeURIComponent(request.model)}:${action}`,
+            init: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-goog-api-key': settings.apiKey
+                },
+                body: JSON.stringify(body)
+            }
+        };
+    }
+    
+    // Convert a JSON Schema into Gemini's OpenAPI-style subset (unknown keywords are rejected)
+    toGeminiSchema(schema) {
+        const converted = {};
+        
+        for (const key of ['format', 'description', 'nullable', 'enum', 'required', 'minItems', 'maxItems']) {
+            if (schema[key] !== undefined) converted[key] = schema[key];
+        }
+        if (schema.type) {
+            converted.type = String(schema.type).toUpperCase();
+        }
+        if (schema.properties) {
+            converted.properties = {};
+            for (const [name, property] of Object.entries(schema.properties)) {
+                converted.properties[name] = this.toGeminiSchema(property);
+            }
+            // Keep fields in schema order instead of Gemini's alphabetical default
+            converted.propertyOrdering = Object.keys(schema.properties);
+        }
+        if (schema.items) {
+            converted.items = this.toGeminiSchema(schema.items);
+        }
+        
+        return converted;
+    }
+    
+    // Join the text parts of the first candidate
+    extractText(data) {
+        const parts = data.candidates?.[0]?.content?.parts || [];
+        return parts.map(part => part.text || '').join('');
+    }
+    
+    parseResponse(data, request) {
+        if (!data.candidates || !data.candidates[0]) {
+            const reason = data.promptFeedback?.blockReason;
+            throw new AIProviderError(reason ? `Gemini blocked the prompt: ${reason}` : 'Invalid response structure from Gemini API', {
+                provider: this.id,
+                category: reason ? 'invalid_request' : 'unknown'
+            });
+        }
+        
+        return {
+            content: this.extractText(data),
+            usage: data.usageMetadata || null,
+            model: data.modelVersion || request.model
+        };
+    }
+    
+    parseStreamEvent(event, request) {
+        const data = JSON.parse(event.data);
+        return {
+            model: data.modelVersion,
+            usage: data.usageMetadata || null,
+            delta: this.extractText(data)
+        };
+    }
+    
+    normalizeUsage(usage) {
+        if (!usage) return { promptTokens: 0, completionTokens: 0 };
+        return {
+            promptTokens: usage.promptTokenCount || 0,
+            completionTokens: usage.candidatesTokenCount || 0
+        };
+    }
+    
+    // Gemini answers a bad API key with 400 INVALID_ARGUMENT; the reason in the error details tells it apart
+    categorizeError(status, bodyText) {
+        let reasons = [];
+        try {
+            reasons = (JSON.parse(bodyText).error?.details || []).map(detail => detail.reason);
+        } catch (e) {
+            // Non-JSON error body - no details to read
+        }
+        
+        if (reasons.includes('API_KEY_INVALID')) return 'auth';
+        return AIProviderError.categorize(status, bodyText);
+    }
+    
+    async mapError(response) {
+        const bodyText = await response.text().catch(() => '');
+        let message = response.statusText;
+        try {
+            message = JSON.parse(bodyText).error?.message || message;
+        } catch (e) {
+            // Non-JSON error body - keep the status text
+        }
+        
+        return new AIProviderError(`Gemini API error: ${message}`, {
+            provider: this.id,
+            status: response.status,
+            category: this.categorizeError(response.status, bodyText),
+            retryAfter: AIProviderError.parseRetryAfter(response),
+            body: bodyText
+        });
+    }
+}
+
+// Registry of available provider adapters
+export class AIProviderRegistry {
+    constructor() {
+        this.adapters = new Map();
+    }
+    
+    // Register (or replace) an adapter
+    register(adapter) {
+        if (!adapter || !adapter.id) {
+            throw new Error('Provider adapter must have an id');
+        }
+        for (const method of ['buildRequest', 'parseResponse', 'parseStreamEvent', 'mapError']) {
+            if (typeof adapter[method] !== 'function') {
+                throw new Error(`Provider adapter "${adapter.id}" is missing ${method}()`);
+            }
+        }
+        
+        this.adapters.set(adapter.id, adapter);
+        return this;
+    }
+    
+    // Remove an adapter
+    unregister(id) {
+        return this.adapters.delete(id);
+    }
+    
+    // Get an adapter by id
+    get(id) {
+        return this.adapters.get(id) || null;
+    }
+    
+    // Check if an adapter is registered
+    has(id) {
+        return this.adapters.has(id);
+    }
+    
+    // List adapter descriptions (for dropdowns)
+    list() {
+        return Array.from(this.adapters.values()).map(adapter => adapter.describe());
+    }
+}
+
+// Build a registry with the built-in adapters
+export const createDefaultRegistry = () => {
+    return new AIProviderRegistry()
+        .register(new ClaudeAdapter())
+        .register(new OpenAIAdapter())
+        .register(new OpenAICompatibleAdapter())
+        .register(new GeminiAdapter());
+};
+
+// Shared registry used by AIAPIManager unless one is passed in
+export const defaultProviderRegistry = createDefaultRegistry();
\ No newline at end of file
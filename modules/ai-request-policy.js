@@ -0,0 +1,179 @@
+// ai-request-policy.js
+// Retry/Backoff Policy and Per-Provider Rate Limiting for AI Calls (ES6)
+
+// Wait for a number of milliseconds, rejecting early if the signal aborts
+export const sleep = (ms, signal = null) => {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+        
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+        };
+        
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+};
+
+export class RetryPolicy {
+    constructor(config = {}) {
+        this.maxAttempts = config.maxAttempts || 4; // Total attempts, including the first
+        this.baseDelayMs = config.baseDelayMs ?? 1000;
+        this.maxDelayMs = config.maxDelayMs ?? 30000;
+        this.maxRetryAfterMs = config.maxRetryAfterMs ?? 120000; // Don't honor absurd retry-after values
+        this.retryOn = config.retryOn || ['rate_limit', 'server', 'network'];
+    }
+    
+    // Decide whether an error is worth another attempt
+    shouldRetry(error, attempt) {
+        if (attempt >= this.maxAttempts) return false;
+        if (!error || error.name === 'AbortError') return false;
+        return this.retryOn.includes(error.category);
+    }
+    
+    // Exponential backoff with full jitter, never shorter than a retry-after hint
+    getDelay(error, attempt) {
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt - 1));
+        const jittered = Math.round(Math.random() * ceiling);
+        
+        if (error && error.retryAfter !== null && error.retryAfter !== undefined) {
+            return Math.max(jittered, Math.min(error.retryAfter, this.maxRetryAfterMs));
+        }
+        
+        return jittered;
+    }
+    
+    // Run fn(attempt) until it succeeds or the policy gives up
+    async execute(fn, options = {}) {
+        let attempt = 1;
+        
+        while (true) {
+            try {
+                return await fn(attempt);
+            } catch (error) {
+                if (!this.shouldRetry(error, attempt)) {
+                    throw error;
+                }
+                
+                const delay = this.getDelay(error, attempt);
+                if (options.onRetry) {
+                    options.onRetry({
+                        attempt: attempt,
+                        nextAttempt: attempt + 1,
+                        maxAttempts: this.maxAttempts,
+                        delay: delay,
+                        error: error
+                    });
+                }
+                
+                await sleep(delay, options.signal);
+                attempt++;
+            }
+        }
+    }
+}
+
+export class RateLimiter {
+    constructor(config = {}) {
+        this.maxConcurrent = config.maxConcurrent || 2;
+        this.requestsPerMinute = config.requestsPerMinute || 0; // 0 = unlimited
+        this.active = 0;
+        this.queue = [];
+        this.startTimes = [];
+        this.timer = null;
+    }
+    
+    // Update limits in place (queued callers pick up the new limits)
+    configure(config = {}) {
+        if (config.maxConcurrent !== undefined) this.maxConcurrent = config.maxConcurrent || 1;
+        if (config.requestsPerMinute !== undefined) this.requestsPerMinute = config.requestsPerMinute || 0;
+        this.pump();
+    }
+    
+    // Wait for a free slot - resolves with a release() function
+    acquire(signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+                return;
+            }
+            
+            const waiter = { resolve, reject, signal, onAbort: null };
+            
+            if (signal) {
+                waiter.onAbort = () => {
+                    this.queue = this.queue.filter(w => w !== waiter);
+                    reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+                };
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
+            
+            this.queue.push(waiter);
+            this.pump();
+        });
+    }
+    
+    // Run fn inside a slot
+    async schedule(fn, signal = null) {
+        const release = await this.acquire(signal);
+        try {
+            return await fn();
+        } finally {
+            release();
+        }
+    }
+    
+    // Hand out slots to waiting callers while limits allow
+    pump() {
+        const windowStart = Date.now() - 60000;
+        this.startTimes = this.startTimes.filter(time => time > windowStart);
+        
+        while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+            if (this.requestsPerMinute && this.startTimes.length >= this.requestsPerMinute) {
+                // Wake up when the oldest request leaves the one-minute window
+                if (!this.timer) {
+                    const wait = this.startTimes[0] + 60000 - Date.now();
+                    this.timer = setTimeout(() => {
+                        this.timer = null;
+                        this.pump();
+                    }, Math.max(0, wait));
+                }
+                return;
+            }
+            
+            const waiter = this.queue.shift();
+            if (waiter.signal && waiter.onAbort) {
+                waiter.signal.removeEventListener('abort', waiter.onAbort);
+            }
+            
+            this.active++;
+            this.startTimes.push(Date.now());
+            
+            let released = false;
+            waiter.resolve(() => {
+                if (released) return;
+                released = true;
+                this.active--;
+                this.pump();
+            });
+        }
+    }
+    
+    // Current limiter state (for diagnostics)
+    getStatus() {
+        return {
+            active: this.active,
+            queued: this.queue.length,
+            maxConcurrent: this.maxConcurrent,
+            requestsPerMinute: this.requestsPerMinute
+        };
+    }
+}
\ No newline at end of file
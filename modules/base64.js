@@ -0,0 +1,25 @@
+// base64.js
+// Base64 Conversion for Binary Values Stored as JSON - Ciphertexts, Salts and Compressed Archives (ES6)
+
+// Large values overflow String.fromCharCode(...bytes), so convert in chunks
+const CHUNK_SIZE = 0x8000;
+
+// Base64 text of an ArrayBuffer or typed array, of any size
+export const bytesToBase64 = (bytes) => {
+    const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes.buffer || bytes, bytes.byteOffset || 0, bytes.byteLength);
+    let binary = '';
+    for (let offset = 0; offset < view.length; offset += CHUNK_SIZE) {
+        binary += String.fromCharCode(...view.subarray(offset, offset + CHUNK_SIZE));
+    }
+    return btoa(binary);
+};
+
+// Bytes of base64 text
+export const base64ToBytes = (text) => {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let index = 0; index < binary.length; index++) {
+        bytes[index] = binary.charCodeAt(index);
+    }
+    return bytes;
+};
\ No newline at end of file
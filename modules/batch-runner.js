@@ -0,0 +1,223 @@
+// batch-runner.js
+// Pausable, Cancellable, Concurrent Batch Runner with Persisted Progress (ES6)
+
+import { StorageManager } from './storage-credentials-manager.js';
+
+export class BatchRunner extends StorageManager {
+    constructor(config = {}) {
+        super(config);
+        this.stateKey = config.stateKey || 'batch_state';
+        this.itemKey = config.itemKey || ((item) => String(item.rowIndex)); // Identifies an item across runs
+        this.concurrency = Math.max(1, parseInt(config.concurrency, 10) || 1); // Items processed at once
+        this.progressCallback = config.onProgress || null;
+        this.itemStatusCallback = config.onItemStatus || null; // (item, status, detail) for per-item progress
+        
+        this.state = null;
+        this.controller = null;
+        this.paused = false;
+        this.stopped = false;
+        this.stopReason = null;
+        this.resumeWaiters = [];
+    }
+    
+    // Signal passed to every worker call - aborted by stop()
+    get signal() {
+        return this.controller ? this.controller.signal : null;
+    }
+    
+    // A batch left by a stop, pause, closed tab or failed write-back (or null)
+    getResumableState() {
+        return this.load(this.stateKey, null);
+    }
+    
+    // Start (or resume) a batch. Items already done in a saved batch are skipped and
+    // returned separately so the caller can still write them back.
+    // Returns { remaining: [item], done: [{ item, result }] }
+    prepare(items) {
+        const previous = this.getResumableState();
+        const previousItems = previous ? previous.items : {};
+        
+        this.state = {
+            id: previous ? previous.id : `batch_${Date.now()}`,
+            status: 'running',
+            startedAt: previous ? previous.startedAt : new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            items: {}
+        };
+        
+        const remaining = [];
+        const done = [];
+        
+        for (const item of items) {
+            const key = this.itemKey(item);
+            const saved = previousItems[key];
+            
+            if (saved && saved.status === 'done') {
+                this.state.items[key] = saved;
+                done.push({ item: item, result: saved.result });
+            } else {
+                this.state.items[key] = { status: 'pending' };
+                remaining.push(item);
+            }
+        }
+        
+        this.controller = new AbortController();
+        this.paused = false;
+        this.stopped = false;
+        this.stopReason = null;
+        this.saveState();
+        
+        return { remaining: remaining, done: done };
+    }
+    
+    // Run worker(item, signal) for each item, up to `concurrency` at a time, honoring pause and stop.
+    // Items start in order; results are returned in input order whatever order they finish in.
+    // Returns { done: [{ item, result }], failed: [{ item, error }], stopped, reason }
+    async run(items, worker) {
+        const summary = { done: [], failed: [], stopped: false, reason: null };
+        const outcomes = new Array(items.length);
+        let next = 0;
+        
+        const runNext = async () => {
+            while (next < items.length) {
+                await this.waitWhilePaused();
+                if (this.stopped || next >= items.length) return;
+                
+                const index = next++;
+                const item = items[index];
+                const key = this.itemKey(item);
+                this.setItemState(key, { status: 'running' });
+                this.notifyItemStatus(item, 'running');
+                
+                try {
+                    const result = await worker(item, this.signal);
+                    this.setItemState(key, { status: 'done', result: result ?? null, finishedAt: new Date().toISOString() });
+                    outcomes[index] = { status: 'done', entry: { item: item, result: result } };
+                    this.notifyItemStatus(item, 'done');
+                } catch (error) {
+                    if (this.stopped || error.name === 'AbortError') {
+                        // Interrupted, not failed - a resumed run picks it up again
+                        this.setItemState(key, { status: 'pending' });
+                        this.notifyItemStatus(item, 'cancelled');
+                        return;
+                    }
+                    this.setItemState(key, { status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+                    outcomes[index] = { status: 'failed', entry: { item: item, error: error } };
+                    this.notifyItemStatus(item, 'failed', error.message);
+                }
+                
+                this.notifyProgress(this.collectOutcomes(outcomes, summary));
+            }
+        };
+        
+        // Each lane pulls the next item when it finishes one; AI rate limiters still gate the actual requests
+        const lanes = Math.min(this.concurrency, items.length);
+        await Promise.all(Array.from({ length: lanes }, () => runNext()));
+        
+        this.collectOutcomes(outcomes, summary);
+        summary.stopped = this.stopped;
+        summary.reason = this.stopReason;
+        if (!this.stopped) {
+            this.state.status = 'finished';
+            this.saveState();
+        }
+        return summary;
+    }
+    
+    // Fill summary.done / summary.failed from per-index outcomes, keeping input order
+    collectOutcomes(outcomes, summary) {
+        summary.done = outcomes.filter(outcome => outcome && outcome.status === 'done').map(outcome => outcome.entry);
+        summary.failed = outcomes.filter(outcome => outcome && outcome.status === 'failed').map(outcome => outcome.entry);
+        return summary;
+    }
+    
+    // Wait while paused; returns immediately when running or stopped
+    waitWhilePaused() {
+        if (!this.paused || this.stopped) return Promise.resolve();
+        return new Promise(resolve => this.resumeWaiters.push(resolve));
+    }
+    
+    // Pause after the items in flight finish
+    pause() {
+        if (this.stopped) return;
+        this.paused = true;
+        this.updateStatus('paused');
+    }
+    
+    // Continue a paused batch
+    resume() {
+        if (this.stopped) return;
+        this.paused = false;
+        this.updateStatus('running');
+        this.releaseWaiters();
+    }
+    
+    // Stop the batch, cancelling requests in flight
+    stop(reason = 'Stopped by user') {
+        if (this.stopped) return;
+        this.stopped = true;
+        this.stopReason = reason;
+        this.updateStatus('stopped');
+        if (this.controller) {
+            this.controller.abort(new DOMException(reason, 'AbortError'));
+        }
+        this.releaseWaiters();
+    }
+    
+    // Wake everything waiting in waitWhilePaused()
+    releaseWaiters() {
+        const waiters = this.resumeWaiters;
+        this.resumeWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+    
+    // Forget the saved batch once its results are safely written back
+    complete() {
+        this.state = null;
+        return this.remove(this.stateKey);
+    }
+    
+    // Update and persist one item's state
+    setItemState(key, itemState) {
+        this.state.items[key] = itemState;
+        this.saveState();
+    }
+    
+    // Update and persist the batch status
+    updateStatus(status) {
+        if (!this.state) return;
+        this.state.status = status;
+        this.saveState();
+    }
+    
+    // Persist the batch state
+    saveState() {
+        this.state.updatedAt = new Date().toISOString();
+        return this.save(this.stateKey, this.state);
+    }
+    
+    // Counts per item status
+    getCounts() {
+        const counts = { pending: 0, running: 0, done: 0, failed: 0 };
+        if (!this.state) return counts;
+        
+        for (const itemState of Object.values(this.state.items)) {
+            counts[itemState.status] = (counts[itemState.status] || 0) + 1;
+        }
+        return counts;
+    }
+    
+    // Report one item's status change (running, done, failed, cancelled)
+    notifyItemStatus(item, status, detail = null) {
+        if (this.itemStatusCallback) {
+            this.itemStatusCallback(item, status, detail);
+        }
+    }
+    
+    // Report progress to the registered callback
+    notifyProgress(summary) {
+        if (this.progressCallback) {
+            this.progressCallback({ ...this.getCounts(), paused: this.paused, summary: summary });
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,353 @@
+// credential-vault.js
+// Passphrase-Protected Credential Vault - AES-GCM with a PBKDF2-Derived Key (ES6)
+
+import { StorageManager } from './storage-credentials-manager.js';
+import { bytesToBase64, base64ToBytes } from './base64.js';
+
+// Thrown when secrets are read or written while the vault is locked
+export class VaultLockedError extends Error {
+    constructor(message = 'Credential vault is locked') {
+        super(message);
+        this.name = 'VaultLockedError';
+    }
+}
+
+// Base64 helpers for storing binary values as JSON (chunked - whole encrypted backups go through them)
+export const toBase64 = (bytes) => bytesToBase64(bytes);
+export const fromBase64 = (text) => base64ToBytes(text);
+
+// Derive an AES-GCM key from a passphrase with PBKDF2-SHA256
+export const deriveKey = async (passphrase, salt, iterations) => {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+    
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+};
+
+// Encrypt a JSON value with a fresh IV: returns { iv, data } as base64
+export const encryptJSON = async (key, value) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: iv },
+        key,
+        new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { iv: toBase64(iv), data: toBase64(ciphertext) };
+};
+
+// Decrypt { iv, data } back to a JSON value (throws when the key is wrong)
+export const decryptJSON = async (key, record) => {
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(record.iv) },
+        key,
+        fromBase64(record.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+};
+
+export class CredentialVault extends StorageManager {
+    constructor(config = {}) {
+        // Shared namespace so one passphrase unlocks every agent's secrets
+        super({ ...config, namespace: config.namespace || 'postassist' });
+        this.vaultKey = config.vaultKey || 'credential_vault';
+        this.settingsKey = 'vault_settings';
+        this.iterations = config.iterations || 600000; // PBKDF2-SHA256 rounds for new or re-keyed vaults
+        this.minPassphraseLength = config.minPassphraseLength || 8;
+        this.idleTimeout = this.load(this.settingsKey, {}).idleTimeout ?? config.idleTimeout ?? 15 * 60 * 1000; // Auto-lock after this long without activity (0 = never)
+        this.isBusy = config.isBusy || (() => false); // Postpones auto-lock, e.g. while a batch is running
+        this.lockCallback = config.onLock || null;
+        this.unlockCallback = config.onUnlock || null;
+        
+        this.key = null;
+        this.salt = null;
+        this.secrets = null;
+        this.dirty = new Set();
+        this.idleTimer = null;
+        this.persisting = Promise.resolve();
+    }
+    
+    // WebCrypto is only available in secure contexts (HTTPS or localhost)
+    static isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+    
+    // Whether a passphrase has been set up
+    isInitialized() {
+        return this.exists(this.vaultKey);
+    }
+    
+    // Whether secrets can be read right now
+    isUnlocked() {
+        return this.key !== null;
+    }
+    
+    // Set up a new vault protected by a passphrase (starts unlocked and empty)
+    async create(passphrase) {
+        if (this.isInitialized()) {
+            throw new Error('A credential vault already exists - unlock it or change its passphrase');
+        }
+        this.checkPassphrase(passphrase);
+        
+        this.salt = crypto.getRandomValues(new Uint8Array(16));
+        this.key = await deriveKey(passphrase, this.salt, this.iterations);
+        this.secrets = {};
+        await this.persist();
+        
+        this.afterUnlock();
+        return true;
+    }
+    
+    // Unlock with the passphrase. Throws on a wrong passphrase.
+    async unlock(passphrase) {
+        const record = this.load(this.vaultKey, null);
+        if (!record) {
+            throw new Error('No credential vault has been set up');
+        }
+        
+        const salt = fromBase64(record.salt);
+        const key = await deriveKey(passphrase, salt, record.iterations);
+        
+        try {
+            this.secrets = await decryptJSON(key, record);
+        } catch (error) {
+            throw new Error('Incorrect passphrase');
+        }
+        
+        this.key = key;
+        this.salt = salt;
+        this.dirty.clear();
+        this.afterUnlock();
+        return true;
+    }
+    
+    // Forget the key and decrypted secrets
+    lock(reason = 'manual') {
+        if (!this.isUnlocked()) return;
+        
+        this.key = null;
+        this.secrets = null;
+        this.dirty.clear();
+        this.clearIdleTimer();
+        
+        if (this.lockCallback) {
+            this.lockCallback(reason);
+        }
+    }
+    
+    // Re-encrypt everything under a new passphrase (and a fresh salt)
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        this.checkPassphrase(newPassphrase);
+        await this.persisting;
+        
+        // Verify the current passphrase even when already unlocked
+        const wasUnlocked = this.isUnlocked();
+        const record = this.load(this.vaultKey, null);
+        if (!record) {
+            throw new Error('No credential vault has been set up');
+        }
+        const currentKey = await deriveKey(currentPassphrase, fromBase64(record.salt), record.iterations);
+        let secrets;
+        try {
+            secrets = await decryptJSON(currentKey, record);
+        } catch (error) {
+            throw new Error('Incorrect passphrase');
+        }
+        
+        // Keep unsaved changes from this tab
+        for (const entry of this.dirty) {
+            secrets[entry] = this.secrets[entry];
+        }
+        
+        this.salt = crypto.getRandomValues(new Uint8Array(16));
+        this.key = await deriveKey(newPassphrase, this.salt, this.iterations);
+        this.secrets = secrets;
+        this.dirty.clear();
+        await this.writeRecord();
+        
+        if (wasUnlocked) {
+            this.touch();
+        } else {
+            this.afterUnlock();
+        }
+        return true;
+    }
+    
+    // Delete the vault and every secret in it (for a forgotten passphrase)
+    destroy() {
+        this.lock('destroyed');
+        return this.remove(this.vaultKey);
+    }
+    
+    // Secrets stored for one entry (e.g. 'blogAgent_ai')
+    getSecrets(entry) {
+        if (!this.isUnlocked()) {
+            throw new VaultLockedError();
+        }
+        this.touch();
+        return { ...(this.secrets[entry] || {}) };
+    }
+    
+    // Replace the secrets for one entry and save them encrypted
+    setSecrets(entry, values) {
+        if (!this.isUnlocked()) {
+            throw new VaultLockedError();
+        }
+        
+        const kept = Object.fromEntries(
+            Object.entries(values).filter(([, value]) => value !== null && value !== undefined && value !== '')
+        );
+        if (Object.keys(kept).length > 0) {
+            this.secrets[entry] = kept;
+        } else {
+            delete this.secrets[entry];
+        }
+        
+        this.dirty.add(entry);
+        this.touch();
+        return this.queuePersist();
+    }
+    
+    // Remove one entry's secrets
+    removeSecrets(entry) {
+        return this.setSecrets(entry, {});
+    }
+    
+    // Names of the entries holding secrets
+    listEntries() {
+        if (!this.isUnlocked()) {
+            throw new VaultLockedError();
+        }
+        return Object.keys(this.secrets);
+    }
+    
+    // Reject passphrases that are too short to be worth deriving a key from
+    checkPassphrase(passphrase) {
+        if (!passphrase || passphrase.length < this.minPassphraseLength) {
+            throw new Error(`Passphrase must be at least ${this.minPassphraseLength} characters`);
+        }
+    }
+    
+    // Serialize writes so quick successive saves don't interleave
+    queuePersist() {
+        this.persisting = this.persisting
+            .then(() => this.persist())
+            .catch(error => console.error('Error saving credential vault:', error));
+        return this.persisting;
+    }
+    
+    // Save secrets, merging entries another tab saved since we unlocked
+    async persist() {
+        if (!this.isUnlocked()) return false;
+        
+        if (this.dirty.size > 0) {
+            await this.mergeStored();
+        }
+        
+        this.dirty.clear();
+        return this.writeRecord();
+    }
+    
+    // Pick up secrets other tabs saved (e.g. a refreshed OAuth token), keeping this tab's unsaved changes
+    async reload() {
+        if (!this.isUnlocked()) return false;
+        
+        await this.persisting;
+        try {
+            await this.mergeStored();
+        } catch (error) {
+            if (!(error instanceof VaultLockedError)) throw error;
+        }
+        return this.isUnlocked();
+    }
+    
+    // Resolves once every queued save has been written
+    flush() {
+        return this.persisting;
+    }
+    
+    // Replace the in-memory secrets with the stored ones, re-applying this tab's dirty entries
+    async mergeStored() {
+        const stored = this.load(this.vaultKey, null);
+        if (!stored) return;
+        
+        if (stored.salt !== toBase64(this.salt)) {
+            // Re-keyed elsewhere - our key can no longer write a vault the other tab can read
+            this.lock('passphrase changed in another tab');
+            throw new VaultLockedError('The passphrase was changed in another tab - unlock again');
+        }
+        
+        const latest = await decryptJSON(this.key, stored);
+        for (const entry of this.dirty) {
+            if (this.secrets[entry]) {
+                latest[entry] = this.secrets[entry];
+            } else {
+                delete latest[entry];
+            }
+        }
+        this.secrets = latest;
+    }
+    
+    // Encrypt the secrets with a fresh IV and write the record
+    async writeRecord() {
+        const encrypted = await encryptJSON(this.key, this.secrets);
+        
+        return this.save(this.vaultKey, {
+            version: 1,
+            kdf: 'PBKDF2-SHA256',
+            iterations: this.iterations,
+            salt: toBase64(this.salt),
+            iv: encrypted.iv,
+            data: encrypted.data,
+            updatedAt: new Date().toISOString()
+        });
+    }
+    
+    // Start the idle timer and report the unlock
+    afterUnlock() {
+        this.touch();
+        if (this.unlockCallback) {
+            this.unlockCallback();
+        }
+    }
+    
+    // Record activity - restarts the auto-lock countdown
+    touch() {
+        if (!this.isUnlocked() || !this.idleTimeout) return;
+        
+        this.clearIdleTimer();
+        this.idleTimer = setTimeout(() => {
+            if (this.isBusy()) {
+                this.touch();
+            } else {
+                this.lock('idle');
+            }
+        }, this.idleTimeout);
+    }
+    
+    // Change and save the auto-lock delay (0 disables it)
+    setIdleTimeout(milliseconds) {
+        this.idleTimeout = milliseconds;
+        this.clearIdleTimer();
+        this.touch();
+        return this.save(this.settingsKey, { idleTimeout: milliseconds });
+    }
+    
+    // Stop the auto-lock countdown
+    clearIdleTimer() {
+        if (this.idleTimer) {
+            clearTimeout(this.idleTimer);
+            this.idleTimer = null;
+        }
+    }
+}
\ No newline at end of file
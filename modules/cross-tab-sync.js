@@ -0,0 +1,140 @@
+// cross-tab-sync.js
+// Cross-Tab Change Notifications and Locking - BroadcastChannel / storage Events and Web Locks (ES6)
+
+// Thrown when a lock is still held elsewhere after the wait limit
+export class LockTimeoutError extends Error {
+    constructor(name, timeout) {
+        super(`Timed out after ${Math.round(timeout / 100) / 10}s waiting for "${name}" - another tab may be busy`);
+        this.name = 'LockTimeoutError';
+        this.lockName = name;
+    }
+}
+
+export class CrossTabSync {
+    constructor(config = {}) {
+        this.channelName = config.channelName || 'postassist';
+        this.lockTimeout = config.lockTimeout ?? 30000; // Longest wait for a lock (0 = wait forever)
+        this.tabId = `tab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.storageKey = `${this.channelName}_sync_message`; // Carries messages when BroadcastChannel is missing
+        this.handlers = new Map(); // topic -> Set of handlers
+        this.localLocks = new Map(); // name -> tail of the in-tab queue (without Web Locks)
+        this.channel = null;
+        
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.onmessage = (event) => this.dispatch(event.data);
+        } else if (typeof window !== 'undefined') {
+            // Other tabs get a storage event for every localStorage write
+            this.storageListener = (event) => {
+                if (event.key === this.storageKey && event.newValue) {
+                    try {
+                        this.dispatch(JSON.parse(event.newValue));
+                    } catch (error) {
+                        console.error('Error reading cross-tab message:', error);
+                    }
+                }
+            };
+            window.addEventListener('storage', this.storageListener);
+        }
+    }
+    
+    // Whether writes in other tabs can be waited for (otherwise locks only order this tab's writes)
+    static supportsLocks() {
+        return typeof navigator !== 'undefined' && !!navigator.locks;
+    }
+    
+    // Tell other tabs something changed. detail must be JSON-safe and should not hold secrets
+    publish(topic, detail = {}) {
+        const message = { topic: topic, detail: detail, tabId: this.tabId, sentAt: new Date().toISOString() };
+        
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(this.storageKey, JSON.stringify(message));
+            }
+        } catch (error) {
+            console.error(`Error publishing ${topic} change:`, error);
+        }
+    }
+    
+    // Run handler(detail, message) for changes other tabs publish. Returns an unsubscribe function
+    subscribe(topic, handler) {
+        if (!this.handlers.has(topic)) {
+            this.handlers.set(topic, new Set());
+        }
+        this.handlers.get(topic).add(handler);
+        
+        return () => {
+            const handlers = this.handlers.get(topic);
+            if (handlers) handlers.delete(handler);
+        };
+    }
+    
+    // Hand a message from another tab to its subscribers
+    dispatch(message) {
+        if (!message || message.tabId === this.tabId) return;
+        
+        for (const handler of this.handlers.get(message.topic) || []) {
+            try {
+                handler(message.detail, message);
+            } catch (error) {
+                console.error(`Error handling ${message.topic} change:`, error);
+            }
+        }
+    }
+    
+    // Run action() while holding the named lock in every tab of this origin. Not re-entrant:
+    // don't take the same lock again inside action.
+    async withLock(name, action) {
+        const lockName = `${this.channelName}:${name}`;
+        if (!CrossTabSync.supportsLocks()) {
+            return this.withLocalLock(lockName, action);
+        }
+        
+        const controller = new AbortController();
+        const timer = this.lockTimeout ? setTimeout(() => controller.abort(), this.lockTimeout) : null;
+        
+        try {
+            return await navigator.locks.request(lockName, { signal: controller.signal }, () => {
+                clearTimeout(timer);
+                return action();
+            });
+        } catch (error) {
+            if (controller.signal.aborted && error.name === 'AbortError') {
+                throw new LockTimeoutError(name, this.lockTimeout);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    
+    // Without Web Locks: queue actions for the same name within this tab
+    withLocalLock(name, action) {
+        const previous = this.localLocks.get(name) || Promise.resolve();
+        const run = previous.then(() => action());
+        const tail = run.catch(() => {});
+        
+        this.localLocks.set(name, tail);
+        tail.then(() => {
+            if (this.localLocks.get(name) === tail) {
+                this.localLocks.delete(name);
+            }
+        });
+        return run;
+    }
+    
+    // Stop listening (e.g. when the page unloads)
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        if (this.storageListener) {
+            window.removeEventListener('storage', this.storageListener);
+            this.storageListener = null;
+        }
+        this.handlers.clear();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,128 @@
+// idea-lifecycle.js
+// Idea Status Lifecycle - States, Allowed Transitions, Sheet Values and Retry Rules for the Ideas Tab (ES6)
+
+// Thrown when an idea can't move from its current status to the requested one
+export class IdeaTransitionError extends Error {
+    constructor(from, to) {
+        super(`An idea can't go from ${IDEA_STATES[from]?.label || from} to ${IDEA_STATES[to]?.label || to}`);
+        this.name = 'IdeaTransitionError';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+// Every status an idea can have, the text written to the Status column and the statuses it can move to.
+// The agents move ideas through pending, generating, generated and failed; people move them on to
+// in review, approved and published in the sheet
+export const IDEA_STATES = {
+    pending: { label: 'Pending', next: ['generating'] },
+    generating: { label: 'Generating', next: ['generated', 'failed', 'pending', 'generating'] }, // Back to pending when a run is stopped first
+    generated: { label: 'Generated', next: ['in_review', 'approved', 'published', 'pending'] },
+    in_review: { label: 'In Review', next: ['approved', 'generated', 'pending'] },
+    approved: { label: 'Approved', next: ['published', 'in_review'] },
+    published: { label: 'Published', next: [] },
+    failed: { label: 'Failed', next: ['generating', 'pending'] }
+};
+
+// Ideas tab columns the lifecycle writes besides Status (added to tabs without them)
+export const IDEA_LIFECYCLE_FIELDS = ['statusUpdated', 'error', 'retries'];
+
+// Other Status texts people use, and 'Processed' from before the lifecycle existed
+const STATUS_ALIASES = {
+    '': 'pending',
+    'new': 'pending',
+    'todo': 'pending',
+    'to do': 'pending',
+    'queued': 'pending',
+    'processing': 'generating',
+    'processed': 'generated',
+    'done': 'generated',
+    'review': 'in_review',
+    'in review': 'in_review',
+    'needs review': 'in_review',
+    'error': 'failed'
+};
+
+export class IdeaLifecycle {
+    constructor(config = {}) {
+        this.maxRetries = config.maxRetries ?? 3; // Failed ideas are picked up again until they have failed this many times
+        this.staleAfter = config.staleAfter || 30 * 60 * 1000; // 'Generating' rows untouched this long were interrupted (tab closed)
+    }
+    
+    // Status id for a Status cell ('In Review' -> 'in_review'), or null when the text isn't a known status
+    parse(text) {
+        const normalized = String(text || '').trim().toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ');
+        if (normalized in STATUS_ALIASES) return STATUS_ALIASES[normalized];
+        
+        const match = Object.entries(IDEA_STATES).find(([, state]) => state.label.toLowerCase() === normalized);
+        return match ? match[0] : null;
+    }
+    
+    // Text written to the Status column
+    label(state) {
+        return IDEA_STATES[state]?.label || state;
+    }
+    
+    // Whether an idea may move from one status to another
+    canTransition(from, to) {
+        return !!IDEA_STATES[from] && IDEA_STATES[from].next.includes(to);
+    }
+    
+    // An idea as read from a row: { state, known, retries, error, updatedAt }. Unknown statuses count as pending
+    describe(values) {
+        const state = this.parse(values.status);
+        const updatedAt = values.statusUpdated ? Date.parse(values.statusUpdated) : NaN;
+        return {
+            state: state || 'pending',
+            known: state !== null,
+            retries: Math.max(0, parseInt(values.retries, 10) || 0),
+            error: values.error || '',
+            updatedAt: Number.isNaN(updatedAt) ? null : updatedAt
+        };
+    }
+    
+    // Whether an idea should be generated: pending ones, failed ones with retries left, and 'Generating'
+    // ones left behind by an interrupted run. Failed ideas out of retries wait until someone sets them to Pending
+    isPickable(idea, now = Date.now()) {
+        if (idea.state === 'pending') return true;
+        if (idea.state === 'failed') return idea.retries < this.maxRetries;
+        if (idea.state === 'generating') return idea.updatedAt === null || now - idea.updatedAt > this.staleAfter;
+        return false;
+    }
+    
+    // Cells to write when an idea moves to a status. Failing records the reason and counts a retry;
+    // generating successfully clears the last error. Throws IdeaTransitionError for moves the lifecycle doesn't allow
+    cellsFor(idea, to, options = {}) {
+        if (!this.canTransition(idea.state, to)) {
+            throw new IdeaTransitionError(idea.state, to);
+        }
+        
+        const cells = {
+            status: this.label(to),
+            statusUpdated: (options.now ? new Date(options.now) : new Date()).toISOString()
+        };
+        if (to === 'failed') {
+            cells.error = options.error || 'Unknown error';
+            cells.retries = idea.retries + 1;
+        } else if (to === 'generated') {
+            cells.error = '';
+        }
+        return cells;
+    }
+    
+    // Move rows of a SheetSync-read Ideas tab to a status, reading each row's current status from the sheet.
+    // errors: { [rowId]: reason } for failed rows. Rows whose status can't make the move are left alone.
+    // Returns { updated, conflicts, refused: [{ id, from }] }
+    async moveRows(sync, ids, to, options = {}) {
+        const refused = [];
+        const result = await sync.updateRows(ids, (record) => {
+            const idea = this.describe(record.values);
+            if (!this.canTransition(idea.state, to)) {
+                refused.push({ id: record.id, from: idea.state });
+                return null;
+            }
+            return this.cellsFor(idea, to, { error: (options.errors || {})[record.id] });
+        });
+        return { ...result, refused: refused };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,244 @@
+// oauth-providers.js
+// OAuth 2.0 Provider Profiles and Registry - Endpoints, Scopes, Parameters and Refresh Semantics (ES6)
+
+// Base profile - describes how one provider runs the authorization code flow.
+// refresh: 'refresh_token' (standard grant), 'exchange' (trade the current token for a fresh one) or 'none' (tokens don't expire)
+export class OAuthProviderProfile {
+    constructor(config = {}) {
+        this.id = config.id;
+        this.label = config.label || config.id;
+        this.authUrl = config.authUrl;
+        this.tokenUrl = config.tokenUrl;
+        this.scopes = config.scopes || [];
+        this.scopeSeparator = config.scopeSeparator || ' ';
+        this.authParams = config.authParams || {}; // Extra authorization request parameters
+        this.tokenParams = config.tokenParams || {}; // Extra token request parameters
+        this.flows = config.flows || ['secret']; // Supported flows, the first is the default (see OAUTH_FLOWS)
+        this.clientAuth = config.clientAuth || 'body'; // How a client secret is sent: 'body' or 'basic' (HTTP Basic)
+        this.refresh = config.refresh || 'refresh_token';
+        this.rotatesRefreshToken = config.rotatesRefreshToken || false; // Every refresh returns a new refresh token
+        this.refreshBefore = config.refreshBefore || 5 * 60 * 1000; // Refresh when less than this is left
+        this.supportsTokenPopup = config.supportsTokenPopup || false; // Google Identity Services 'token' flow
+        this.accountFields = config.accountFields || []; // Token response fields kept with the tokens (e.g. the site or user id)
+    }
+    
+    // Whether a flow can be used with this provider
+    supportsFlow(flow) {
+        return this.flows.includes(flow);
+    }
+    
+    // Authorization URL to send the user to
+    buildAuthUrl({ clientId, redirectUri, state, scopes = this.scopes, codeChallenge = null }) {
+        const params = new URLSearchParams({
+            client_id: clientId,
+            redirect_uri: redirectUri,
+            response_type: 'code',
+            state: state,
+            ...this.authParams
+        });
+        if (scopes.length > 0) {
+            params.set('scope', scopes.join(this.scopeSeparator));
+        }
+        if (codeChallenge) {
+            params.set('code_challenge', codeChallenge);
+            params.set('code_challenge_method', 'S256');
+        }
+        return `${this.authUrl}?${params}`;
+    }
+    
+    // Token endpoint request for a grant. settings = { clientId, clientSecret, tokenUrl }
+    buildTokenRequest(grant, settings) {
+        const headers = {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Accept': 'application/json'
+        };
+        const body = new URLSearchParams({ ...this.tokenParams, ...grant, client_id: settings.clientId });
+        
+        if (settings.clientSecret) {
+            if (this.clientAuth === 'basic') {
+                headers['Authorization'] = 'Basic ' + btoa(`${settings.clientId}:${settings.clientSecret}`);
+            } else {
+                body.set('client_secret', settings.clientSecret);
+            }
+        }
+        
+        return {
+            url: settings.tokenUrl || this.tokenUrl,
+            options: { method: 'POST', headers: headers, body: body }
+        };
+    }
+    
+    // Grant that renews tokens (null when this provider can't)
+    buildRefreshGrant(tokens) {
+        if (this.refresh !== 'refresh_token' || !tokens.refreshToken) return null;
+        return { grant_type: 'refresh_token', refresh_token: tokens.refreshToken };
+    }
+    
+    // Normalize a token response: { accessToken, refreshToken, expiresIn, scope, account, error }
+    parseTokenResponse(data) {
+        const error = data.error && typeof data.error === 'object'
+            ? data.error.message || data.error.type
+            : data.error_description || data.error;
+        
+        return {
+            accessToken: data.access_token || null,
+            refreshToken: data.refresh_token || null,
+            expiresIn: data.expires_in !== undefined && data.expires_in !== null ? Number(data.expires_in) : null,
+            scope: data.scope || null,
+            account: Object.fromEntries(this.accountFields.filter(field => data[field] !== undefined).map(field => [field, data[field]])),
+            error: data.access_token ? null : (error || 'Failed to get tokens')
+        };
+    }
+    
+    // Summary for settings screens
+    describe() {
+        return {
+            id: this.id,
+            label: this.label,
+            flows: this.flows,
+            refresh: this.refresh,
+            scopes: this.scopes
+        };
+    }
+}
+
+// Google (Sheets by default). Refresh tokens need access_type=offline, and prompt=consent returns one every time
+export class GoogleProfile extends OAuthProviderProfile {
+    constructor(config = {}) {
+        super({
+            id: 'google',
+            label: 'Google',
+            authUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+            tokenUrl: 'https://oauth2.googleapis.com/token',
+            scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+            authParams: { access_type: 'offline', prompt: 'consent' },
+            flows: ['secret', 'pkce', 'token'],
+            supportsTokenPopup: true,
+            ...config
+        });
+    }
+}
+
+// WordPress.com (and Jetpack sites). Without a scope the token covers the one site the user picks; tokens don't expire
+export class WordPressComProfile extends OAuthProviderProfile {
+    constructor(config = {}) {
+        super({
+            id: 'wordpress',
+            label: 'WordPress.com',
+            authUrl: 'https://public-api.wordpress.com/oauth2/authorize',
+            tokenUrl: 'https://public-api.wordpress.com/oauth2/token',
+            scopes: [],
+            flows: ['secret'],
+            refresh: 'none',
+            accountFields: ['blog_id', 'blog_url'],
+            ...config
+        });
+    }
+}
+
+// LinkedIn. Refresh tokens are only issued to approved partners - others sign in again after 60 days
+export class LinkedInProfile extends OAuthProviderProfile {
+    constructor(config = {}) {
+        super({
+            id: 'linkedin',
+            label: 'LinkedIn',
+            authUrl: 'https://www.linkedin.com/oauth/v2/authorization',
+            tokenUrl: 'https://www.linkedin.com/oauth/v2/accessToken',
+            scopes: ['openid', 'profile', 'w_member_social'],
+            flows: ['secret'],
+            ...config
+        });
+    }
+}
+
+// Meta (Facebook Login for the Instagram Graph API). There are no refresh tokens: a valid long-lived token
+// is exchanged for a new one with fb_exchange_token, so it is renewed a week before its 60 days run out
+export class MetaProfile extends OAuthProviderProfile {
+    constructor(config = {}) {
+        const version = config.graphVersion || 'v19.0';
+        super({
+            id: 'meta',
+            label: 'Meta (Facebook / Instagram)',
+            authUrl: `https://www.facebook.com/${version}/dialog/oauth`,
+            tokenUrl: `https://graph.facebook.com/${version}/oauth/access_token`,
+            scopes: ['instagram_basic', 'instagram_content_publish', 'pages_show_list'],
+            scopeSeparator: ',',
+            flows: ['secret'],
+            refresh: 'exchange',
+            refreshBefore: 7 * 24 * 60 * 60 * 1000,
+            ...config
+        });
+    }
+    
+    // Exchange the current token (it must still be valid)
+    buildRefreshGrant(tokens) {
+        if (!tokens.accessToken) return null;
+        return { grant_type: 'fb_exchange_token', fb_exchange_token: tokens.accessToken };
+    }
+}
+
+// X (Twitter). PKCE is required; confidential clients also send their secret with HTTP Basic.
+// offline.access returns a refresh token, and each refresh replaces it
+export class XProfile extends OAuthProviderProfile {
+    constructor(config = {}) {
+        super({
+            id: 'x',
+            label: 'X (Twitter)',
+            authUrl: 'https://twitter.com/i/oauth2/authorize',
+            tokenUrl: 'https://api.twitter.com/2/oauth2/token',
+            scopes: ['tweet.read', 'tweet.write', 'users.read', 'offline.access'],
+            flows: ['pkce'],
+            clientAuth: 'basic',
+            rotatesRefreshToken: true,
+            ...config
+        });
+    }
+}
+
+// Registry of provider profiles
+export class OAuthProviderRegistry {
+    constructor() {
+        this.profiles = new Map();
+    }
+    
+    // Register (or replace) a profile
+    register(profile) {
+        if (!(profile instanceof OAuthProviderProfile)) {
+            throw new Error('OAuth providers must extend OAuthProviderProfile');
+        }
+        if (!profile.id || !profile.authUrl || !profile.tokenUrl) {
+            throw new Error('OAuth providers need an id, authUrl and tokenUrl');
+        }
+        
+        this.profiles.set(profile.id, profile);
+        return this;
+    }
+    
+    // Get a profile by id
+    get(id) {
+        return this.profiles.get(id) || null;
+    }
+    
+    // Check if a profile is registered
+    has(id) {
+        return this.profiles.has(id);
+    }
+    
+    // List profile descriptions (for dropdowns)
+    list() {
+        return Array.from(this.profiles.values()).map(profile => profile.describe());
+    }
+}
+
+// Build a registry with the built-in profiles
+export const createDefaultOAuthProviders = () => {
+    return new OAuthProviderRegistry()
+        .register(new GoogleProfile())
+        .register(new WordPressComProfile())
+        .register(new LinkedInProfile())
+        .register(new MetaProfile())
+        .register(new XProfile());
+};
+
+// Shared registry used by OAuthTokenManager unless one is passed in
+export const defaultOAuthProviders = createDefaultOAuthProviders();
\ No newline at end of file
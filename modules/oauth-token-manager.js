@@ -1,17 +1,102 @@
 // oauth-token-manager.js
 // Shared OAuth and Token Management Module (ES6)
 
+import { defaultOAuthProviders } from './oauth-providers.js';
+
+// Sign-in flows: 'secret' - authorization code exchanged with the client secret,
+// 'pkce' - authorization code with PKCE (no secret needed), 'token' - Google Identity Services token popup.
+// Each provider profile lists the flows it supports
+export const OAUTH_FLOWS = ['secret', 'pkce', 'token'];
+
+const GIS_SCRIPT_URL = 'https://accounts.google.com/gsi/client';
+
+// Thrown when the sign-in redirect doesn't match one this tab started (possible CSRF) or was cancelled
+export class OAuthStateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OAuthStateError';
+    }
+}
+
+// URL-safe base64 without padding (RFC 7636)
+export const base64UrlEncode = (bytes) => btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+// Random URL-safe string from `byteCount` random bytes (64 bytes give an 86-character PKCE verifier)
+export const randomUrlSafeString = (byteCount = 32) => base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteCount)));
+
+// S256 code challenge for a PKCE code verifier
+export const createCodeChallenge = async (codeVerifier) => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+    return base64UrlEncode(new Uint8Array(digest));
+};
+
+// Load the Google Identity Services script once
+let gisLoading = null;
+export const loadGoogleIdentityServices = () => {
+    if (typeof window !== 'undefined' && window.google && window.google.accounts && window.google.accounts.oauth2) {
+        return Promise.resolve(window.google.accounts.oauth2);
+    }
+    if (!gisLoading) {
+        gisLoading = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = GIS_SCRIPT_URL;
+            script.async = true;
+            script.onload = () => resolve(window.google.accounts.oauth2);
+            script.onerror = () => {
+                gisLoading = null;
+                reject(new Error('Could not load Google Identity Services - check your connection or content blockers'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return gisLoading;
+};
+
+// Tokens for one account with one provider. The provider profile (Google by default) supplies the
+// endpoints, scopes, extra parameters and how tokens are renewed
 export class OAuthTokenManager {
     constructor(config = {}) {
+        this.providers = config.providers || defaultOAuthProviders;
+        this.provider = config.provider && typeof config.provider === 'object'
+            ? config.provider
+            : this.providers.get(config.provider || 'google');
+        if (!this.provider) {
+            throw new Error(`Unknown OAuth provider: ${config.provider}`);
+        }
+        this.account = config.account || 'default'; // Several accounts with one provider each get their own store
+        
         this.clientId = config.clientId || null;
         this.clientSecret = config.clientSecret || null;
+        this.flow = config.flow || this.provider.flows[0];
         this.accessToken = null;
         this.refreshToken = null;
         this.tokenExpiry = null;
-        this.storageKey = config.storageKey || 'oauth_tokens';
-        this.scope = config.scope || 'https://www.googleapis.com/auth/spreadsheets';
+        this.accountInfo = {}; // Provider details returned with the tokens (e.g. WordPress.com blog_id)
+        this.storageKey = config.storageKey || `oauth_${this.provider.id}_${this.account}`;
+        this.scopes = config.scopes || (config.scope ? config.scope.split(' ') : this.provider.scopes);
+        this.tokenUrl = config.tokenUrl || null; // Overrides the profile's, e.g. a proxy for token endpoints that block browsers
         this.tokenRefreshCallback = config.onTokenRefresh || null;
         this.tokenExpiryCallback = config.onTokenExpiry || null;
+        this.vault = config.vault || null; // Optional CredentialVault for the client secret and tokens
+        this.sync = config.sync || null; // Optional CrossTabSync - one tab refreshes at a time, the others pick up the result
+        this.tokensChangedCallback = config.onTokensChanged || null; // Tokens were changed by another tab
+        this.refreshing = null;
+        this.pendingKey = `${this.storageKey}_pending`; // sessionStorage: state and PKCE verifier of a sign-in in progress
+        this.pendingMaxAge = config.pendingMaxAge || 10 * 60 * 1000; // A sign-in redirect older than this is refused
+        this.tokenClient = null; // Google Identity Services token client ('token' flow)
+        
+        if (this.sync) {
+            this.sync.subscribe('oauth', (detail) => {
+                if (detail.storageKey === this.storageKey) {
+                    this.reloadTokens()
+                        .then(() => this.tokensChangedCallback && this.tokensChangedCallback())
+                        .catch(error => console.error('Error loading OAuth data from another tab:', error));
+                }
+            });
+        }
         
         // Auto-refresh setup
         this.refreshInterval = null;
@@ -26,9 +111,14 @@ export class OAuthTokenManager {
                 const data = JSON.parse(stored);
                 this.clientId = data.clientId || this.clientId;
                 this.clientSecret = data.clientSecret || this.clientSecret;
+                this.flow = this.provider.supportsFlow(data.flow) ? data.flow : this.flow;
+                this.accountInfo = data.accountInfo || {};
                 this.accessToken = data.accessToken || null;
                 this.refreshToken = data.refreshToken || null;
                 this.tokenExpiry = data.tokenExpiry || null;
+                if (this.vault && this.vault.isUnlocked()) {
+                    this.applySecrets(this.vault.getSecrets(this.storageKey));
+                }
                 return true;
             }
         } catch (error) {
@@ -43,11 +133,27 @@ export class OAuthTokenManager {
             const data = {
                 clientId: this.clientId,
                 clientSecret: this.clientSecret,
+                flow: this.flow,
+                provider: this.provider.id,
+                account: this.account,
+                accountInfo: this.accountInfo,
                 accessToken: this.accessToken,
                 refreshToken: this.refreshToken,
                 tokenExpiry: this.tokenExpiry
             };
+            
+            // With a vault the secrets are stored encrypted; while it is locked the saved copies stay as they are
+            if (this.vault && this.vault.isInitialized()) {
+                if (this.vault.isUnlocked()) {
+                    this.vault.setSecrets(this.storageKey, this.getSecrets());
+                }
+                delete data.clientSecret;
+                delete data.accessToken;
+                delete data.refreshToken;
+            }
+            
             localStorage.setItem(this.storageKey, JSON.stringify(data));
+            this.announceChange();
             return true;
         } catch (error) {
             console.error('Error saving OAuth data to storage:', error);
@@ -55,38 +161,155 @@ export class OAuthTokenManager {
         }
     }
     
-    // Start OAuth flow
-    authenticate(redirectUri = null) {
+    // Re-read tokens another tab saved (secrets from the vault when it is unlocked)
+    async reloadTokens() {
+        if (this.vault && this.vault.isUnlocked()) {
+            await this.vault.reload();
+        }
+        return this.loadFromStorage();
+    }
+    
+    // Use another token store (e.g. a workspace profile's Google account). The client and tokens
+    // in memory are replaced by what that store holds
+    bindStorage(storageKey) {
+        if (this.refreshing) {
+            throw new Error('A token refresh is in progress - try again in a moment');
+        }
+        
+        this.storageKey = storageKey;
+        this.pendingKey = `${storageKey}_pending`;
+        this.clientId = null;
+        this.flow = this.provider.flows[0];
+        this.accountInfo = {};
+        this.tokenExpiry = null;
+        this.tokenClient = null;
+        this.clearSecrets();
+        return this.loadFromStorage();
+    }
+    
+    // Let other tabs know once the saved tokens can be read (the vault writes asynchronously)
+    async announceChange() {
+        if (!this.sync) return;
+        
+        if (this.vault) {
+            await this.vault.flush();
+        }
+        this.sync.publish('oauth', { storageKey: this.storageKey, tokenExpiry: this.tokenExpiry });
+    }
+    
+    // Values that belong in the vault
+    getSecrets() {
+        return {
+            clientSecret: this.clientSecret,
+            accessToken: this.accessToken,
+            refreshToken: this.refreshToken
+        };
+    }
+    
+    // Restore secrets read from the vault
+    applySecrets(secrets) {
+        this.clientSecret = secrets.clientSecret || this.clientSecret;
+        this.accessToken = secrets.accessToken || this.accessToken;
+        this.refreshToken = secrets.refreshToken || this.refreshToken;
+    }
+    
+    // Drop secrets from memory (when the vault locks)
+    clearSecrets() {
+        this.clientSecret = null;
+        this.accessToken = null;
+        this.refreshToken = null;
+    }
+    
+    // Whether the flow needs the client secret to get and refresh tokens
+    requiresClientSecret() {
+        return this.flow === 'secret';
+    }
+    
+    // Start OAuth flow. The code flows redirect to the provider; the 'token' flow opens the Google
+    // Identity Services popup and resolves with the token (call it from a click so the popup isn't blocked)
+    async authenticate(redirectUri = null) {
         if (!this.clientId) {
             throw new Error('Client ID is required for authentication');
         }
+        if (!this.provider.supportsFlow(this.flow)) {
+            throw new Error(`${this.provider.label} does not support the ${this.flow} sign-in flow`);
+        }
+        if (this.flow === 'token') {
+            return this.requestTokenWithPopup();
+        }
         
         const actualRedirectUri = redirectUri || window.location.origin + window.location.pathname;
         
-        const authUrl = `https://accounts.google.com/o/oauth2/v2/auth?` +
-            `client_id=${this.clientId}` +
-            `&redirect_uri=${encodeURIComponent(actualRedirectUri)}` +
-            `&response_type=code` +
-            `&scope=${encodeURIComponent(this.scope)}` +
-            `&access_type=offline` +
-            `&prompt=consent`;
+        // state ties the redirect back to this tab; the PKCE verifier never leaves it
+        const pending = {
+            provider: this.provider.id,
+            account: this.account,
+            flow: this.flow,
+            state: randomUrlSafeString(32),
+            codeVerifier: this.flow === 'pkce' ? randomUrlSafeString(64) : null,
+            redirectUri: actualRedirectUri,
+            createdAt: Date.now()
+        };
+        sessionStorage.setItem(this.pendingKey, JSON.stringify(pending));
         
-        window.location.href = authUrl;
+        window.location.href = this.provider.buildAuthUrl({
+            clientId: this.clientId,
+            redirectUri: actualRedirectUri,
+            state: pending.state,
+            scopes: this.scopes,
+            codeChallenge: pending.codeVerifier ? await createCodeChallenge(pending.codeVerifier) : null
+        });
     }
     
-    // Check for OAuth code in URL and exchange for tokens
+    // Whether the sign-in this tab started for this account has this state (several accounts can wait at once)
+    ownsAuthCallback(state) {
+        try {
+            const pending = JSON.parse(sessionStorage.getItem(this.pendingKey) || 'null');
+            return !!pending && !!state && pending.state === state;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    // Take the sign-in this tab started (it can only be used once)
+    takePendingSignIn() {
+        let pending = null;
+        try {
+            pending = JSON.parse(sessionStorage.getItem(this.pendingKey) || 'null');
+        } catch (error) {
+            console.error('Error reading pending sign-in:', error);
+        }
+        sessionStorage.removeItem(this.pendingKey);
+        return pending;
+    }
+    
+    // Check for OAuth code in URL and exchange for tokens.
+    // Throws OAuthStateError when the redirect is not one this tab started or the user cancelled
     async handleAuthCallback(redirectUri = null) {
         const urlParams = new URLSearchParams(window.location.search);
         const code = urlParams.get('code');
+        const error = urlParams.get('error');
         
-        if (!code) {
+        if (!code && !error) {
             return false;
         }
         
+        // Clean URL - the code is single-use either way
+        window.history.replaceState({}, document.title, window.location.pathname);
+        const pending = this.takePendingSignIn();
+        
+        if (error) {
+            throw new OAuthStateError(error === 'access_denied' ? `${this.provider.label} sign-in was cancelled` : `${this.provider.label} sign-in failed: ${error}`);
+        }
+        if (!pending || !urlParams.get('state') || pending.state !== urlParams.get('state')) {
+            throw new OAuthStateError(`${this.provider.label} sign-in was not started from this tab (state mismatch) - sign in again`);
+        }
+        if (Date.now() - pending.createdAt > this.pendingMaxAge) {
+            throw new OAuthStateError(`${this.provider.label} sign-in took too long - sign in again`);
+        }
+        
         try {
-            await this.exchangeCodeForTokens(code, redirectUri);
-            // Clean URL
-            window.history.replaceState({}, document.title, window.location.pathname);
+            await this.exchangeCodeForTokens(code, redirectUri || pending.redirectUri, pending.codeVerifier);
             return true;
         } catch (error) {
             console.error('Error handling auth callback:', error);
@@ -94,106 +317,201 @@ export class OAuthTokenManager {
         }
     }
     
-    // Exchange authorization code for tokens
-    async exchangeCodeForTokens(code, redirectUri = null) {
-        if (!this.clientId || !this.clientSecret) {
+    // Exchange authorization code for tokens (codeVerifier: the PKCE verifier, when the flow uses one)
+    async exchangeCodeForTokens(code, redirectUri = null, codeVerifier = null) {
+        if (!this.clientId) {
+            throw new Error('Client ID is required for token exchange');
+        }
+        if (!codeVerifier && !this.clientSecret) {
             throw new Error('Client ID and Client Secret are required for token exchange');
         }
         
         const actualRedirectUri = redirectUri || window.location.origin + window.location.pathname;
+        const grant = {
+            code: code,
+            redirect_uri: actualRedirectUri,
+            grant_type: 'authorization_code'
+        };
+        if (codeVerifier) {
+            grant.code_verifier = codeVerifier;
+        }
         
         try {
-            const response = await fetch('https://oauth2.googleapis.com/token', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                },
-                body: new URLSearchParams({
-                    code: code,
-                    client_id: this.clientId,
-                    client_secret: this.clientSecret,
-                    redirect_uri: actualRedirectUri,
-                    grant_type: 'authorization_code'
-                })
-            });
+            // The client secret goes along whenever there is one - Google still asks Web application clients for it with PKCE
+            this.applyTokens(await this.requestTokens(grant));
             
-            const data = await response.json();
+            // Meta's sign-in token lasts about an hour - trade it for a long-lived one straight away
+            if (this.provider.refresh === 'exchange') {
+                this.applyTokens(await this.requestTokens(this.provider.buildRefreshGrant(this)), true);
+            }
+            this.saveToStorage();
             
-            if (data.access_token) {
-                this.accessToken = data.access_token;
-                this.refreshToken = data.refresh_token;
-                this.tokenExpiry = new Date(Date.now() + (data.expires_in * 1000)).toISOString();
-                this.saveToStorage();
-                
-                if (this.tokenRefreshCallback) {
-                    this.tokenRefreshCallback(this.accessToken, this.tokenExpiry);
-                }
-                
-                return {
-                    accessToken: this.accessToken,
-                    refreshToken: this.refreshToken,
-                    tokenExpiry: this.tokenExpiry
-                };
-            } else {
-                throw new Error(data.error || 'Failed to get tokens');
+            if (this.tokenRefreshCallback) {
+                this.tokenRefreshCallback(this.accessToken, this.tokenExpiry);
             }
+            
+            return {
+                accessToken: this.accessToken,
+                refreshToken: this.refreshToken,
+                tokenExpiry: this.tokenExpiry
+            };
         } catch (error) {
             console.error('Token exchange error:', error);
             throw error;
         }
     }
     
-    // Refresh access token
-    async refreshAccessToken() {
-        if (!this.refreshToken || !this.clientId || !this.clientSecret) {
-            throw new Error('Cannot refresh token: missing required credentials');
-        }
+    // Send a grant to the provider's token endpoint. Returns the parsed response, or throws the provider's error
+    async requestTokens(grant) {
+        const { url, options } = this.provider.buildTokenRequest(grant, {
+            clientId: this.clientId,
+            clientSecret: this.clientSecret,
+            tokenUrl: this.tokenUrl
+        });
         
-        try {
-            const response = await fetch('https://oauth2.googleapis.com/token', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                },
-                body: new URLSearchParams({
+        const response = await fetch(url, options);
+        const tokens = this.provider.parseTokenResponse(await response.json());
+        if (tokens.error) {
+            throw new Error(tokens.error);
+        }
+        return tokens;
+    }
+    
+    // Take tokens from a response. A refresh keeps the refresh token unless the provider sent a new one
+    applyTokens(tokens, isRefresh = false) {
+        this.accessToken = tokens.accessToken;
+        if (tokens.refreshToken || !isRefresh) {
+            this.refreshToken = tokens.refreshToken;
+        }
+        this.tokenExpiry = tokens.expiresIn ? new Date(Date.now() + (tokens.expiresIn * 1000)).toISOString() : null;
+        this.accountInfo = { ...this.accountInfo, ...tokens.account };
+    }
+    
+    // Load Google Identity Services and set up the token client ahead of the sign-in click
+    async loadTokenClient() {
+        const oauth2 = await loadGoogleIdentityServices();
+        if (!this.tokenClient || this.tokenClient.clientId !== this.clientId) {
+            this.tokenClient = {
+                clientId: this.clientId,
+                oauth2: oauth2,
+                client: oauth2.initTokenClient({
                     client_id: this.clientId,
-                    client_secret: this.clientSecret,
-                    refresh_token: this.refreshToken,
-                    grant_type: 'refresh_token'
-                })
-            });
-            
-            const data = await response.json();
+                    scope: this.scopes.join(' '),
+                    callback: (response) => this.tokenClient.resolve(response),
+                    error_callback: (error) => this.tokenClient.reject(error)
+                }),
+                resolve: () => {},
+                reject: () => {}
+            };
+        }
+        return this.tokenClient;
+    }
+    
+    // Ask for an access token in the Google Identity Services popup. Tokens from this flow can't be
+    // refreshed in the background - the popup opens again (without the consent screen) when one expires
+    async requestTokenWithPopup() {
+        const tokenClient = await this.loadTokenClient();
+        
+        const response = await new Promise((resolve, reject) => {
+            tokenClient.resolve = resolve;
+            tokenClient.reject = (error) => reject(new OAuthStateError(
+                error && error.type === 'popup_closed' ? 'Google sign-in was cancelled' : `Google sign-in failed: ${(error && (error.message || error.type)) || 'unknown error'}`
+            ));
+            tokenClient.client.requestAccessToken({ prompt: this.accessToken ? '' : 'consent' });
+        });
+        
+        if (response.error) {
+            throw new OAuthStateError(`Google sign-in failed: ${response.error_description || response.error}`);
+        }
+        if (!tokenClient.oauth2.hasGrantedAllScopes(response, ...this.scopes)) {
+            throw new OAuthStateError('Google sign-in did not grant every requested permission - allow them all and try again');
+        }
+        
+        this.accessToken = response.access_token;
+        this.refreshToken = null;
+        this.tokenExpiry = new Date(Date.now() + (response.expires_in * 1000)).toISOString();
+        this.saveToStorage();
+        
+        if (this.tokenRefreshCallback) {
+            this.tokenRefreshCallback(this.accessToken, this.tokenExpiry);
+        }
+        
+        return {
+            accessToken: this.accessToken,
+            refreshToken: null,
+            tokenExpiry: this.tokenExpiry
+        };
+    }
+    
+    // Refresh access token. Concurrent calls share one request, and with a CrossTabSync only one tab
+    // refreshes at a time - a tab that waited uses the token the other one got
+    refreshAccessToken() {
+        if (!this.refreshing) {
+            const refresh = () => this.refreshUnlessRefreshedElsewhere();
+            this.refreshing = (this.sync ? this.sync.withLock(`oauth:${this.storageKey}`, refresh) : refresh())
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+        return this.refreshing;
+    }
+    
+    // Skip the request when another tab saved a new, still fresh token while we waited
+    async refreshUnlessRefreshedElsewhere() {
+        if (this.sync) {
+            const previousToken = this.accessToken;
+            await this.reloadTokens();
             
-            if (data.access_token) {
-                this.accessToken = data.access_token;
-                this.tokenExpiry = new Date(Date.now() + (data.expires_in * 1000)).toISOString();
-                this.saveToStorage();
-                
+            const timeLeft = this.tokenExpiry ? new Date(this.tokenExpiry).getTime() - Date.now() : 0;
+            if (this.accessToken && this.accessToken !== previousToken && timeLeft > 5 * 60 * 1000) {
                 if (this.tokenRefreshCallback) {
                     this.tokenRefreshCallback(this.accessToken, this.tokenExpiry);
                 }
-                
                 return this.accessToken;
-            } else {
-                throw new Error(data.error || 'Failed to refresh token');
             }
+        }
+        
+        return this.requestAccessToken();
+    }
+    
+    // Ask Google for a new access token with the refresh token
+    async requestAccessToken() {
+        if (this.flow === 'token') {
+            throw new Error('Google Identity Services tokens cannot be refreshed in the background - sign in again');
+        }
+        const grant = this.provider.buildRefreshGrant({ accessToken: this.accessToken, refreshToken: this.refreshToken });
+        if (!grant || !this.clientId || (this.requiresClientSecret() && !this.clientSecret)) {
+            throw new Error('Cannot refresh token: missing required credentials');
+        }
+        
+        try {
+            this.applyTokens(await this.requestTokens(grant), true);
+            this.saveToStorage();
+            if (this.vault) {
+                await this.vault.flush(); // Written before the lock is released, so a waiting tab reads it
+            }
+            
+            if (this.tokenRefreshCallback) {
+                this.tokenRefreshCallback(this.accessToken, this.tokenExpiry);
+            }
+            
+            return this.accessToken;
         } catch (error) {
             console.error('Token refresh error:', error);
             throw error;
         }
     }
     
-    // Check token expiry
+    // Check token expiry (null for tokens that never expire)
     checkTokenExpiry() {
-        if (!this.tokenExpiry || !this.refreshToken) return null;
+        if (!this.tokenExpiry) return null;
         
         const now = new Date().getTime();
         const expiry = new Date(this.tokenExpiry).getTime();
         const timeLeft = expiry - now;
         
-        // Auto-refresh if less than 5 minutes left
-        if (timeLeft < 5 * 60 * 1000 && timeLeft > 0) {
+        // Auto-refresh when the provider's margin is reached (5 minutes for most)
+        if (timeLeft < this.provider.refreshBefore && timeLeft > 0 && this.canAutoRefresh()) {
             this.refreshAccessToken().catch(error => {
                 console.error('Auto-refresh failed:', error);
                 if (this.tokenExpiryCallback) {
@@ -228,13 +546,33 @@ export class OAuthTokenManager {
         }
     }
     
-    // Update credentials
-    updateCredentials(clientId, clientSecret) {
+    // Update credentials (and the sign-in flow). Switching flows drops tokens the old flow got
+    updateCredentials(clientId, clientSecret, flow = this.flow) {
+        if (!OAUTH_FLOWS.includes(flow) || !this.provider.supportsFlow(flow)) {
+            throw new Error(`${this.provider.label} does not support the ${flow} sign-in flow`);
+        }
+        if (flow !== this.flow) {
+            this.accessToken = null;
+            this.refreshToken = null;
+            this.tokenExpiry = null;
+        }
+        
         this.clientId = clientId;
-        this.clientSecret = clientSecret;
+        this.clientSecret = clientSecret || null;
+        this.flow = flow;
         this.saveToStorage();
     }
     
+    // Whether an expiring access token can be replaced without the user: the provider must renew tokens
+    // (a refresh token, or a still valid token for 'exchange') and 'secret' needs the client secret.
+    // 'token' flow tokens never refresh in the background
+    canAutoRefresh() {
+        if (this.flow === 'token' || this.provider.refresh === 'none' || !this.clientId) return false;
+        if (!this.provider.buildRefreshGrant({ accessToken: this.accessToken, refreshToken: this.refreshToken })) return false;
+        if (this.provider.refresh === 'exchange' && this.tokenExpiry && new Date(this.tokenExpiry).getTime() <= Date.now()) return false;
+        return !this.requiresClientSecret() || !!this.clientSecret;
+    }
+    
     // Get current token status
     getStatus() {
         const expiryInfo = this.checkTokenExpiry();
@@ -243,7 +581,11 @@ export class OAuthTokenManager {
             hasAccessToken: !!this.accessToken,
             hasRefreshToken: !!this.refreshToken,
             isAuthenticated: !!this.accessToken && (!expiryInfo || !expiryInfo.expired),
-            canAutoRefresh: !!this.refreshToken && !!this.clientSecret,
+            provider: this.provider.id,
+            account: this.account,
+            accountInfo: this.accountInfo,
+            flow: this.flow,
+            canAutoRefresh: this.canAutoRefresh(),
             tokenExpiry: this.tokenExpiry,
             expiryInfo: expiryInfo
         };
@@ -254,6 +596,7 @@ export class OAuthTokenManager {
         this.accessToken = null;
         this.refreshToken = null;
         this.tokenExpiry = null;
+        this.accountInfo = {};
         this.saveToStorage();
     }
     
@@ -269,6 +612,7 @@ export class OAuthTokenManager {
     }
     
     // Make authenticated request with auto-retry on 401
+    // options.signal (AbortSignal) cancels the request and the retry after a refresh
     async makeAuthenticatedRequest(url, options = {}) {
         try {
             const response = await fetch(url, {
@@ -279,10 +623,15 @@ export class OAuthTokenManager {
                 }
             });
             
-            if (response.status === 401 && this.refreshToken) {
+            if (response.status === 401 && this.canAutoRefresh()) {
                 // Try to refresh token and retry
                 await this.refreshAccessToken();
                 
+                // The refresh is shared with other callers so it runs to completion - only the retry is cancelled
+                if (options.signal && options.signal.aborted) {
+                    throw options.signal.reason || new DOMException('Aborted', 'AbortError');
+                }
+                
                 return fetch(url, {
                     ...options,
                     headers: {
@@ -294,8 +643,107 @@ export class OAuthTokenManager {
             
             return response;
         } catch (error) {
-            console.error('Authenticated request error:', error);
+            if (error.name !== 'AbortError') {
+                console.error('Authenticated request error:', error);
+            }
             throw error;
         }
     }
+}
+
+// One token store per provider and per account: get('linkedin', 'work') returns that account's manager,
+// saved under `${namespace}_oauth_linkedin_work`
+export class OAuthConnections {
+    constructor(config = {}) {
+        this.namespace = config.namespace || 'app';
+        this.providers = config.providers || defaultOAuthProviders;
+        this.managerConfig = config.managerConfig || {}; // vault, sync, callbacks and clientIds ({ [provider]: id }) shared by every account
+        this.storageKeys = config.storageKeys || {}; // Keys used before accounts, e.g. { google: 'blogAgent_google' } for the default account
+        this.managers = new Map();
+    }
+    
+    // Where one account's tokens are stored
+    storageKeyFor(providerId, account = 'default') {
+        if (account === 'default' && this.storageKeys[providerId]) {
+            return this.storageKeys[providerId];
+        }
+        return `${this.namespace}_oauth_${providerId}_${account}`;
+    }
+    
+    // The manager for one account (created and loaded on first use)
+    get(providerId, account = 'default') {
+        const storageKey = this.storageKeyFor(providerId, account);
+        if (!this.managers.has(storageKey)) {
+            const { clientIds = {}, ...shared } = this.managerConfig;
+            const manager = new OAuthTokenManager({
+                ...shared,
+                clientId: clientIds[providerId] || null,
+                providers: this.providers,
+                provider: providerId,
+                account: account,
+                storageKey: storageKey
+            });
+            manager.loadFromStorage();
+            this.managers.set(storageKey, manager);
+        }
+        return this.managers.get(storageKey);
+    }
+    
+    // Saved accounts: [{ provider, account, storageKey }]
+    list() {
+        const accounts = [];
+        for (const { id } of this.providers.list()) {
+            const prefix = `${this.namespace}_oauth_${id}_`;
+            if (this.storageKeys[id] && localStorage.getItem(this.storageKeys[id]) !== null) {
+                accounts.push({ provider: id, account: 'default', storageKey: this.storageKeys[id] });
+            }
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(prefix) && !key.endsWith('_pending')) {
+                    accounts.push({ provider: id, account: key.substring(prefix.length), storageKey: key });
+                }
+            }
+        }
+        return accounts;
+    }
+    
+    // Finish whichever account's sign-in redirected back here. Returns that manager, or null when there was none
+    async handleAuthCallback(redirectUri = null) {
+        const urlParams = new URLSearchParams(window.location.search);
+        if (!urlParams.has('code') && !urlParams.has('error')) return null;
+        
+        // The sign-in this tab started with the same state (new accounts have nothing saved yet)
+        const state = urlParams.get('state');
+        let owner = null;
+        for (let i = 0; i < sessionStorage.length && !owner; i++) {
+            const key = sessionStorage.key(i);
+            if (!key || !key.endsWith('_pending')) continue;
+            try {
+                const pending = JSON.parse(sessionStorage.getItem(key));
+                if (pending && pending.state === state && this.providers.has(pending.provider)) {
+                    const manager = this.get(pending.provider, pending.account);
+                    owner = manager.ownsAuthCallback(state) ? manager : null;
+                }
+            } catch (error) {
+                console.error('Error reading pending sign-in:', error);
+            }
+        }
+        
+        // No account started it: let a manager refuse it (and clean the URL)
+        const manager = owner || [...this.managers.values()][0] || this.get(this.providers.list()[0].id);
+        await manager.handleAuthCallback(redirectUri);
+        return manager;
+    }
+    
+    // Sign an account out and forget its store
+    remove(providerId, account = 'default') {
+        const manager = this.get(providerId, account);
+        manager.stopTokenExpiryCheck();
+        if (manager.vault && manager.vault.isUnlocked()) {
+            manager.vault.removeSecrets(manager.storageKey);
+        }
+        localStorage.removeItem(manager.storageKey);
+        this.managers.delete(manager.storageKey);
+        return true;
+    }
 }
\ No newline at end of file
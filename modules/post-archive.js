@@ -0,0 +1,65 @@
+// post-archive.js
+// Compressed Post Archives - gzip Packing and Listing Summaries (ES6)
+
+import { bytesToBase64, base64ToBytes } from './base64.js';
+
+// Whether this browser can gzip (otherwise archives are stored as plain JSON)
+export const supportsCompression = () => typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+// Pack a JSON value: { encoding: 'gzip' | 'json', data, size, originalSize } (sizes in characters)
+export const packJSON = async (value) => {
+    const json = JSON.stringify(value);
+    if (!supportsCompression()) {
+        return { encoding: 'json', data: json, size: json.length, originalSize: json.length };
+    }
+    
+    const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+    const data = bytesToBase64(new Uint8Array(await new Response(stream).arrayBuffer()));
+    return { encoding: 'gzip', data: data, size: data.length, originalSize: json.length };
+};
+
+// Unpack what packJSON produced
+export const unpackJSON = async (packed) => {
+    if (packed.encoding === 'json') {
+        return JSON.parse(packed.data);
+    }
+    if (packed.encoding !== 'gzip') {
+        throw new Error(`Unknown archive encoding: ${packed.encoding}`);
+    }
+    if (!supportsCompression()) {
+        throw new Error('This browser cannot decompress archives - try a current Chrome, Edge, Firefox or Safari');
+    }
+    
+    const stream = new Blob([base64ToBytes(packed.data)]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return JSON.parse(await new Response(stream).text());
+};
+
+// What an archive lists about each post without unpacking it
+export const summarizePost = (post) => ({
+    id: post.id,
+    title: post.title || post.originalTitle || post.topic || 'Untitled',
+    platform: post.platform || null,
+    status: post.status || null,
+    timestamp: post.timestamp,
+    publishedAt: post.publishedAt || null
+});
+
+// Build an archive record for posts. reason: 'limit' (over maxPosts), 'policy' or 'manual'
+export const createArchive = async (posts, reason = 'manual') => {
+    const packed = await packJSON(posts);
+    
+    return {
+        id: `archive_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        createdAt: new Date().toISOString(),
+        reason: reason,
+        count: posts.length,
+        posts: posts.map(summarizePost),
+        ...packed
+    };
+};
+
+// An archive without its packed data, for listing
+export const describeArchive = (archive) => {
+    const { data, ...summary } = archive;
+    return summary;
+};
\ No newline at end of file
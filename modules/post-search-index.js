@@ -0,0 +1,216 @@
+// post-search-index.js
+// In-Memory Inverted Index for Full-Text Post Search with Facets, Sorting and Paging (ES6)
+
+// Searchable fields and their weights - a match in the title counts more than one in the body
+export const DEFAULT_SEARCH_FIELDS = {
+    title: 3,
+    originalTitle: 2,
+    topic: 3,
+    keywords: 2,
+    hashtags: 2,
+    metaDescription: 1,
+    caption: 1,
+    content: 1
+};
+
+// Split a comma-separated keyword list
+const splitKeywords = (keywords) => String(keywords || '').split(',').map(keyword => keyword.trim().toLowerCase()).filter(Boolean);
+
+// Facets counted for every search: name -> post => value or values
+export const DEFAULT_FACETS = {
+    platform: post => post.platform,
+    status: post => post.status,
+    provider: post => post.generatedBy,
+    model: post => post.model,
+    keyword: post => splitKeywords(post.keywords)
+};
+
+// Lowercased words and numbers, with HTML tags removed ("#Travel" -> "travel")
+export const tokenize = (value) => {
+    const text = Array.isArray(value) ? value.join(' ') : String(value ?? '');
+    return text.replace(/<[^>]*>/g, ' ').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+};
+
+export class PostSearchIndex {
+    constructor(config = {}) {
+        this.fields = config.fields || DEFAULT_SEARCH_FIELDS;
+        this.facets = config.facets || DEFAULT_FACETS;
+        this.minPrefixLength = config.minPrefixLength || 2; // Shorter query words only match whole words
+        this.clear();
+    }
+    
+    // Drop everything
+    clear() {
+        this.postings = new Map(); // term -> Map(postId -> weighted term frequency)
+        this.documents = new Map(); // postId -> { terms, facets, timestamp, title }
+    }
+    
+    // Index every post from scratch
+    build(posts) {
+        this.clear();
+        posts.forEach(post => this.add(post));
+        return this;
+    }
+    
+    // Number of indexed posts
+    get size() {
+        return this.documents.size;
+    }
+    
+    // Add or re-index one post
+    add(post) {
+        if (!post || !post.id) return;
+        this.remove(post.id);
+        
+        const terms = new Map();
+        for (const [field, weight] of Object.entries(this.fields)) {
+            for (const term of tokenize(post[field])) {
+                terms.set(term, (terms.get(term) || 0) + weight);
+            }
+        }
+        
+        for (const [term, weight] of terms) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(post.id, weight);
+        }
+        
+        this.documents.set(post.id, {
+            terms: [...terms.keys()],
+            facets: this.extractFacets(post),
+            timestamp: Date.parse(post.timestamp) || 0,
+            title: String(post.title || post.originalTitle || post.topic || '').toLowerCase()
+        });
+    }
+    
+    // Remove one post
+    remove(postId) {
+        const document = this.documents.get(postId);
+        if (!document) return;
+        
+        for (const term of document.terms) {
+            const postings = this.postings.get(term);
+            postings.delete(postId);
+            if (postings.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+        this.documents.delete(postId);
+    }
+    
+    // Facet values of a post, always as arrays of strings
+    extractFacets(post) {
+        const facets = {};
+        for (const [name, extract] of Object.entries(this.facets)) {
+            const value = extract(post);
+            facets[name] = (Array.isArray(value) ? value : [value])
+                .filter(item => item !== null && item !== undefined && item !== '')
+                .map(String);
+        }
+        return facets;
+    }
+    
+    // Relevance of posts containing every query word (prefix matches count half).
+    // Returns Map(postId -> score)
+    scoreText(queryTerms) {
+        let scores = null;
+        
+        for (const queryTerm of new Set(queryTerms)) {
+            const termScores = new Map();
+            const allowPrefix = queryTerm.length >= this.minPrefixLength;
+            
+            for (const [term, postings] of this.postings) {
+                const exact = term === queryTerm;
+                if (!exact && !(allowPrefix && term.startsWith(queryTerm))) continue;
+                
+                // Rare words say more about a post than common ones
+                const idf = Math.log(1 + this.documents.size / postings.size);
+                for (const [postId, weight] of postings) {
+                    termScores.set(postId, (termScores.get(postId) || 0) + weight * idf * (exact ? 1 : 0.5));
+                }
+            }
+            
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                for (const [postId, score] of scores) {
+                    if (termScores.has(postId)) {
+                        scores.set(postId, score + termScores.get(postId));
+                    } else {
+                        scores.delete(postId);
+                    }
+                }
+            }
+        }
+        return scores || new Map();
+    }
+    
+    // Search. query = { text, filters: { [facet]: value, dateFrom, dateTo }, sort, page, pageSize }
+    // sort: 'relevance' (default with text), 'newest' (default without), 'oldest' or 'title'.
+    // Returns { ids, total, page, pageSize, pageCount, facets: { [facet]: { value: count } } }.
+    // Each facet's counts ignore that facet's own filter, so they show what picking another value gives.
+    search(query = {}) {
+        const filters = query.filters || {};
+        const queryTerms = tokenize(query.text);
+        const scores = queryTerms.length > 0 ? this.scoreText(queryTerms) : null;
+        const candidates = scores ? [...scores.keys()] : [...this.documents.keys()];
+        
+        const activeFilters = Object.entries(filters)
+            .filter(([name, value]) => this.facets[name] && value !== null && value !== undefined && value !== '')
+            .map(([name, value]) => [name, String(value).toLowerCase()]);
+        const dateFrom = filters.dateFrom ? Date.parse(filters.dateFrom) : null;
+        const dateTo = filters.dateTo ? Date.parse(filters.dateTo) : null;
+        
+        const facetCounts = Object.fromEntries(Object.keys(this.facets).map(name => [name, {}]));
+        const matches = [];
+        
+        for (const postId of candidates) {
+            const document = this.documents.get(postId);
+            if (dateFrom !== null && document.timestamp < dateFrom) continue;
+            if (dateTo !== null && document.timestamp > dateTo) continue;
+            
+            const failing = activeFilters
+                .filter(([name, value]) => !document.facets[name].some(facetValue => facetValue.toLowerCase() === value))
+                .map(([name]) => name);
+            if (failing.length === 0) {
+                matches.push(postId);
+            }
+            
+            for (const name of Object.keys(this.facets)) {
+                if (failing.length > 1 || (failing.length === 1 && failing[0] !== name)) continue;
+                for (const value of new Set(document.facets[name])) {
+                    facetCounts[name][value] = (facetCounts[name][value] || 0) + 1;
+                }
+            }
+        }
+        
+        this.sortMatches(matches, query.sort || (scores ? 'relevance' : 'newest'), scores);
+        
+        const pageSize = Math.max(1, parseInt(query.pageSize, 10) || 20);
+        const pageCount = Math.max(1, Math.ceil(matches.length / pageSize));
+        const page = Math.min(Math.max(1, parseInt(query.page, 10) || 1), pageCount);
+        
+        return {
+            ids: matches.slice((page - 1) * pageSize, page * pageSize),
+            total: matches.length,
+            page: page,
+            pageSize: pageSize,
+            pageCount: pageCount,
+            facets: facetCounts
+        };
+    }
+    
+    // Order matching post IDs in place
+    sortMatches(postIds, sort, scores) {
+        const newestFirst = (a, b) => this.documents.get(b).timestamp - this.documents.get(a).timestamp;
+        const comparators = {
+            relevance: (a, b) => (scores ? scores.get(b) - scores.get(a) : 0) || newestFirst(a, b),
+            newest: newestFirst,
+            oldest: (a, b) => -newestFirst(a, b),
+            title: (a, b) => this.documents.get(a).title.localeCompare(this.documents.get(b).title) || newestFirst(a, b)
+        };
+        
+        return postIds.sort(comparators[sort] || newestFirst);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,198 @@
+// schema-migrations.js
+// Schema Versions, Migrations and Validators for Persisted Data (ES6)
+
+// Thrown when a stored value can't be brought up to the current schema
+export class SchemaMigrationError extends Error {
+    constructor(message, schema) {
+        super(message);
+        this.name = 'SchemaMigrationError';
+        this.schema = schema;
+    }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Values saved through StorageManager are wrapped as { schemaVersion, data }.
+// Anything else was saved before versioning and counts as version 0.
+export const wrapValue = (value, version) => ({ schemaVersion: version, data: value });
+
+export const unwrapValue = (stored) => {
+    if (isPlainObject(stored) && Number.isInteger(stored.schemaVersion) && 'data' in stored && Object.keys(stored).length === 2) {
+        return { value: stored.data, version: stored.schemaVersion };
+    }
+    return { value: stored, version: 0 };
+};
+
+// Registry of schemas: name -> { version, migrations: { [toVersion]: value => value }, validate: value => [problems] }.
+// A version without a migration step kept the previous shape.
+export class SchemaRegistry {
+    constructor() {
+        this.schemas = new Map();
+    }
+    
+    // Register (or replace) a schema
+    register(name, schema) {
+        if (!Number.isInteger(schema.version) || schema.version < 1) {
+            throw new Error(`Schema "${name}" needs a version of 1 or more`);
+        }
+        
+        this.schemas.set(name, { migrations: {}, validate: null, ...schema });
+        return this;
+    }
+    
+    // Get a schema by name
+    get(name) {
+        return this.schemas.get(name) || null;
+    }
+    
+    // Check if a schema is registered
+    has(name) {
+        return this.schemas.has(name);
+    }
+    
+    // Version new values are saved with (unregistered names are at version 1)
+    currentVersion(name) {
+        const schema = this.get(name);
+        return schema ? schema.version : 1;
+    }
+    
+    // Run the migrations from `fromVersion` up to the current version.
+    // Returns { value, version, migrated, newer } - migrated: a step ran, so the value should be saved again;
+    // newer: a later release saved it, so it is left alone
+    upgrade(name, value, fromVersion = 0) {
+        const target = this.currentVersion(name);
+        if (fromVersion > target) {
+            return { value: value, version: fromVersion, migrated: false, newer: true };
+        }
+        
+        const migrations = (this.get(name) || {}).migrations || {};
+        let upgraded = value;
+        let migrated = false;
+        for (let version = fromVersion + 1; version <= target; version++) {
+            if (!migrations[version]) continue;
+            try {
+                upgraded = migrations[version](upgraded);
+                migrated = true;
+            } catch (error) {
+                throw new SchemaMigrationError(`Could not upgrade ${name} to schema version ${version}: ${error.message}`, name);
+            }
+        }
+        
+        return { value: upgraded, version: target, migrated: migrated, newer: false };
+    }
+    
+    // Problems that make a value unusable (empty when it is fine)
+    validate(name, value) {
+        const schema = this.get(name);
+        if (!schema || !schema.validate) return [];
+        
+        try {
+            return schema.validate(value) || [];
+        } catch (error) {
+            return [`validation failed: ${error.message}`];
+        }
+    }
+}
+
+// Posts before schema 1: Instagram captions used originalTopic and kept their image links in
+// imageSuggestions.unsplashLinks / additionalSources, and early posts had no platform or status.
+const upgradePostToV1 = (post) => {
+    if (!isPlainObject(post)) return post;
+    const upgraded = { ...post };
+    
+    if (upgraded.originalTitle === undefined && upgraded.originalTopic !== undefined) {
+        upgraded.originalTitle = upgraded.originalTopic;
+    }
+    delete upgraded.originalTopic;
+    
+    if (isPlainObject(upgraded.imageSuggestions)) {
+        const { unsplashLinks, additionalSources, ...suggestions } = upgraded.imageSuggestions;
+        if (!upgraded.imageSearchLinks && (unsplashLinks || additionalSources)) {
+            const sources = Array.isArray(additionalSources) ? additionalSources : [];
+            const sourceUrl = (name) => (sources.find(source => source && String(source.name).toLowerCase() === name) || {}).url || null;
+            upgraded.imageSearchLinks = {
+                unsplash: Array.isArray(unsplashLinks) ? unsplashLinks : [],
+                pexels: sourceUrl('pexels'),
+                pixabay: sourceUrl('pixabay')
+            };
+        }
+        upgraded.imageSuggestions = suggestions;
+    }
+    
+    if (!upgraded.platform) {
+        upgraded.platform = upgraded.caption !== undefined ? 'instagram' : 'blog';
+    }
+    if (!upgraded.status) {
+        upgraded.status = 'draft';
+    }
+    if (!upgraded.timestamp || isNaN(Date.parse(upgraded.timestamp))) {
+        upgraded.timestamp = upgraded.lastModified || new Date().toISOString();
+    }
+    return upgraded;
+};
+
+// A post the lists and editors can show
+const validatePost = (post) => {
+    if (!isPlainObject(post)) return ['not an object'];
+    
+    const problems = [];
+    if (typeof post.id !== 'string' || !post.id) {
+        problems.push('missing id');
+    }
+    if (isNaN(Date.parse(post.timestamp))) {
+        problems.push('invalid timestamp');
+    }
+    for (const field of ['title', 'content', 'metaDescription', 'caption', 'hashtags', 'cta']) {
+        if (post[field] !== undefined && post[field] !== null && typeof post[field] !== 'string') {
+            problems.push(`${field} is not text`);
+        }
+    }
+    if (post.platform === 'blog' && typeof post.title !== 'string' && typeof post.content !== 'string') {
+        problems.push('blog post without a title or content');
+    }
+    if (post.platform === 'instagram' && typeof post.caption !== 'string') {
+        problems.push('caption text missing');
+    }
+    if (post.revisions !== undefined && !Array.isArray(post.revisions)) {
+        problems.push('revisions is not a list');
+    }
+    return problems;
+};
+
+const expectObject = (value) => isPlainObject(value) ? [] : ['not an object'];
+const expectList = (value) => Array.isArray(value) ? [] : ['not a list'];
+
+// Build a registry with the schemas of everything PostAssist stores
+export const createDefaultSchemaRegistry = () => {
+    return new SchemaRegistry()
+        // One post record (IndexedDB or the localStorage fallback)
+        .register('post', { version: 1, migrations: { 1: upgradePostToV1 }, validate: validatePost })
+        // StorageManager keys (names without the namespace prefix)
+        .register('credentials', { version: 1, validate: expectObject })
+        .register('credential_vault', {
+            version: 1,
+            validate: (record) => isPlainObject(record) && ['salt', 'iv', 'data'].every(field => typeof record[field] === 'string')
+                ? []
+                : ['not an encrypted vault record']
+        })
+        .register('vault_settings', { version: 1, validate: expectObject })
+        .register('usage_ledger', {
+            version: 1,
+            validate: (entries) => Array.isArray(entries) && entries.every(isPlainObject) ? [] : ['not a list of usage entries']
+        })
+        .register('usage_settings', { version: 1, validate: expectObject })
+        .register('batch_state', { version: 1, validate: expectObject })
+        .register('archive_policy', { version: 1, validate: expectObject })
+        .register('workspace_profiles', {
+            version: 1,
+            validate: (profiles) => Array.isArray(profiles) && profiles.every(profile => isPlainObject(profile) && typeof profile.id === 'string' && typeof profile.name === 'string')
+                ? []
+                : ['not a list of workspace profiles']
+        })
+        .register('active_profile', { version: 1, validate: (id) => typeof id === 'string' ? [] : ['not a profile id'] })
+        .register('sheet_columns', { version: 1, validate: expectObject })
+        .register('generated_posts', { version: 1, validate: expectList });
+};
+
+// Shared registry used by StorageManager unless one is passed in
+export const defaultSchemaRegistry = createDefaultSchemaRegistry();
\ No newline at end of file
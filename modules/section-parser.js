@@ -0,0 +1,196 @@
+// section-parser.js
+// Tolerant Line-Prefix Section Parser with Validation Diagnostics (ES6)
+
+export class SectionParser {
+    // rules: ['TITLE', 'CONTENT'] or { TITLE: { required, minLength, maxLength, minHashtags, maxHashtags, minItems, maxItems } }
+    constructor(rules = {}) {
+        this.rules = Array.isArray(rules)
+            ? Object.fromEntries(rules.map(name => [name, {}]))
+            : { ...rules };
+        this.names = Object.keys(this.rules);
+    }
+    
+    // Build a matcher for one section header. Accepts case differences, spaces for underscores and
+    // markdown decorations: "**TITLE:** x", "**Title**: x", "## Meta Description: x", "- title: x"
+    headerPattern(name) {
+        const words = name.split('_').map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[\\s_]+');
+        return new RegExp(`^[\\s>#*_\\-]*${words}[*_]*\\s*(?:[:：]\\s*[*_]*\\s*(.*?)|[*_#]*\\s*)$`, 'i');
+    }
+    
+    // Match a line against the section headers still open for claiming
+    matchHeader(line, claimed) {
+        for (const name of this.names) {
+            if (claimed.has(name)) continue;
+            
+            const match = line.match(this.headerPattern(name));
+            if (!match) continue;
+            
+            // A bare name without a colon only counts when it is clearly a heading
+            const hasColon = match[1] !== undefined;
+            if (!hasColon && !/^[\s>#*_\-]*[#*_]/.test(line) && line.trim() !== name) continue;
+            
+            return { name: name, value: hasColon ? this.stripDecorations(match[1]) : '' };
+        }
+        return null;
+    }
+    
+    // Remove bold/italic markers left over from a decorated header line
+    stripDecorations(value) {
+        return value.replace(/^[*_]+\s*/, '').replace(/\s*[*_]{2,}$/, '').trim();
+    }
+    
+    // Split text into sections. Each section is claimed once, so a later "Title:" inside the
+    // content stays content. Returns { sections, diagnostics }
+    parse(content) {
+        const sections = {};
+        const claimed = new Set();
+        const lines = this.stripCodeFence((content || '').replace(/\r\n?/g, '\n')).split('\n');
+        let current = null;
+        let buffer = [];
+        
+        const flush = () => {
+            if (current) {
+                sections[current] = buffer.join('\n').trim();
+            }
+        };
+        
+        for (const line of lines) {
+            const header = this.matchHeader(line, claimed);
+            if (header) {
+                flush();
+                current = header.name;
+                claimed.add(header.name);
+                buffer = [header.value];
+            } else if (current) {
+                buffer.push(line);
+            }
+        }
+        flush();
+        
+        return { sections: sections, diagnostics: this.validate(sections) };
+    }
+    
+    // Unwrap a response that was returned inside a single code fence
+    stripCodeFence(text) {
+        const match = text.trim().match(/^```\w*\n([\s\S]*)\n```$/);
+        return match ? match[1] : text;
+    }
+    
+    // Write sections back out in the NAME: value format
+    format(sections) {
+        return this.names
+            .filter(name => sections[name] !== undefined && sections[name] !== null)
+            .map(name => `${name}: ${Array.isArray(sections[name]) ? sections[name].join('\n') : sections[name]}`)
+            .join('\n');
+    }
+    
+    // Count hashtags in a string
+    countHashtags(value) {
+        return (value.match(/#[\p{L}\p{N}_]+/gu) || []).length;
+    }
+    
+    // Check sections against the rules
+    validate(sections) {
+        const diagnostics = {
+            valid: true,
+            found: [],
+            missing: [],
+            empty: [],
+            invalid: [],
+            issues: []
+        };
+        
+        for (const name of this.names) {
+            const rule = this.rules[name] || {};
+            const required = rule.required !== false;
+            const value = sections[name];
+            
+            if (value === undefined || value === null) {
+                if (required) {
+                    diagnostics.missing.push(name);
+                    diagnostics.issues.push(`${name} is missing`);
+                }
+                continue;
+            }
+            
+            diagnostics.found.push(name);
+            
+            const text = Array.isArray(value) ? value.join('\n') : String(value);
+            if (!text.trim()) {
+                if (required) {
+                    diagnostics.empty.push(name);
+                    diagnostics.issues.push(`${name} is empty`);
+                }
+                continue;
+            }
+            
+            for (const problem of this.checkRule(name, value, rule)) {
+                diagnostics.invalid.push({ section: name, message: problem });
+                diagnostics.issues.push(problem);
+            }
+        }
+        
+        diagnostics.valid = diagnostics.issues.length === 0;
+        return diagnostics;
+    }
+    
+    // Per-section constraint checks
+    checkRule(name, value, rule) {
+        const problems = [];
+        const text = Array.isArray(value) ? value.join('\n') : String(value).trim();
+        
+        if (rule.minLength !== undefined && text.length < rule.minLength) {
+            problems.push(`${name} is ${text.length} characters (needs ${this.describeRange(rule.minLength, rule.maxLength)})`);
+        } else if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+            problems.push(`${name} is ${text.length} characters (needs ${this.describeRange(rule.minLength, rule.maxLength)})`);
+        }
+        
+        if (rule.minHashtags !== undefined || rule.maxHashtags !== undefined) {
+            const count = this.countHashtags(text);
+            if ((rule.minHashtags !== undefined && count < rule.minHashtags) || (rule.maxHashtags !== undefined && count > rule.maxHashtags)) {
+                problems.push(`${name} has ${count} hashtags (needs ${this.describeRange(rule.minHashtags, rule.maxHashtags)})`);
+            }
+        }
+        
+        if (Array.isArray(value) && (rule.minItems !== undefined || rule.maxItems !== undefined)) {
+            if ((rule.minItems !== undefined && value.length < rule.minItems) || (rule.maxItems !== undefined && value.length > rule.maxItems)) {
+                problems.push(`${name} has ${value.length} items (needs ${this.describeRange(rule.minItems, rule.maxItems)})`);
+            }
+        }
+        
+        return problems;
+    }
+    
+    // "150-160", "at least 5", "at most 10"
+    describeRange(min, max) {
+        if (min !== undefined && max !== undefined) return `${min}-${max}`;
+        if (min !== undefined) return `at least ${min}`;
+        return `at most ${max}`;
+    }
+    
+    // Short description of a section's constraints, for regeneration prompts
+    describeRule(name) {
+        const rule = this.rules[name] || {};
+        const parts = [];
+        
+        if (rule.minLength !== undefined || rule.maxLength !== undefined) {
+            parts.push(`${this.describeRange(rule.minLength, rule.maxLength)} characters`);
+        }
+        if (rule.minHashtags !== undefined || rule.maxHashtags !== undefined) {
+            parts.push(`${this.describeRange(rule.minHashtags, rule.maxHashtags)} hashtags`);
+        }
+        if (rule.minItems !== undefined || rule.maxItems !== undefined) {
+            parts.push(`${this.describeRange(rule.minItems, rule.maxItems)} items`);
+        }
+        
+        return parts.join(', ');
+    }
+    
+    // Sections a regeneration call should ask for
+    getSectionsToRegenerate(diagnostics) {
+        const invalid = diagnostics.invalid.map(problem => problem.section);
+        return this.names.filter(name =>
+            diagnostics.missing.includes(name) || diagnostics.empty.includes(name) || invalid.includes(name)
+        );
+    }
+}
\ No newline at end of file
@@ -173,7 +173,8 @@ export class UIComponents {
     }
     
     // Modal/Dialog
-    showModal(title, content, buttons = []) {
+    // options = { wide } widens the dialog, e.g. for side-by-side diffs
+    showModal(title, content, buttons = [], options = {}) {
         // Remove any existing modal
         this.hideModal();
         
@@ -182,7 +183,7 @@ export class UIComponents {
         modal.id = 'shared-modal';
         
         const modalContent = document.createElement('div');
-        modalContent.className = 'modal-content';
+        modalContent.className = options.wide ? 'modal-content modal-wide' : 'modal-content';
         
         const modalHeader = document.createElement('div');
         modalHeader.className = 'modal-header';
@@ -245,6 +246,26 @@ export class UIComponents {
         }
     }
     
+    // Populate a <select> from [{ value, label }] while keeping the current choice if possible
+    populateSelect(selectId, options, selectedValue = null) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        
+        const current = selectedValue !== null ? selectedValue : select.value;
+        select.innerHTML = '';
+        
+        options.forEach(opt => {
+            const option = document.createElement('option');
+            option.value = opt.value;
+            option.textContent = opt.label || opt.value;
+            select.appendChild(option);
+        });
+        
+        if (options.some(opt => opt.value === current)) {
+            select.value = current;
+        }
+    }
+    
     // Copy to Clipboard
     async copyToClipboard(text, successMessage = 'Copied to clipboard!') {
         try {
@@ -269,8 +290,20 @@ export class UIComponents {
         window.URL.revokeObjectURL(url);
     }
     
+    // Escape text for use in innerHTML (e.g. names read from an imported file)
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
     // Progress Bar
-    createProgressBar(containerId, max = 100) {
+    // controls = { onPause, onResume, onStop } adds Pause/Resume and Stop buttons
+    // setItemStatus(id, label, status) lists items as queued, running, done, failed or cancelled
+    createProgressBar(containerId, max = 100, controls = {}) {
         const container = document.getElementById(containerId);
         if (!container) return null;
         
@@ -292,20 +325,201 @@ export class UIComponents {
         progressBar.appendChild(progressFill);
         progressWrapper.appendChild(progressBar);
         progressWrapper.appendChild(progressText);
+        
+        // Optional batch controls
+        let paused = false;
+        let pauseButton = null;
+        let stopButton = null;
+        
+        const setPaused = (value) => {
+            paused = value;
+            if (pauseButton) pauseButton.textContent = paused ? 'Resume' : 'Pause';
+            progressFill.classList.toggle('paused', paused);
+        };
+        
+        if (controls.onPause || controls.onStop) {
+            const controlBar = document.createElement('div');
+            controlBar.className = 'progress-controls';
+            
+            if (controls.onPause && controls.onResume) {
+                pauseButton = document.createElement('button');
+                pauseButton.textContent = 'Pause';
+                pauseButton.onclick = () => {
+                    if (paused) {
+                        controls.onResume();
+                    } else {
+                        controls.onPause();
+                    }
+                    setPaused(!paused);
+                };
+                controlBar.appendChild(pauseButton);
+            }
+            
+            if (controls.onStop) {
+                stopButton = document.createElement('button');
+                stopButton.textContent = 'Stop';
+                stopButton.className = 'progress-stop';
+                stopButton.onclick = () => {
+                    stopButton.disabled = true;
+                    stopButton.textContent = 'Stopping...';
+                    if (pauseButton) pauseButton.disabled = true;
+                    controls.onStop();
+                };
+                controlBar.appendChild(stopButton);
+            }
+            
+            progressWrapper.appendChild(controlBar);
+        }
+        
         container.appendChild(progressWrapper);
         
+        // Per-item status list, created on first use
+        const itemRows = new Map();
+        let itemList = null;
+        const itemIcons = { queued: '⏸️', running: '⏳', done: '✅', failed: '❌', cancelled: '⏹️' };
+        
+        const setItemStatus = (id, label, status, detail = null) => {
+            if (!itemList) {
+                itemList = document.createElement('ul');
+                itemList.className = 'progress-items';
+                progressWrapper.appendChild(itemList);
+            }
+            
+            let row = itemRows.get(id);
+            if (!row) {
+                row = document.createElement('li');
+                itemRows.set(id, row);
+                itemList.appendChild(row);
+            }
+            
+            row.className = `progress-item ${status}`;
+            row.textContent = `${itemIcons[status] || ''} ${label}${detail ? ` - ${detail}` : ''}`;
+        };
+        
         return {
             update: (value) => {
                 const percentage = Math.min(100, Math.round((value / max) * 100));
                 progressFill.style.width = percentage + '%';
-                progressText.textContent = percentage + '%';
+                progressText.textContent = percentage + '%' + (paused ? ' (paused)' : '');
+            },
+            setStatus: (text) => {
+                progressText.textContent = text;
             },
+            setPaused: setPaused,
+            setItemStatus: setItemStatus,
             remove: () => {
                 progressWrapper.remove();
             }
         };
     }
     
+    // Live Stream Preview (renders streamed AI output as it arrives)
+    createStreamPreview(containerId, title = 'Generating...') {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+        
+        const previewWrapper = document.createElement('div');
+        previewWrapper.className = 'stream-preview';
+        previewWrapper.id = `${containerId}-stream`;
+        
+        const previewTitle = document.createElement('div');
+        previewTitle.className = 'stream-preview-title';
+        previewTitle.textContent = title;
+        
+        const previewBody = document.createElement('div');
+        previewBody.className = 'stream-preview-body';
+        
+        previewWrapper.appendChild(previewTitle);
+        previewWrapper.appendChild(previewBody);
+        container.appendChild(previewWrapper);
+        
+        return {
+            append: (text) => {
+                previewBody.textContent += text;
+                previewBody.scrollTop = previewBody.scrollHeight;
+            },
+            setTitle: (text) => {
+                previewTitle.textContent = text;
+            },
+            clear: () => {
+                previewBody.textContent = '';
+            },
+            remove: () => {
+                previewWrapper.remove();
+            }
+        };
+    }
+    
+    // Simple Data Table
+    // columns: [{ key, label, format(value, row) }]
+    renderTable(containerId, columns, rows, emptyText = 'No data yet.') {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        if (rows.length === 0) {
+            container.innerHTML = `<p style="color: #666;">${emptyText}</p>`;
+            return;
+        }
+        
+        const table = document.createElement('table');
+        table.className = 'data-table';
+        
+        const headerRow = document.createElement('tr');
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column.label;
+            headerRow.appendChild(th);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+        
+        const tbody = document.createElement('tbody');
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            columns.forEach(column => {
+                const td = document.createElement('td');
+                const value = row[column.key];
+                td.textContent = column.format ? column.format(value, row) : (value ?? '');
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        
+        container.innerHTML = '';
+        container.appendChild(table);
+    }
+    
+    // Side-by-side diff as HTML - rows from text-diff.js sideBySide() / collapseUnchanged()
+    buildDiffTable(rows, leftLabel = 'Before', rightLabel = 'After') {
+        const renderParts = (parts, tag) => parts.map(part =>
+            part.type === 'equal' ? this.escapeHtml(part.text) : `<${tag}>${this.escapeHtml(part.text)}</${tag}>`
+        ).join('');
+        const renderCell = (row, side) => {
+            const text = side === 'left' ? row.left : row.right;
+            if (text === null) return '<td class="diff-empty"></td>';
+            
+            const cellClass = row.type === 'equal' ? '' : (side === 'left' ? 'diff-removed' : 'diff-added');
+            const content = row.type === 'changed'
+                ? renderParts(side === 'left' ? row.leftParts : row.rightParts, side === 'left' ? 'del' : 'ins')
+                : this.escapeHtml(text);
+            return `<td class="${cellClass}">${content || '&nbsp;'}</td>`;
+        };
+        
+        const body = rows.map(row => row.type === 'skipped'
+            ? `<tr><td colspan="2" class="diff-skipped">${row.count} unchanged line${row.count === 1 ? '' : 's'}</td></tr>`
+            : `<tr>${renderCell(row, 'left')}${renderCell(row, 'right')}</tr>`
+        ).join('');
+        
+        return `
+            <table class="diff-table">
+                <thead><tr><th>${this.escapeHtml(leftLabel)}</th><th>${this.escapeHtml(rightLabel)}</th></tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        `;
+    }
+    
     // Confirmation Dialog
     async confirm(message, title = 'Confirm') {
         return new Promise((resolve) => {
@@ -324,6 +538,52 @@ export class UIComponents {
         });
     }
     
+    // Prompt for one or more values in a modal
+    // fields: [{ id, label, type }] - resolves { [id]: value }, or null when cancelled
+    async prompt(message, title = 'Input Required', fields = [{ id: 'value', label: '', type: 'text' }], submitText = 'OK') {
+        return new Promise((resolve) => {
+            const inputs = fields.map(field => `
+                <div class="form-group">
+                    ${field.label ? `<label for="prompt-${field.id}">${field.label}</label>` : ''}
+                    <input type="${field.type || 'text'}" id="prompt-${field.id}" autocomplete="off">
+                </div>
+            `).join('');
+            
+            const readValues = () => Object.fromEntries(
+                fields.map(field => [field.id, document.getElementById(`prompt-${field.id}`).value])
+            );
+            
+            this.showModal(title, `<p>${message}</p>${inputs}`, [
+                {
+                    text: 'Cancel',
+                    class: 'btn-secondary',
+                    onClick: () => resolve(null)
+                },
+                {
+                    text: submitText,
+                    class: 'btn-primary',
+                    onClick: () => resolve(readValues())
+                }
+            ]);
+            
+            const modal = document.getElementById('shared-modal');
+            const submitButton = modal.querySelector('.modal-footer .btn-primary');
+            
+            // Enter submits; closing the overlay counts as cancel
+            modal.querySelectorAll('input').forEach(input => {
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') submitButton.click();
+                });
+            });
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) resolve(null);
+            });
+            
+            const firstInput = modal.querySelector('input');
+            if (firstInput) firstInput.focus();
+        });
+    }
+    
     // Toast Notifications
     showToast(message, type = 'info', duration = 3000) {
         const toast = document.createElement('div');
@@ -471,6 +731,9 @@ export const injectUIStyles = () => {
             overflow: auto;
             box-shadow: 0 4px 20px rgba(0, 0, 0, 0.2);
         }
+        .modal-content.modal-wide {
+            max-width: 1000px;
+        }
         .modal-header {
             padding: 20px;
             border-bottom: 1px solid #eee;
@@ -489,6 +752,52 @@ export const injectUIStyles = () => {
             justify-content: flex-end;
         }
         
+        /* Side-by-Side Diff */
+        .diff-table {
+            width: 100%;
+            border-collapse: collapse;
+            table-layout: fixed;
+            font-family: monospace;
+            font-size: 13px;
+            margin: 10px 0;
+        }
+        .diff-table th {
+            background: #f0f0f0;
+            padding: 6px 8px;
+            text-align: left;
+            font-family: sans-serif;
+        }
+        .diff-table td {
+            padding: 2px 8px;
+            vertical-align: top;
+            white-space: pre-wrap;
+            word-break: break-word;
+            border-bottom: 1px solid #f3f3f3;
+        }
+        .diff-table td.diff-removed {
+            background: #fdecea;
+        }
+        .diff-table td.diff-added {
+            background: #e6f4ea;
+        }
+        .diff-table td.diff-empty {
+            background: #fafafa;
+        }
+        .diff-table td.diff-skipped {
+            color: #888;
+            text-align: center;
+            font-style: italic;
+            font-family: sans-serif;
+        }
+        .diff-table del {
+            background: #f5b7b1;
+            text-decoration: line-through;
+        }
+        .diff-table ins {
+            background: #a9dfbf;
+            text-decoration: none;
+        }
+        
         /* Progress Bar */
         .progress-wrapper {
             margin: 20px 0;
@@ -510,6 +819,81 @@ export const injectUIStyles = () => {
             margin-top: 5px;
             font-size: 14px;
         }
+        .progress-fill.paused {
+            background: #ffc107;
+        }
+        .progress-controls {
+            display: flex;
+            gap: 10px;
+            justify-content: center;
+        }
+        .progress-controls button {
+            padding: 6px 16px;
+            font-size: 14px;
+        }
+        .progress-controls .progress-stop {
+            background: #dc3545;
+        }
+        .progress-items {
+            list-style: none;
+            margin: 10px 0 0;
+            padding: 0;
+            max-height: 200px;
+            overflow-y: auto;
+            font-size: 13px;
+        }
+        .progress-item {
+            padding: 3px 0;
+            color: #666;
+        }
+        .progress-item.running {
+            color: #333;
+            font-weight: bold;
+        }
+        .progress-item.failed {
+            color: #dc3545;
+        }
+        
+        /* Stream Preview */
+        .stream-preview {
+            margin: 20px 0;
+            border: 1px solid #ddd;
+            border-radius: 8px;
+            background: white;
+        }
+        .stream-preview-title {
+            padding: 10px 15px;
+            border-bottom: 1px solid #eee;
+            font-weight: bold;
+            font-size: 14px;
+        }
+        .stream-preview-body {
+            padding: 15px;
+            max-height: 300px;
+            overflow-y: auto;
+            white-space: pre-wrap;
+            font-family: monospace;
+            font-size: 12px;
+            color: #333;
+        }
+        
+        /* Data Table */
+        .data-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 14px;
+            margin: 10px 0;
+        }
+        .data-table th,
+        .data-table td {
+            padding: 8px 10px;
+            border-bottom: 1px solid #eee;
+            text-align: left;
+        }
+        .data-table th {
+            background: #f0f0f0;
+            font-weight: bold;
+        }
         
         /* Toast Notifications */
         .toast-container {
@@ -0,0 +1,234 @@
+// sheet-column-mapper.js
+// Header-Driven Sheet Column Mapping - Fields by Header Name, User Mappings, Required Columns and Extra Columns (ES6)
+
+// Thrown when a tab lacks columns the agent needs
+export class SheetMappingError extends Error {
+    constructor(sheet, missing) {
+        const headers = missing.map(column => `"${column.header}"`).join(', ');
+        const plural = missing.length > 1;
+        super(`The ${sheet} tab is missing the ${headers} column${plural ? 's' : ''} - add ${plural ? 'them' : 'it'} to row 1 or change the mapping under Credentials > Sheet Columns`);
+        this.name = 'SheetMappingError';
+        this.sheet = sheet;
+        this.missing = missing; // [{ field, header }]
+    }
+}
+
+// Headers match ignoring case, spacing and punctuation ("Meta description" = "META-DESCRIPTION")
+export const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Prompt variable for an extra column ("Publish Date" -> publishDate)
+export const headerToVariable = (header) => normalizeHeader(header)
+    .split(' ')
+    .filter(Boolean)
+    .map((word, index) => index === 0 ? word : word[0].toUpperCase() + word.slice(1))
+    .join('');
+
+// Column letters for a 0-based index (0 -> A, 26 -> AA)
+export const columnLetter = (index) => {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+    }
+    return letters;
+};
+
+// Built-in tab layouts. Each field has the header written to a new tab, other headers it is recognised by,
+// and whether reading the tab needs it. The field order is the column order of a new tab. Every tab ends
+// with a hidden Row ID column that keeps track of rows when they are moved (see SheetSync). Lifecycle
+// columns are added to the Ideas tab when it lacks them (see IdeaLifecycle)
+export const SHEET_LAYOUTS = {
+    ideas: {
+        sheet: 'Ideas',
+        fields: [
+            { field: 'title', header: 'Topic', aliases: ['Title', 'Idea', 'Subject'], required: true },
+            { field: 'keywords', header: 'Keywords', aliases: ['Keyword', 'Tags'] },
+            { field: 'description', header: 'Description', aliases: ['Topic Details', 'Details', 'Context', 'Additional Context', 'Notes'] },
+            { field: 'status', header: 'Status', required: true },
+            { field: 'statusUpdated', header: 'Status Updated', aliases: ['Last Updated', 'Status Date'] },
+            { field: 'error', header: 'Error', aliases: ['Error Reason', 'Last Error'] },
+            { field: 'retries', header: 'Retries', aliases: ['Retry Count', 'Attempts'] },
+            { field: 'rowId', header: 'Row ID', hidden: true }
+        ]
+    },
+    blog: {
+        sheet: 'Blog',
+        fields: [
+            { field: 'topic', header: 'Topic', required: true },
+            { field: 'keywords', header: 'Keywords', aliases: ['Keyword', 'Tags'] },
+            { field: 'title', header: 'Title', aliases: ['Post Title', 'Headline'] },
+            { field: 'metaDescription', header: 'Meta Description' },
+            { field: 'featuredImage', header: 'Featured Image', aliases: ['Image Suggestion'] },
+            { field: 'url', header: 'URL', aliases: ['Post URL', 'WordPress URL'] },
+            { field: 'content', header: 'Generated Content', aliases: ['Content', 'Body'], required: true },
+            { field: 'imageUrls', header: 'Image Search URLs', aliases: ['Image URL', 'Image URLs'] },
+            { field: 'status', header: 'Status' },
+            { field: 'rowId', header: 'Row ID', hidden: true }
+        ]
+    },
+    instagram: {
+        sheet: 'Instagram',
+        fields: [
+            { field: 'postId', header: 'Post ID', aliases: ['ID'] },
+            { field: 'title', header: 'Title', aliases: ['Topic'] },
+            { field: 'caption', header: 'Caption', required: true },
+            { field: 'hashtags', header: 'Hashtags', aliases: ['Tags'] },
+            { field: 'imageUrl', header: 'Image URL' },
+            { field: 'imageAltText', header: 'Image Alt Text', aliases: ['Alt Text'] },
+            { field: 'link', header: 'Link' },
+            { field: 'scheduleDate', header: 'Schedule Date', aliases: ['Scheduled', 'Publish Date'] },
+            { field: 'platforms', header: 'Platforms', aliases: ['Platform'] },
+            { field: 'status', header: 'Status' },
+            { field: 'createdDate', header: 'Created Date', aliases: ['Created'] },
+            { field: 'source', header: 'Source' },
+            { field: 'rowId', header: 'Row ID', hidden: true }
+        ]
+    }
+};
+
+// Where the fields of one tab are, resolved from its header row
+export class SheetColumns {
+    constructor(layoutId, sheet, headers, indexes, extras) {
+        this.layoutId = layoutId; // 'ideas', 'blog' or 'instagram'
+        this.sheet = sheet;
+        this.headers = headers; // Row 1 as read
+        this.indexes = indexes; // field -> 0-based column
+        this.extras = extras; // Columns no field uses: [{ header, variable, index }]
+    }
+    
+    // Whether a field has a column
+    has(field) {
+        return this.indexes[field] !== undefined;
+    }
+    
+    // A1 reference of a field's cell in a row ('Ideas!D7'), or null without a column
+    cell(field, rowNumber) {
+        return this.has(field) ? `${this.sheet}!${columnLetter(this.indexes[field])}${rowNumber}` : null;
+    }
+    
+    // Fields and extra columns of one data row: { values: { field: text }, extras: { variable: text } }
+    readRow(row) {
+        const values = {};
+        for (const [field, index] of Object.entries(this.indexes)) {
+            values[field] = row[index] !== undefined && row[index] !== null ? String(row[index]) : '';
+        }
+        
+        const extras = {};
+        this.extras.forEach(({ variable, index }) => {
+            if (row[index] !== undefined && row[index] !== '') {
+                extras[variable] = String(row[index]);
+            }
+        });
+        return { values: values, extras: extras };
+    }
+    
+    // A row in this tab's column order. Fields without a column are dropped; extra columns are filled
+    // from `extras` by variable name (e.g. the Category of the idea a post came from). Cells not
+    // written keep their value from `base` (the row being updated)
+    buildRow(values, extras = {}, base = []) {
+        const row = Array.from({ length: Math.max(this.headers.length, base.length) }, (_, index) => base[index] ?? '');
+        for (const [field, index] of Object.entries(this.indexes)) {
+            if (values[field] !== undefined && values[field] !== null) {
+                row[index] = values[field];
+            }
+        }
+        this.extras.forEach(({ variable, index }) => {
+            if (extras[variable] !== undefined) {
+                row[index] = extras[variable];
+            }
+        });
+        return row;
+    }
+    
+    // Fields the agent has values for but the tab has no column for
+    unmapped(fields) {
+        return fields.filter(field => !this.has(field));
+    }
+}
+
+export class SheetColumnMapper {
+    constructor(config = {}) {
+        this.layouts = { ...SHEET_LAYOUTS, ...(config.layouts || {}) };
+        this.mappings = config.mappings || {}; // User-defined headers: { [layoutId]: { [field]: 'Header' } }
+    }
+    
+    // Get a layout by id
+    getLayout(layoutId) {
+        const layout = this.layouts[layoutId];
+        if (!layout) {
+            throw new Error(`Unknown sheet layout: ${layoutId}`);
+        }
+        return layout;
+    }
+    
+    // Header a field is looked up by (the user's mapping, or the built-in one)
+    headerFor(layoutId, field) {
+        const mapped = (this.mappings[layoutId] || {})[field];
+        if (mapped) return mapped;
+        
+        const definition = this.getLayout(layoutId).fields.find(entry => entry.field === field);
+        return definition ? definition.header : field;
+    }
+    
+    // Replace the user-defined headers of one tab (blank entries fall back to the built-in headers)
+    setMappings(layoutId, mappings) {
+        this.getLayout(layoutId);
+        this.mappings[layoutId] = Object.fromEntries(
+            Object.entries(mappings)
+                .map(([field, header]) => [field, (header || '').trim()])
+                .filter(([, header]) => header)
+        );
+        return this.mappings[layoutId];
+    }
+    
+    // User-defined headers of every tab (for saving)
+    getMappings() {
+        return JSON.parse(JSON.stringify(this.mappings));
+    }
+    
+    // Header row for a new tab
+    defaultHeaders(layoutId) {
+        return this.getLayout(layoutId).fields.map(({ field }) => this.headerFor(layoutId, field));
+    }
+    
+    // Resolve a tab's header row. A mapped field matches only its mapped header; otherwise the built-in
+    // header or an alias. required: fields that must have a column (default: the layout's required fields).
+    // Throws SheetMappingError listing every missing column.
+    resolve(layoutId, headerRow = [], options = {}) {
+        const layout = this.getLayout(layoutId);
+        const headers = headerRow.map(header => String(header || ''));
+        const normalized = headers.map(normalizeHeader);
+        const mapped = this.mappings[layoutId] || {};
+        
+        const indexes = {};
+        const used = new Set();
+        for (const definition of layout.fields) {
+            const candidates = mapped[definition.field]
+                ? [mapped[definition.field]]
+                : [definition.header, ...(definition.aliases || [])];
+            
+            for (const candidate of candidates.map(normalizeHeader)) {
+                const index = normalized.findIndex((header, position) => header === candidate && !used.has(position));
+                if (index !== -1) {
+                    indexes[definition.field] = index;
+                    used.add(index);
+                    break;
+                }
+            }
+        }
+        
+        const required = options.required || layout.fields.filter(definition => definition.required).map(definition => definition.field);
+        const missing = required
+            .filter(field => indexes[field] === undefined)
+            .map(field => ({ field: field, header: this.headerFor(layoutId, field) }));
+        if (missing.length > 0) {
+            throw new SheetMappingError(layout.sheet, missing);
+        }
+        
+        // Every other titled column is an extra, available to prompts as {variable}
+        const extras = headers
+            .map((header, index) => ({ header: header.trim(), variable: headerToVariable(header), index: index }))
+            .filter(({ variable, index }) => variable && !used.has(index));
+        
+        return new SheetColumns(layoutId, layout.sheet, headers, indexes, extras);
+    }
+}
\ No newline at end of file
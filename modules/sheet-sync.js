@@ -0,0 +1,228 @@
+// sheet-sync.js
+// Idempotent Sheet Sync - Hidden Row IDs, Upserts by ID and Conflict Detection (ES6)
+
+import { columnLetter } from './sheet-column-mapper.js';
+import { sheetRange } from './sheets-client.js';
+
+// Thrown by upsert when rows it would write were changed or deleted in the sheet since they were read
+export class SheetConflictError extends Error {
+    constructor(sheet, conflicts) {
+        const changed = conflicts.filter(conflict => conflict.reason === 'changed').length;
+        const deleted = conflicts.length - changed;
+        const parts = [changed > 0 ? `${changed} changed` : null, deleted > 0 ? `${deleted} deleted` : null].filter(Boolean);
+        super(`The ${sheet} tab was edited while PostAssist was working on it (${parts.join(', ')} row${conflicts.length > 1 ? 's' : ''}) - nothing was written. Try again to use the sheet as it is now`);
+        this.name = 'SheetConflictError';
+        this.sheet = sheet;
+        this.conflicts = conflicts; // [{ id, reason: 'changed' | 'deleted', rowNumber }]
+    }
+}
+
+// New row ID (the hidden Row ID column of rows PostAssist didn't write)
+export const createRowId = () => `row_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`;
+
+// One tab, read and written by row ID instead of row number
+export class SheetSync {
+    constructor(config = {}) {
+        this.sheets = config.sheets; // SheetsClient
+        this.mapper = config.mapper; // SheetColumnMapper
+        this.layoutId = config.layoutId; // 'ideas', 'blog' or 'instagram'
+        this.required = config.required || null; // Fields the tab must have (default: the layout's)
+        this.sheet = this.mapper.getLayout(this.layoutId).sheet;
+        
+        this.columns = null; // SheetColumns as last read
+        this.rows = []; // Data rows as last read
+        this.snapshot = new Map(); // Row ID -> { rowNumber, hash } when last read or written
+    }
+    
+    // Fingerprint of a row's cells, ignoring the ID column and trailing blanks
+    hash(row) {
+        const idIndex = this.columns.indexes.rowId;
+        const cells = Array.from(row, (cell, index) => index === idIndex ? '' : String(cell ?? '').trim());
+        while (cells.length > 0 && cells[cells.length - 1] === '') cells.pop();
+        return JSON.stringify(cells);
+    }
+    
+    // Data rows of a tab's values (blank rows are skipped): [{ rowNumber, id, row, values, extras, hash }]
+    parse(values) {
+        return values.slice(1)
+            .map((row, index) => {
+                const { values: fields, extras } = this.columns.readRow(row);
+                return {
+                    rowNumber: index + 2,
+                    id: fields.rowId || null,
+                    row: [...row],
+                    values: fields,
+                    extras: extras,
+                    hash: this.hash(row)
+                };
+            })
+            .filter(record => record.row.some(cell => String(cell ?? '').trim()));
+    }
+    
+    // Fetch the tab and resolve its columns. Throws SheetMappingError when a required column is missing
+    async fetch() {
+        const values = await this.sheets.readRange(sheetRange(this.sheet));
+        this.columns = this.mapper.resolve(this.layoutId, values[0] || [], { required: this.required });
+        return { rows: this.parse(values), lastRow: values.length };
+    }
+    
+    // Read the tab and remember every row with an ID, so later writes can tell whether it changed
+    async read() {
+        const { rows } = await this.fetch();
+        this.rows = rows;
+        this.snapshot = new Map(rows.filter(record => record.id).map(record => [record.id, { rowNumber: record.rowNumber, hash: record.hash }]));
+        return rows;
+    }
+    
+    // Get a tab ready for writing: default headers on an empty tab, then a read and the hidden ID column
+    async prepare() {
+        const layout = this.mapper.getLayout(this.layoutId);
+        const header = await this.sheets.ensureHeaders(this.sheet, this.mapper.defaultHeaders(this.layoutId));
+        await this.read();
+        
+        if (header.written) {
+            for (const { field } of layout.fields.filter(definition => definition.hidden)) {
+                await this.sheets.hideColumns(this.sheet, this.columns.indexes[field]);
+            }
+        }
+        await this.ensureIdColumn();
+        return this.columns;
+    }
+    
+    // Add the hidden Row ID column to a tab that doesn't have one. Returns whether it was added
+    async ensureIdColumn() {
+        return (await this.ensureColumns(['rowId'])).length > 0;
+    }
+    
+    // Add columns for fields the tab has none for, after its last column (hidden when the layout says so).
+    // Rows already read keep their hashes - the new columns are empty. Returns the fields added
+    async ensureColumns(fields) {
+        const layout = this.mapper.getLayout(this.layoutId);
+        const added = this.columns.unmapped(fields);
+        
+        let headers = this.columns.headers;
+        for (const field of added) {
+            const header = this.mapper.headerFor(this.layoutId, field);
+            const hidden = !!(layout.fields.find(definition => definition.field === field) || {}).hidden;
+            const index = await this.sheets.addColumn(this.sheet, header, { hidden: hidden });
+            headers = Array.from({ length: index + 1 }, (_, position) => headers[position] ?? '');
+            headers[index] = header;
+        }
+        
+        if (added.length > 0) {
+            this.columns = this.mapper.resolve(this.layoutId, headers, { required: this.required });
+        }
+        return added;
+    }
+    
+    // Give every row read without an ID one. Returns the number of rows given an ID
+    async assignIds() {
+        const missing = this.rows.filter(record => !record.id);
+        if (missing.length === 0) return 0;
+        
+        await this.ensureIdColumn();
+        missing.forEach(record => {
+            record.id = createRowId();
+            record.values.rowId = record.id;
+            this.snapshot.set(record.id, { rowNumber: record.rowNumber, hash: record.hash });
+        });
+        await this.sheets.batchUpdateValues(missing.map(record => ({
+            range: this.columns.cell('rowId', record.rowNumber),
+            values: [[record.id]]
+        })));
+        return missing.length;
+    }
+    
+    // Re-read the tab and find where rows are now. A row read earlier that is gone, or whose cells differ
+    // from when it was read, is a conflict. Returns { current: Map(id -> row), conflicts, lastRow }
+    async locate(ids) {
+        const { rows, lastRow } = await this.fetch();
+        const current = new Map(rows.filter(record => record.id).map(record => [record.id, record]));
+        
+        const conflicts = [];
+        for (const id of new Set(ids)) {
+            const before = this.snapshot.get(id);
+            const now = current.get(id);
+            if (before && !now) {
+                conflicts.push({ id: id, reason: 'deleted', rowNumber: before.rowNumber });
+            } else if (before && now.hash !== before.hash) {
+                conflicts.push({ id: id, reason: 'changed', rowNumber: now.rowNumber });
+            }
+        }
+        return { current: current, conflicts: conflicts, lastRow: lastRow };
+    }
+    
+    // Set fields of rows by ID (e.g. { status: 'Processed' }), wherever the rows are now. values may be a
+    // function of each row as it is now, returning its fields or null to leave it alone. Rows that changed
+    // or were deleted since they were read are skipped and returned as conflicts (changed rows are written
+    // anyway with overwrite). Returns { updated, conflicts }
+    async updateRows(ids, values, options = {}) {
+        const { current, conflicts } = await this.locate(ids);
+        const skipped = new Set(conflicts.filter(conflict => !options.overwrite || conflict.reason === 'deleted').map(conflict => conflict.id));
+        
+        const data = [];
+        const updated = [];
+        for (const id of new Set(ids)) {
+            const record = current.get(id);
+            if (!record) {
+                if (!skipped.has(id)) conflicts.push({ id: id, reason: 'deleted', rowNumber: null }); // Never read - the ID isn't in the tab
+                continue;
+            }
+            if (skipped.has(id)) continue;
+            
+            const fields = typeof values === 'function' ? values(record) : values;
+            if (!fields) continue;
+            
+            for (const [field, value] of Object.entries(fields)) {
+                if (!this.columns.has(field)) continue;
+                data.push({ range: this.columns.cell(field, record.rowNumber), values: [[value]] });
+                record.row[this.columns.indexes[field]] = value;
+            }
+            this.snapshot.set(id, { rowNumber: record.rowNumber, hash: this.hash(record.row) });
+            updated.push(id);
+        }
+        
+        if (data.length > 0) {
+            await this.sheets.batchUpdateValues(data);
+        }
+        return { updated: updated.length, conflicts: conflicts };
+    }
+    
+    // Update the row with each record's ID, or append a row for it. records: [{ id, values, extras }] (the
+    // last record wins when IDs repeat). insertOnly: fields only written to new rows. Throws
+    // SheetConflictError before writing anything when a row changed or was deleted since it was read,
+    // unless overwrite is set (deleted rows are then appended again). Returns { updated, appended }
+    async upsert(records, options = {}) {
+        const byId = new Map(records.map(record => [record.id, record]));
+        const { current, conflicts, lastRow } = await this.locate(Array.from(byId.keys()));
+        if (conflicts.length > 0 && !options.overwrite) {
+            throw new SheetConflictError(this.sheet, conflicts);
+        }
+        
+        const insertOnly = new Set(options.insertOnly || []);
+        const updates = [];
+        const appends = [];
+        for (const [id, record] of byId) {
+            const existing = current.get(id);
+            if (existing) {
+                const values = Object.fromEntries(Object.entries(record.values).filter(([field]) => !insertOnly.has(field)));
+                const row = this.columns.buildRow({ ...values, rowId: id }, record.extras || {}, existing.row);
+                updates.push({ range: sheetRange(this.sheet, `A${existing.rowNumber}:${columnLetter(row.length - 1)}${existing.rowNumber}`), values: [row] });
+                this.snapshot.set(id, { rowNumber: existing.rowNumber, hash: this.hash(row) });
+            } else {
+                appends.push({ id: id, row: this.columns.buildRow({ ...record.values, rowId: id }, record.extras || {}) });
+            }
+        }
+        
+        if (updates.length > 0) {
+            await this.sheets.batchUpdateValues(updates);
+        }
+        if (appends.length > 0) {
+            const result = await this.sheets.appendRows(this.sheet, appends.map(append => append.row), { startRow: Math.max(lastRow + 1, 2) });
+            appends.forEach((append, index) => {
+                this.snapshot.set(append.id, { rowNumber: result.rowNumbers[index], hash: this.hash(append.row) });
+            });
+        }
+        return { updated: updates.length, appended: appends.length };
+    }
+}
\ No newline at end of file
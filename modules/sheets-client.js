@@ -0,0 +1,583 @@
+// sheets-client.js
+// Google Sheets Values Client - Reading, Appending, Batched Updates, Tabs and Header Rows, plus an In-Memory Fake (ES6)
+
+import { columnLetter } from './sheet-column-mapper.js';
+
+export const SHEETS_API_URL = 'https://sheets.googleapis.com/v4/spreadsheets';
+
+// Every failed Sheets call, with the HTTP status and a category callers can act on
+export class SheetsError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'SheetsError';
+        this.status = details.status || null;
+        this.category = details.category || 'unknown'; // 'auth', 'permission', 'not_found', 'rate_limit', 'server', 'network', 'invalid_request', 'unknown'
+        this.range = details.range || null;
+        this.body = details.body || null;
+    }
+    
+    // Map an HTTP status (and Google's message) to an error category. Google answers 400 for a tab that doesn't exist
+    static categorize(status, message = '') {
+        if (status === 401) return 'auth';
+        if (status === 403) return 'permission';
+        if (status === 404 || (status === 400 && /unable to parse range/i.test(message))) return 'not_found';
+        if (status === 429) return 'rate_limit';
+        if (status >= 500) return 'server';
+        if (status >= 400) return 'invalid_request';
+        return 'unknown';
+    }
+    
+    // Build an error from a failed response's parsed body
+    static fromResponse(status, body, range = null) {
+        const message = body?.error?.message || `Google Sheets request failed (HTTP ${status})`;
+        return new SheetsError(message, {
+            status: status,
+            category: SheetsError.categorize(status, message),
+            range: range,
+            body: body
+        });
+    }
+}
+
+// Quote a tab name for A1 notation when it needs it ("Blog" stays, "Q3 Ideas" becomes 'Q3 Ideas')
+export const quoteSheetName = (sheet) => /^[A-Za-z_][A-Za-z0-9_]*$/.test(sheet) ? sheet : `'${sheet.replace(/'/g, "''")}'`;
+
+// A1 range on a tab ('Blog', 'Blog!A:A', "'Q3 Ideas'!1:1")
+export const sheetRange = (sheet, cells = '') => cells ? `${quoteSheetName(sheet)}!${cells}` : quoteSheetName(sheet);
+
+// Split a list into runs that stay under a count and a size limit (one oversized item still gets its own run)
+const chunkBy = (items, maxItems, maxSize, sizeOf) => {
+    const chunks = [];
+    let current = [];
+    let size = 0;
+    for (const item of items) {
+        const itemSize = sizeOf(item);
+        if (current.length > 0 && (current.length >= maxItems || size + itemSize > maxSize)) {
+            chunks.push(current);
+            current = [];
+            size = 0;
+        }
+        current.push(item);
+        size += itemSize;
+    }
+    if (current.length > 0) {
+        chunks.push(current);
+    }
+    return chunks;
+};
+
+const jsonSize = (value) => JSON.stringify(value).length;
+
+export class SheetsClient {
+    constructor(config = {}) {
+        this.oauth = config.oauth || null; // OAuthTokenManager signed in with a spreadsheets scope
+        const spreadsheetId = config.spreadsheetId || null;
+        this.resolveSpreadsheetId = typeof spreadsheetId === 'function' ? spreadsheetId : () => spreadsheetId; // A function follows profile and settings changes
+        this.baseUrl = config.baseUrl || SHEETS_API_URL;
+        this.valueInputOption = config.valueInputOption || 'RAW';
+        
+        // Large writes are split into several requests to stay well under Google's request size limits
+        this.maxRowsPerRequest = config.maxRowsPerRequest || 500;
+        this.maxRangesPerRequest = config.maxRangesPerRequest || 100;
+        this.maxRequestSize = config.maxRequestSize || 1000000; // Characters of JSON per request
+    }
+    
+    // Spreadsheet the client works on right now
+    getSpreadsheetId() {
+        const id = this.resolveSpreadsheetId();
+        if (!id) {
+            throw new SheetsError('No spreadsheet ID is set - add it under Credentials', { category: 'invalid_request' });
+        }
+        return id;
+    }
+    
+    // Send one request through the OAuth manager (the in-memory fake replaces this)
+    send(url, options) {
+        return this.oauth.makeAuthenticatedRequest(url, options);
+    }
+    
+    // Call the API and return the parsed body. Throws SheetsError for HTTP and network failures
+    async request(path, options = {}) {
+        const { range = null, body, ...fetchOptions } = options;
+        const url = `${this.baseUrl}/${encodeURIComponent(this.getSpreadsheetId())}${path}`;
+        if (body !== undefined) {
+            fetchOptions.headers = { 'Content-Type': 'application/json', ...fetchOptions.headers };
+            fetchOptions.body = JSON.stringify(body);
+        }
+        
+        let response;
+        try {
+            response = await this.send(url, fetchOptions);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            // fetch rejects with a TypeError when the network fails; anything else comes from the sign-in
+            // (no token, a failed refresh) and is fixed by reconnecting, not by checking the connection
+            if (error instanceof TypeError) {
+                throw new SheetsError(`Could not reach Google Sheets: ${error.message}`, { category: 'network', range: range });
+            }
+            throw new SheetsError(`Google Sheets sign-in problem: ${error.message} - reconnect Google under Credentials`, { category: 'auth', range: range });
+        }
+        
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (error) {
+            data = null; // Empty or non-JSON body
+        }
+        
+        if (!response.ok) {
+            throw SheetsError.fromResponse(response.status, data, range);
+        }
+        return data || {};
+    }
+    
+    // Values of a range as rows of cells. Google leaves out trailing empty rows and cells, so rows can be short
+    async readRange(range, options = {}) {
+        const params = new URLSearchParams({ majorDimension: 'ROWS' });
+        if (options.valueRenderOption) {
+            params.set('valueRenderOption', options.valueRenderOption);
+        }
+        
+        const data = await this.request(`/values/${encodeURIComponent(range)}?${params}`, { range: range, signal: options.signal });
+        return data.values || [];
+    }
+    
+    // Overwrite a range with rows of values
+    async updateRange(range, values, options = {}) {
+        const params = new URLSearchParams({ valueInputOption: options.valueInputOption || this.valueInputOption });
+        return this.request(`/values/${encodeURIComponent(range)}?${params}`, {
+            method: 'PUT',
+            range: range,
+            body: { range: range, majorDimension: 'ROWS', values: values },
+            signal: options.signal
+        });
+    }
+    
+    // Row number after the last filled cell of a column (2 for an empty tab, leaving row 1 for headers)
+    async findNextRow(sheet, column = 'A') {
+        const values = await this.readRange(sheetRange(sheet, `${column}:${column}`));
+        return values.length > 0 ? values.length + 1 : 2;
+    }
+    
+    // Append rows below the last filled row of a tab, in as many requests as the size limits need. Google
+    // picks the rows (after the table it detects, which another editor may have just extended), so the
+    // rows written are read back from each response. Returns { updatedRows, updatedCells, startRow,
+    // rowNumbers, requests } - rowNumbers holds the 1-based row of each appended row, in order
+    async appendRows(sheet, rows, options = {}) {
+        const result = { updatedRows: 0, updatedCells: 0, startRow: null, rowNumbers: [], requests: 0 };
+        if (rows.length === 0) return result;
+        
+        let startRow = options.startRow || await this.findNextRow(sheet);
+        
+        const params = new URLSearchParams({
+            valueInputOption: options.valueInputOption || this.valueInputOption,
+            insertDataOption: 'INSERT_ROWS'
+        });
+        for (const chunk of chunkBy(rows, this.maxRowsPerRequest, this.maxRequestSize, jsonSize)) {
+            const range = sheetRange(sheet, `A${startRow}`);
+            const data = await this.request(`/values/${encodeURIComponent(range)}:append?${params}`, {
+                method: 'POST',
+                range: range,
+                body: { majorDimension: 'ROWS', values: chunk },
+                signal: options.signal
+            });
+            
+            const written = data.updates?.updatedRange ? parseA1Range(data.updates.updatedRange).startRow : null;
+            const firstRow = written !== null ? written + 1 : startRow;
+            chunk.forEach((row, index) => result.rowNumbers.push(firstRow + index));
+            
+            result.updatedRows += data.updates?.updatedRows ?? chunk.length;
+            result.updatedCells += data.updates?.updatedCells ?? 0;
+            result.requests++;
+            startRow = firstRow + chunk.length;
+        }
+        result.startRow = result.rowNumbers[0];
+        return result;
+    }
+    
+    // Write several ranges ([{ range, values }]) in as few batchUpdate requests as the size limits allow.
+    // Returns { updatedRanges, updatedCells, requests }
+    async batchUpdateValues(data, options = {}) {
+        const result = { updatedRanges: 0, updatedCells: 0, requests: 0 };
+        
+        for (const chunk of chunkBy(data, this.maxRangesPerRequest, this.maxRequestSize, jsonSize)) {
+            const response = await this.request('/values:batchUpdate', {
+                method: 'POST',
+                range: chunk.map(entry => entry.range).join(', '),
+                body: {
+                    valueInputOption: options.valueInputOption || this.valueInputOption,
+                    data: chunk
+                },
+                signal: options.signal
+            });
+            
+            result.updatedRanges += response.totalUpdatedRanges ?? chunk.length;
+            result.updatedCells += response.totalUpdatedCells ?? 0;
+            result.requests++;
+        }
+        return result;
+    }
+    
+    // Tabs of the spreadsheet: [{ sheetId, title, index, rowCount, columnCount }]
+    async listSheets() {
+        const data = await this.request('?fields=sheets.properties');
+        return (data.sheets || []).map(({ properties }) => ({
+            sheetId: properties.sheetId,
+            title: properties.title,
+            index: properties.index,
+            rowCount: properties.gridProperties?.rowCount || 0,
+            columnCount: properties.gridProperties?.columnCount || 0
+        }));
+    }
+    
+    // A tab by title (ignoring case), or null
+    async getSheet(title) {
+        return (await this.listSheets()).find(sheet => sheet.title.toLowerCase() === title.toLowerCase()) || null;
+    }
+    
+    // Find a tab by title (ignoring case), creating it when missing. Returns { sheet, created }
+    async ensureSheet(title, options = {}) {
+        const existing = await this.getSheet(title);
+        if (existing) {
+            return { sheet: existing, created: false };
+        }
+        
+        const data = await this.request(':batchUpdate', {
+            method: 'POST',
+            range: title,
+            body: {
+                requests: [{
+                    addSheet: {
+                        properties: {
+                            title: title,
+                            gridProperties: {
+                                rowCount: options.rowCount || 1000,
+                                columnCount: options.columnCount || 26
+                            }
+                        }
+                    }
+                }]
+            }
+        });
+        
+        const properties = data.replies?.[0]?.addSheet?.properties || { title: title };
+        return {
+            sheet: {
+                sheetId: properties.sheetId,
+                title: properties.title,
+                index: properties.index,
+                rowCount: properties.gridProperties?.rowCount || 0,
+                columnCount: properties.gridProperties?.columnCount || 0
+            },
+            created: true
+        };
+    }
+    
+    // Write a header row to a tab whose row 1 is empty. Returns { headers, written } with the headers row 1 now has
+    async ensureHeaders(sheet, headers) {
+        const current = (await this.readRange(sheetRange(sheet, '1:1')))[0] || [];
+        if (current.some(header => String(header).trim())) {
+            return { headers: current, written: false };
+        }
+        
+        await this.updateRange(sheetRange(sheet, `A1:${columnLetter(headers.length - 1)}1`), [headers]);
+        return { headers: headers, written: true };
+    }
+    
+    // Add a column after the last header, widening the tab when it has no room. Returns the new column's 0-based index
+    async addColumn(sheet, header, options = {}) {
+        const properties = await this.getSheet(sheet);
+        if (!properties) {
+            throw new SheetsError(`Unable to parse range: ${sheet}`, { status: 400, category: 'not_found', range: sheet });
+        }
+        
+        const index = ((await this.readRange(sheetRange(sheet, '1:1')))[0] || []).length;
+        const requests = [];
+        if (properties.columnCount <= index) {
+            requests.push({ appendDimension: { sheetId: properties.sheetId, dimension: 'COLUMNS', length: index + 1 - properties.columnCount } });
+        }
+        if (options.hidden) {
+            requests.push(this.hideRequest(properties.sheetId, index, 1));
+        }
+        if (requests.length > 0) {
+            await this.request(':batchUpdate', { method: 'POST', range: sheet, body: { requests: requests } });
+        }
+        
+        await this.updateRange(sheetRange(sheet, `${columnLetter(index)}1`), [[header]]);
+        return index;
+    }
+    
+    // Hide columns of a tab (0-based start index)
+    async hideColumns(sheet, startIndex, count = 1) {
+        const properties = await this.getSheet(sheet);
+        if (!properties) {
+            throw new SheetsError(`Unable to parse range: ${sheet}`, { status: 400, category: 'not_found', range: sheet });
+        }
+        return this.request(':batchUpdate', {
+            method: 'POST',
+            range: sheet,
+            body: { requests: [this.hideRequest(properties.sheetId, startIndex, count)] }
+        });
+    }
+    
+    // Spreadsheet batchUpdate request that hides a run of columns
+    hideRequest(sheetId, startIndex, count) {
+        return {
+            updateDimensionProperties: {
+                range: { sheetId: sheetId, dimension: 'COLUMNS', startIndex: startIndex, endIndex: startIndex + count },
+                properties: { hiddenByUser: true },
+                fields: 'hiddenByUser'
+            }
+        };
+    }
+}
+
+// Read an A1 range ('Blog', 'Blog!A:A', 'Ideas!D7', "'Q3 Ideas'!A1:L1", 'Blog!1:1') into a tab name and
+// 0-based bounds (null where the range is open)
+export const parseA1Range = (range) => {
+    const match = /^(?:'((?:[^']|'')+)'|([^!]+))(?:!(.*))?$/.exec(range);
+    if (!match) {
+        throw new SheetsError(`Unable to parse range: ${range}`, { status: 400, category: 'invalid_request', range: range });
+    }
+    
+    const sheet = match[1] !== undefined ? match[1].replace(/''/g, "'") : match[2];
+    const bounds = { sheet: sheet, startRow: null, endRow: null, startColumn: null, endColumn: null };
+    if (!match[3]) return bounds;
+    
+    const toIndex = (letters) => letters.split('').reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    const cell = (text) => {
+        const parts = /^([A-Z]*)(\d*)$/.exec(text.toUpperCase());
+        if (!parts || (!parts[1] && !parts[2])) {
+            throw new SheetsError(`Unable to parse range: ${range}`, { status: 400, category: 'invalid_request', range: range });
+        }
+        return { column: parts[1] ? toIndex(parts[1]) : null, row: parts[2] ? Number(parts[2]) - 1 : null };
+    };
+    
+    const [first, last = first] = match[3].split(':');
+    const start = cell(first);
+    const end = cell(last);
+    return { ...bounds, startRow: start.row, endRow: end.row, startColumn: start.column, endColumn: end.column };
+};
+
+// In-memory spreadsheet behind the same API, for tests and offline previews. It answers the requests SheetsClient
+// makes the way Google does, so batching and error handling are exercised too.
+// tabs: { Ideas: [['Topic', 'Status'], ['Cold brew', '']] }
+export class MemorySheetsClient extends SheetsClient {
+    constructor(config = {}) {
+        super({ ...config, spreadsheetId: config.spreadsheetId || 'memory-spreadsheet' });
+        this.tabs = new Map();
+        this.nextSheetId = 1;
+        Object.entries(config.tabs || {}).forEach(([title, rows]) => this.addTab(title, rows));
+        
+        this.requests = []; // Every request made: { method, path, body }
+        this.failures = []; // Queued failures for the next requests: { status, message }
+    }
+    
+    // Add a tab with optional rows
+    addTab(title, rows = []) {
+        this.tabs.set(title, {
+            sheetId: this.nextSheetId++,
+            index: this.tabs.size,
+            rowCount: 1000,
+            columnCount: 26,
+            hiddenColumns: new Set(),
+            rows: rows.map(row => row.map(value => String(value)))
+        });
+    }
+    
+    // Rows of a tab as stored (trailing empty cells and rows included)
+    getTab(title) {
+        const tab = this.findTab(title);
+        return tab ? tab.rows.map(row => [...row]) : null;
+    }
+    
+    // Make the next request fail with an HTTP status, like Google would
+    failNext(status, message = `Simulated failure (HTTP ${status})`) {
+        this.failures.push({ status: status, message: message });
+    }
+    
+    // A tab by exact title (Google matches case-sensitively in ranges)
+    findTab(title) {
+        return this.tabs.get(title) || null;
+    }
+    
+    // Answer one request from memory
+    async send(url, options = {}) {
+        const method = options.method || 'GET';
+        const parsed = new URL(url);
+        const path = decodeURIComponent(parsed.pathname.slice(new URL(this.baseUrl).pathname.length + 1));
+        const body = options.body ? JSON.parse(options.body) : null;
+        this.requests.push({ method: method, path: path, body: body });
+        
+        if (this.failures.length > 0) {
+            const failure = this.failures.shift();
+            return this.respond(failure.status, { error: { code: failure.status, message: failure.message } });
+        }
+        
+        try {
+            const [, endpoint = ''] = /^[^/:]+(.*)$/.exec(path);
+            if (endpoint === '' && method === 'GET') return this.respond(200, this.describeSpreadsheet());
+            if (endpoint === ':batchUpdate') return this.respond(200, this.applySheetRequests(body.requests));
+            if (endpoint === '/values:batchUpdate') {
+                const responses = body.data.map(({ range, values }) => this.writeValues(range, values));
+                return this.respond(200, {
+                    totalUpdatedRanges: responses.length,
+                    totalUpdatedCells: responses.reduce((total, response) => total + response.updatedCells, 0),
+                    responses: responses
+                });
+            }
+            
+            const values = /^\/values\/(.+?)(:append)?$/.exec(endpoint);
+            if (values && values[2]) return this.respond(200, { updates: this.appendValues(values[1], body.values) });
+            if (values && method === 'PUT') return this.respond(200, this.writeValues(values[1], body.values));
+            if (values) return this.respond(200, this.readValues(values[1]));
+            
+            return this.respond(404, { error: { code: 404, message: `Not found: ${method} ${path}` } });
+        } catch (error) {
+            return this.respond(400, { error: { code: 400, message: error.message } });
+        }
+    }
+    
+    // A fetch-style response
+    respond(status, body) {
+        return {
+            ok: status >= 200 && status < 300,
+            status: status,
+            json: async () => JSON.parse(JSON.stringify(body))
+        };
+    }
+    
+    // Spreadsheet metadata (sheets.properties only)
+    describeSpreadsheet() {
+        return {
+            sheets: Array.from(this.tabs.entries()).map(([title, tab]) => ({
+                properties: {
+                    sheetId: tab.sheetId,
+                    title: title,
+                    index: tab.index,
+                    gridProperties: { rowCount: tab.rowCount, columnCount: tab.columnCount }
+                }
+            }))
+        };
+    }
+    
+    // Columns of a tab hidden with updateDimensionProperties
+    getHiddenColumns(title) {
+        const tab = this.findTab(title);
+        return tab ? Array.from(tab.hiddenColumns).sort((a, b) => a - b) : null;
+    }
+    
+    // Tab with a sheetId
+    findTabById(sheetId) {
+        const tab = Array.from(this.tabs.values()).find(entry => entry.sheetId === sheetId);
+        if (!tab) {
+            throw new Error(`No grid with id: ${sheetId}`);
+        }
+        return tab;
+    }
+    
+    // Spreadsheet batchUpdate - addSheet, appendDimension (columns) and updateDimensionProperties (hiding columns)
+    applySheetRequests(requests) {
+        const replies = requests.map(request => {
+            if (request.appendDimension && request.appendDimension.dimension === 'COLUMNS') {
+                this.findTabById(request.appendDimension.sheetId).columnCount += request.appendDimension.length;
+                return {};
+            }
+            if (request.updateDimensionProperties && request.updateDimensionProperties.range.dimension === 'COLUMNS') {
+                const { range, properties } = request.updateDimensionProperties;
+                const tab = this.findTabById(range.sheetId);
+                for (let index = range.startIndex; index < range.endIndex; index++) {
+                    if (properties.hiddenByUser) tab.hiddenColumns.add(index);
+                    else tab.hiddenColumns.delete(index);
+                }
+                return {};
+            }
+            if (!request.addSheet) {
+                throw new Error(`Unsupported request: ${Object.keys(request)[0]}`);
+            }
+            const { title, gridProperties = {} } = request.addSheet.properties;
+            if (this.tabs.has(title)) {
+                throw new Error(`A sheet with the name "${title}" already exists`);
+            }
+            
+            this.addTab(title);
+            const tab = this.findTab(title);
+            tab.rowCount = gridProperties.rowCount || tab.rowCount;
+            tab.columnCount = gridProperties.columnCount || tab.columnCount;
+            return { addSheet: this.describeSpreadsheet().sheets.find(sheet => sheet.properties.title === title) };
+        });
+        return { replies: replies };
+    }
+    
+    // Tab and bounds of a range, failing like Google for unknown tabs
+    locate(range) {
+        const bounds = parseA1Range(range);
+        const tab = this.findTab(bounds.sheet);
+        if (!tab) {
+            throw new Error(`Unable to parse range: ${range}`);
+        }
+        return { tab: tab, bounds: bounds };
+    }
+    
+    // Read values, trimming empty trailing cells and rows like Google does
+    readValues(range) {
+        const { tab, bounds } = this.locate(range);
+        const firstRow = bounds.startRow ?? 0;
+        const lastRow = bounds.endRow ?? tab.rows.length - 1;
+        const firstColumn = bounds.startColumn ?? 0;
+        
+        const values = [];
+        for (let r = firstRow; r <= lastRow && r < tab.rows.length; r++) {
+            const row = tab.rows[r] || [];
+            const lastColumn = bounds.endColumn ?? row.length - 1;
+            const cells = row.slice(firstColumn, lastColumn + 1);
+            while (cells.length > 0 && cells[cells.length - 1] === '') cells.pop();
+            values.push(cells);
+        }
+        while (values.length > 0 && values[values.length - 1].length === 0) values.pop();
+        
+        return values.length > 0 ? { range: range, majorDimension: 'ROWS', values: values } : { range: range, majorDimension: 'ROWS' };
+    }
+    
+    // Write rows of values starting at a range's top-left cell
+    writeValues(range, values) {
+        const { tab, bounds } = this.locate(range);
+        const firstRow = bounds.startRow ?? 0;
+        const firstColumn = bounds.startColumn ?? 0;
+        
+        const width = Math.max(0, ...values.map(row => row.length));
+        if (firstColumn + width > tab.columnCount) {
+            throw new Error(`Range (${range}) exceeds grid limits. Max columns: ${tab.columnCount}`);
+        }
+        
+        values.forEach((row, offset) => {
+            const target = firstRow + offset;
+            while (tab.rows.length <= target) tab.rows.push([]);
+            row.forEach((value, column) => {
+                const cells = tab.rows[target];
+                while (cells.length <= firstColumn + column) cells.push('');
+                cells[firstColumn + column] = value === null || value === undefined ? '' : String(value);
+            });
+        });
+        
+        return {
+            updatedRange: `${range.split('!')[0]}!${columnLetter(firstColumn)}${firstRow + 1}:${columnLetter(firstColumn + Math.max(width, 1) - 1)}${firstRow + values.length}`,
+            updatedRows: values.length,
+            updatedColumns: width,
+            updatedCells: values.reduce((total, row) => total + row.length, 0)
+        };
+    }
+    
+    // Append below the last row that has any value, at or after the range's first row
+    appendValues(range, values) {
+        const { tab, bounds } = this.locate(range);
+        let lastFilled = -1;
+        tab.rows.forEach((row, index) => {
+            if (row.some(value => value !== '')) lastFilled = index;
+        });
+        
+        const startRow = Math.max(lastFilled + 1, bounds.startRow ?? 0);
+        const sheet = range.split('!')[0];
+        return this.writeValues(`${sheet}!${columnLetter(bounds.startColumn ?? 0)}${startRow + 1}`, values);
+    }
+}
\ No newline at end of file
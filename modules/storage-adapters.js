@@ -0,0 +1,318 @@
+// storage-adapters.js
+// Async Record Storage Adapters - IndexedDB, localStorage and In-Memory (ES6)
+
+// Object stores and their indexes. Records are keyed by `keyPath`.
+export const DEFAULT_STORES = {
+    posts: { keyPath: 'id', indexes: ['source', 'platform', 'status', 'timestamp'] },
+    archives: { keyPath: 'id', indexes: ['createdAt'] },
+    quarantine: { keyPath: 'id', indexes: [] }
+};
+
+// Wrap an IDBRequest in a promise
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Copy a record so callers can't mutate what is stored (IndexedDB clones the same way)
+const cloneRecord = (record) => record === undefined ? undefined : JSON.parse(JSON.stringify(record));
+
+// Match records against an index query: { index, value }
+const matchesQuery = (record, query) => !query.index || record[query.index] === query.value;
+
+// IndexedDB backend - one database per namespace, one object store per record type
+export class IndexedDBAdapter {
+    constructor(config = {}) {
+        this.type = 'indexeddb';
+        this.dbName = config.dbName || 'postassist';
+        this.version = config.version || 3; // Bump when DEFAULT_STORES changes (2 added archives, 3 quarantine)
+        this.stores = config.stores || DEFAULT_STORES;
+        this.db = null;
+        this.opening = null;
+    }
+    
+    // Whether this browser exposes IndexedDB
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+    
+    // Open (and create or upgrade) the database once
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (this.opening) return this.opening;
+        
+        this.opening = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+            
+            request.onupgradeneeded = () => this.createStores(request.result, request.transaction);
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab is upgrading the database - let it
+                this.db.onversionchange = () => this.close();
+                resolve(this.db);
+            };
+            request.onerror = () => {
+                this.opening = null;
+                reject(request.error);
+            };
+            request.onblocked = () => {
+                console.warn(`IndexedDB ${this.dbName} upgrade is waiting for other tabs to close`);
+            };
+        });
+        
+        return this.opening;
+    }
+    
+    // Create missing object stores and indexes
+    createStores(db, transaction) {
+        for (const [name, definition] of Object.entries(this.stores)) {
+            const store = db.objectStoreNames.contains(name)
+                ? transaction.objectStore(name)
+                : db.createObjectStore(name, { keyPath: definition.keyPath });
+            
+            for (const index of definition.indexes || []) {
+                if (!store.indexNames.contains(index)) {
+                    store.createIndex(index, index);
+                }
+            }
+        }
+    }
+    
+    // Run one transaction and resolve with the last request's result once it commits
+    async transact(storeName, mode, action) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            let result;
+            
+            const request = action(transaction.objectStore(storeName));
+            if (request) {
+                request.onsuccess = () => { result = request.result; };
+            }
+            
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+    
+    // Get one record by key
+    get(storeName, key) {
+        return this.transact(storeName, 'readonly', store => store.get(key));
+    }
+    
+    // Get all records, or those matching { index, value }
+    async getAll(storeName, query = {}) {
+        const db = await this.open();
+        const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+        return requestToPromise(query.index ? store.index(query.index).getAll(query.value) : store.getAll());
+    }
+    
+    // Insert or replace a record
+    put(storeName, record) {
+        return this.transact(storeName, 'readwrite', store => store.put(record));
+    }
+    
+    // Insert or replace many records in one transaction
+    putAll(storeName, records) {
+        return this.transact(storeName, 'readwrite', store => {
+            records.forEach(record => store.put(record));
+        });
+    }
+    
+    // Delete one record
+    delete(storeName, key) {
+        return this.transact(storeName, 'readwrite', store => store.delete(key));
+    }
+    
+    // Delete many records in one transaction
+    deleteAll(storeName, keys) {
+        return this.transact(storeName, 'readwrite', store => {
+            keys.forEach(key => store.delete(key));
+        });
+    }
+    
+    // Remove every record in a store
+    clear(storeName) {
+        return this.transact(storeName, 'readwrite', store => store.clear());
+    }
+    
+    // Number of records in a store
+    count(storeName) {
+        return this.transact(storeName, 'readonly', store => store.count());
+    }
+    
+    // Close the connection (reopened on next use)
+    close() {
+        if (this.db) {
+            this.db.close();
+        }
+        this.db = null;
+        this.opening = null;
+    }
+}
+
+// localStorage backend - each store is one JSON array, like the original posts storage
+export class LocalStorageAdapter {
+    constructor(config = {}) {
+        this.type = 'localstorage';
+        this.namespace = config.namespace || 'app';
+        this.stores = config.stores || DEFAULT_STORES;
+        this.storeKeys = config.storeKeys || {}; // e.g. { posts: 'generated_posts' } to keep legacy keys
+    }
+    
+    // localStorage key for a store
+    getStorageKey(storeName) {
+        return `${this.namespace}_${this.storeKeys[storeName] || storeName}`;
+    }
+    
+    // Key of a record
+    keyOf(storeName, record) {
+        return record[this.stores[storeName].keyPath];
+    }
+    
+    // Read a whole store
+    read(storeName) {
+        const dataStr = localStorage.getItem(this.getStorageKey(storeName));
+        return dataStr ? JSON.parse(dataStr) : [];
+    }
+    
+    // Write a whole store (throws QuotaExceededError when full)
+    write(storeName, records) {
+        localStorage.setItem(this.getStorageKey(storeName), JSON.stringify(records));
+    }
+    
+    // Nothing to open
+    async open() {
+        return true;
+    }
+    
+    // Get one record by key
+    async get(storeName, key) {
+        return this.read(storeName).find(record => this.keyOf(storeName, record) === key);
+    }
+    
+    // Get all records, or those matching { index, value }
+    async getAll(storeName, query = {}) {
+        return this.read(storeName).filter(record => matchesQuery(record, query));
+    }
+    
+    // Insert or replace a record (new records go first, as the original storage did)
+    async put(storeName, record) {
+        return this.putAll(storeName, [record]);
+    }
+    
+    // Insert or replace many records
+    async putAll(storeName, records) {
+        const stored = this.read(storeName);
+        
+        for (const record of records) {
+            const index = stored.findIndex(existing => this.keyOf(storeName, existing) === this.keyOf(storeName, record));
+            if (index !== -1) {
+                stored[index] = cloneRecord(record);
+            } else {
+                stored.unshift(cloneRecord(record));
+            }
+        }
+        
+        this.write(storeName, stored);
+    }
+    
+    // Delete one record
+    async delete(storeName, key) {
+        return this.deleteAll(storeName, [key]);
+    }
+    
+    // Delete many records
+    async deleteAll(storeName, keys) {
+        this.write(storeName, this.read(storeName).filter(record => !keys.includes(this.keyOf(storeName, record))));
+    }
+    
+    // Remove every record in a store
+    async clear(storeName) {
+        this.write(storeName, []);
+    }
+    
+    // Number of records in a store
+    async count(storeName) {
+        return this.read(storeName).length;
+    }
+    
+    close() {}
+}
+
+// In-memory backend - nothing persists; for tests and previews
+export class MemoryAdapter {
+    constructor(config = {}) {
+        this.type = 'memory';
+        this.stores = config.stores || DEFAULT_STORES;
+        this.data = new Map(Object.keys(this.stores).map(name => [name, new Map()]));
+    }
+    
+    // Records of a store, keyed by the store's keyPath
+    getStore(storeName) {
+        if (!this.data.has(storeName)) {
+            throw new Error(`Unknown store: ${storeName}`);
+        }
+        return this.data.get(storeName);
+    }
+    
+    // Nothing to open
+    async open() {
+        return true;
+    }
+    
+    // Get one record by key
+    async get(storeName, key) {
+        return cloneRecord(this.getStore(storeName).get(key));
+    }
+    
+    // Get all records, or those matching { index, value }
+    async getAll(storeName, query = {}) {
+        return Array.from(this.getStore(storeName).values())
+            .filter(record => matchesQuery(record, query))
+            .map(cloneRecord);
+    }
+    
+    // Insert or replace a record
+    async put(storeName, record) {
+        this.getStore(storeName).set(record[this.stores[storeName].keyPath], cloneRecord(record));
+    }
+    
+    // Insert or replace many records
+    async putAll(storeName, records) {
+        for (const record of records) {
+            await this.put(storeName, record);
+        }
+    }
+    
+    // Delete one record
+    async delete(storeName, key) {
+        this.getStore(storeName).delete(key);
+    }
+    
+    // Delete many records
+    async deleteAll(storeName, keys) {
+        keys.forEach(key => this.getStore(storeName).delete(key));
+    }
+    
+    // Remove every record in a store
+    async clear(storeName) {
+        this.getStore(storeName).clear();
+    }
+    
+    // Number of records in a store
+    async count(storeName) {
+        return this.getStore(storeName).size;
+    }
+    
+    close() {}
+}
+
+// Pick the best available backend: IndexedDB, else localStorage
+export const createStorageAdapter = (config = {}) => {
+    if (config.type === 'memory') return new MemoryAdapter(config);
+    if (config.type === 'localstorage' || !IndexedDBAdapter.isSupported()) return new LocalStorageAdapter(config);
+    return new IndexedDBAdapter({ ...config, dbName: config.dbName || `postassist_${config.namespace || 'app'}` });
+};
\ No newline at end of file
@@ -1,11 +1,20 @@
 // storage-credentials-manager.js
 // Shared Storage and Credentials Management Module (ES6)
 
+import { createStorageAdapter, LocalStorageAdapter } from './storage-adapters.js';
+import { sideBySide } from './text-diff.js';
+import { PostSearchIndex } from './post-search-index.js';
+import { isQuotaExceededError, reportQuotaExceeded } from './storage-quota.js';
+import { createArchive, describeArchive, unpackJSON } from './post-archive.js';
+import { defaultSchemaRegistry, wrapValue, unwrapValue } from './schema-migrations.js';
+
 export class StorageManager {
     constructor(config = {}) {
         this.namespace = config.namespace || 'app';
         this.encryption = config.encryption || false; // For future implementation
         this.credentialKeys = config.credentialKeys || [];
+        this.schemas = config.schemas || defaultSchemaRegistry; // Versions, migrations and validators per key
+        this.quarantineKey = 'quarantined_values'; // Malformed values are moved here instead of being loaded
     }
     
     // Generate storage key with namespace
@@ -13,30 +22,121 @@ export class StorageManager {
         return `${this.namespace}_${key}`;
     }
     
-    // Save data to localStorage
+    // Use another namespace (e.g. a workspace profile's) for everything saved from now on
+    setNamespace(namespace) {
+        this.namespace = namespace;
+        return this;
+    }
+    
+    // Schema a key's value follows (subclasses map families of keys to one schema)
+    schemaFor(key) {
+        return key;
+    }
+    
+    // Save data to localStorage, stamped with its schema version
     save(key, data) {
         try {
             const storageKey = this.getKey(key);
-            const dataStr = JSON.stringify(data);
+            const dataStr = JSON.stringify(wrapValue(data, this.schemas.currentVersion(this.schemaFor(key))));
             localStorage.setItem(storageKey, dataStr);
             return true;
         } catch (error) {
             console.error(`Error saving ${key}:`, error);
+            if (isQuotaExceededError(error)) {
+                reportQuotaExceeded({ key: this.getKey(key), source: 'localStorage', error: error });
+            }
             return false;
         }
     }
     
-    // Load data from localStorage
+    // Load data from localStorage, upgrading values saved under an older schema.
+    // Values that can't be read or fail validation are quarantined and the default is returned.
     load(key, defaultValue = null) {
+        let dataStr = null;
         try {
-            const storageKey = this.getKey(key);
-            const dataStr = localStorage.getItem(storageKey);
+            dataStr = localStorage.getItem(this.getKey(key));
             if (!dataStr) return defaultValue;
-            return JSON.parse(dataStr);
         } catch (error) {
             console.error(`Error loading ${key}:`, error);
             return defaultValue;
         }
+        
+        const schema = this.schemaFor(key);
+        let upgraded;
+        try {
+            const { value, version } = unwrapValue(JSON.parse(dataStr));
+            upgraded = this.schemas.upgrade(schema, value, version);
+        } catch (error) {
+            console.error(`Error loading ${key}:`, error);
+            this.quarantine(key, dataStr, [error.message]);
+            return defaultValue;
+        }
+        
+        if (upgraded.newer) {
+            console.warn(`${key} was saved by a newer version (schema ${upgraded.version}) - reading it as is`);
+            return upgraded.value;
+        }
+        
+        const problems = this.schemas.validate(schema, upgraded.value);
+        if (problems.length > 0) {
+            console.error(`Invalid ${key}:`, problems.join(', '));
+            this.quarantine(key, dataStr, problems);
+            return defaultValue;
+        }
+        
+        if (upgraded.migrated) {
+            this.save(key, upgraded.value);
+        }
+        return upgraded.value;
+    }
+    
+    // Move a stored value aside so it stops breaking loads. It is only removed once the copy is written
+    quarantine(key, raw, problems = []) {
+        try {
+            const entries = this.getQuarantine();
+            entries.push({
+                key: key,
+                problems: problems,
+                quarantinedAt: new Date().toISOString(),
+                raw: raw
+            });
+            localStorage.setItem(this.getKey(this.quarantineKey), JSON.stringify(entries));
+            localStorage.removeItem(this.getKey(key));
+            return true;
+        } catch (error) {
+            console.error(`Error quarantining ${key}:`, error);
+            if (isQuotaExceededError(error)) {
+                reportQuotaExceeded({ key: this.getKey(this.quarantineKey), source: 'localStorage', error: error });
+            }
+            return false;
+        }
+    }
+    
+    // Quarantined values: [{ key, problems, quarantinedAt, raw }]
+    getQuarantine() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.getKey(this.quarantineKey)) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.error('Error reading quarantine:', error);
+            return [];
+        }
+    }
+    
+    // Discard quarantined values (all of them, or those saved under one key)
+    clearQuarantine(key = null) {
+        try {
+            const remaining = key === null ? [] : this.getQuarantine().filter(entry => entry.key !== key);
+            if (remaining.length > 0) {
+                localStorage.setItem(this.getKey(this.quarantineKey), JSON.stringify(remaining));
+            } else {
+                localStorage.removeItem(this.getKey(this.quarantineKey));
+            }
+            return true;
+        } catch (error) {
+            console.error('Error clearing quarantine:', error);
+            return false;
+        }
     }
     
     // Remove data from localStorage
@@ -109,23 +209,51 @@ export class CredentialsManager extends StorageManager {
     constructor(config = {}) {
         super(config);
         this.credentialTypes = {
-            google: ['clientId', 'clientSecret', 'spreadsheetId', 'accessToken', 'refreshToken', 'tokenExpiry'],
+            google: ['clientId', 'clientSecret', 'authFlow', 'spreadsheetId', 'accessToken', 'refreshToken', 'tokenExpiry'],
             wordpress: ['url', 'username', 'password'],
             ai: ['provider', 'apiKey', 'proxyUrl', 'model'],
             content: ['hashtags', 'templates', 'defaults']
         };
+        
+        // Fields kept encrypted in the vault (when one is set up) instead of plaintext localStorage
+        this.vault = config.vault || null;
+        this.secretFields = {
+            google: ['clientSecret', 'accessToken', 'refreshToken'],
+            wordpress: ['password'],
+            ai: ['apiKey']
+        };
+    }
+    
+    // Whether secret fields go through a passphrase-protected vault
+    usesVault() {
+        return !!this.vault && this.vault.isInitialized();
+    }
+    
+    // Every service's credentials share one schema
+    schemaFor(key) {
+        return key.startsWith('credentials_') ? 'credentials' : super.schemaFor(key);
+    }
+    
+    // Vault entry holding one service's secret fields
+    getSecretsEntry(service) {
+        return this.getKey(`credentials_${service}`);
     }
     
     // Save credentials for a specific service
     saveCredentials(service, credentials) {
-        // Filter out sensitive data if needed
+        // Move sensitive fields into the vault
         const filtered = this.filterCredentials(service, credentials);
+        if (!filtered) return false;
         return this.save(`credentials_${service}`, filtered);
     }
     
-    // Load credentials for a specific service
+    // Load credentials for a specific service (secret fields only while the vault is unlocked)
     loadCredentials(service) {
-        return this.load(`credentials_${service}`, {});
+        const credentials = this.load(`credentials_${service}`, {});
+        if (this.usesVault() && this.vault.isUnlocked()) {
+            return { ...credentials, ...this.vault.getSecrets(this.getSecretsEntry(service)) };
+        }
+        return credentials;
     }
     
     // Update specific credential fields
@@ -173,14 +301,54 @@ export class CredentialsManager extends StorageManager {
     
     // Clear credentials for a service
     clearCredentials(service) {
+        if (this.usesVault() && this.vault.isUnlocked()) {
+            this.vault.removeSecrets(this.getSecretsEntry(service));
+        }
         return this.remove(`credentials_${service}`);
     }
     
-    // Filter out sensitive data based on service
+    // Split off sensitive fields into the vault and return what may be stored in plaintext.
+    // Returns null when there are secrets to save but the vault is locked.
     filterCredentials(service, credentials) {
-        // In a real implementation, you might want to encrypt sensitive data
-        // For now, we'll just return as-is
-        return credentials;
+        if (!this.usesVault()) return credentials;
+        
+        const secretFields = this.secretFields[service] || [];
+        const plain = {};
+        const secrets = {};
+        for (const [field, value] of Object.entries(credentials)) {
+            if (secretFields.includes(field)) {
+                secrets[field] = value;
+            } else {
+                plain[field] = value;
+            }
+        }
+        
+        if (!this.vault.isUnlocked()) {
+            if (Object.values(secrets).some(value => value)) {
+                console.error(`Cannot save ${service} credentials while the credential vault is locked`);
+                return null;
+            }
+            return plain;
+        }
+        
+        this.vault.setSecrets(this.getSecretsEntry(service), secrets);
+        return plain;
+    }
+    
+    // Re-save every service so plaintext secrets from before the vault move into it
+    migrateToVault() {
+        if (!this.usesVault() || !this.vault.isUnlocked()) return 0;
+        
+        let migrated = 0;
+        for (const key of this.getAllKeys()) {
+            if (key.startsWith('credentials_')) {
+                const service = key.substring('credentials_'.length);
+                if (this.saveCredentials(service, this.loadCredentials(service))) {
+                    migrated++;
+                }
+            }
+        }
+        return migrated;
     }
     
     // Get all configured services
@@ -246,84 +414,680 @@ export class CredentialsManager extends StorageManager {
 export class PostsManager extends StorageManager {
     constructor(config = {}) {
         super(config);
-        this.postsKey = 'generated_posts';
+        this.postsKey = 'generated_posts'; // Legacy localStorage key (migrated on first use)
+        this.storeName = 'posts';
         this.maxPosts = config.maxPosts || 1000;
+        this.revisionFields = config.revisionFields || ['title', 'content']; // Fields whose earlier versions are kept
+        this.maxRevisions = config.maxRevisions || 20; // Earlier versions kept per post
+        this.searchIndex = new PostSearchIndex(config.search || {}); // Built on first search, then kept in step with writes
+        this.archiveStoreName = 'archives';
+        this.quarantineStoreName = 'quarantine'; // Posts that fail validation, kept for download
+        // overflow: 'archive' moves posts beyond maxPosts into a compressed archive, 'delete' drops them.
+        // archiveAfterDays: archive posts this many days after publishing (or generating) them - 0 = never.
+        // onlyPublished: the age rule only applies to published posts
+        this.archivePolicy = {
+            overflow: 'archive',
+            archiveAfterDays: 0,
+            onlyPublished: true,
+            ...config.archivePolicy,
+            ...this.load('archive_policy', {})
+        };
+        this.isPublished = config.isPublished || (post => post.status === 'published' || !!post.publishedAt);
+        this.indexReady = null;
+        this.adapter = config.adapter || createStorageAdapter({
+            namespace: this.namespace,
+            storeKeys: { [this.storeName]: this.postsKey }
+        });
+        this.ready = null;
+        this.sync = config.sync || null; // Optional CrossTabSync - writes take a lock shared by every tab
+        this.changeCallback = config.onChange || null; // Posts were changed by another tab
+        this.migrationCallback = config.onMigrate || null; // Saved posts were moved to new storage or upgraded: { action, count, message }
+        
+        if (this.sync) {
+            this.sync.subscribe('posts', (detail) => {
+                if (detail.namespace !== this.namespace) return;
+                this.invalidateSearchIndex();
+                if (this.changeCallback) {
+                    this.changeCallback(detail);
+                }
+            });
+        }
     }
     
-    // Save a new post
-    savePost(post) {
-        const posts = this.getAllPosts();
+    // Open storage and migrate legacy posts once. Every posts method awaits this.
+    init() {
+        if (!this.ready) {
+            this.ready = this.openAdapter()
+                .then(() => this.migrateFromLocalStorage())
+                .then(() => this.upgradeStoredPosts());
+        }
+        return this.ready;
+    }
+    
+    // Open the adapter, falling back to localStorage when IndexedDB is unavailable (e.g. some private windows)
+    async openAdapter() {
+        try {
+            await this.adapter.open();
+        } catch (error) {
+            console.error('Error opening post storage, falling back to localStorage:', error);
+            this.adapter = new LocalStorageAdapter({
+                namespace: this.namespace,
+                storeKeys: { [this.storeName]: this.postsKey }
+            });
+        }
+    }
+    
+    // Move posts from the legacy localStorage array into the adapter (one time)
+    async migrateFromLocalStorage() {
+        if (this.adapter.type === 'localstorage') return 0;
         
-        // Add timestamp and ID if not present
-        if (!post.id) {
-            post.id = `post_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const legacyPosts = this.load(this.postsKey, null);
+        if (!Array.isArray(legacyPosts)) return 0;
+        
+        const posts = legacyPosts.filter(post => post && typeof post === 'object').map(post => ({
+            ...post,
+            id: post.id || this.generatePostId(),
+            timestamp: post.timestamp || new Date().toISOString()
+        }));
+        
+        try {
+            await this.adapter.putAll(this.storeName, posts);
+            this.remove(this.postsKey);
+            this.reportMigration({ action: 'moved', count: posts.length, message: `Moved ${posts.length} saved posts from localStorage to ${this.adapter.type}` });
+            return posts.length;
+        } catch (error) {
+            // Leave the legacy key in place so the next load tries again
+            console.error('Error migrating posts from localStorage:', error);
+            return 0;
         }
-        if (!post.timestamp) {
-            post.timestamp = new Date().toISOString();
+    }
+    
+    // Tell the agent what opening storage changed (it goes in the Activity Logs)
+    reportMigration(detail) {
+        if (this.migrationCallback) {
+            this.migrationCallback(detail);
+        }
+    }
+    
+    // Bring a post record up to the current schema and check it.
+    // Returns { post, changed, problems } - changed: it needs saving again; problems: it can't be shown
+    upgradePost(record) {
+        const fromVersion = record && Number.isInteger(record.schemaVersion) ? record.schemaVersion : 0;
+        let upgraded;
+        try {
+            upgraded = this.schemas.upgrade('post', record, fromVersion);
+        } catch (error) {
+            return { post: record, changed: false, problems: [error.message] };
+        }
+        if (upgraded.newer) {
+            return { post: record, changed: false, problems: [] };
+        }
+        
+        const problems = this.schemas.validate('post', upgraded.value);
+        if (problems.length > 0) {
+            return { post: record, changed: false, problems: problems };
+        }
+        
+        const post = { ...upgraded.value, schemaVersion: upgraded.version };
+        return { post: post, changed: upgraded.migrated || fromVersion !== upgraded.version, problems: [] };
+    }
+    
+    // Sort posts into ones to save (upgraded) and ones to quarantine ({ record, problems })
+    upgradePosts(records) {
+        const posts = [];
+        const malformed = [];
+        records.forEach(record => {
+            const { post, problems } = this.upgradePost(record);
+            if (problems.length > 0) {
+                malformed.push({ record: record, problems: problems });
+            } else {
+                posts.push(post);
+            }
+        });
+        return { posts: posts, malformed: malformed };
+    }
+    
+    // Upgrade stored posts saved under an older schema and quarantine malformed ones (once, on init).
+    // Failures are logged, not thrown, so the posts that are fine still load
+    async upgradeStoredPosts() {
+        const run = async () => {
+            const records = await this.adapter.getAll(this.storeName);
+            const changed = [];
+            const malformed = [];
+            records.forEach(record => {
+                const { post, changed: needsSave, problems } = this.upgradePost(record);
+                if (problems.length > 0) {
+                    malformed.push({ record: record, problems: problems });
+                } else if (needsSave) {
+                    changed.push(post);
+                }
+            });
+            
+            if (changed.length > 0) {
+                await this.adapter.putAll(this.storeName, changed);
+                this.reportMigration({ action: 'upgraded', count: changed.length, message: `Upgraded ${changed.length} saved posts to schema version ${this.schemas.currentVersion('post')}` });
+            }
+            await this.quarantinePosts(malformed, { removeFromPosts: true });
+            return { upgraded: changed.length, quarantined: malformed.length };
+        };
+        
+        try {
+            return this.sync ? await this.sync.withLock(`posts:${this.namespace}`, run) : await run();
+        } catch (error) {
+            console.error('Error upgrading stored posts:', error);
+            return { upgraded: 0, quarantined: 0 };
         }
+    }
+    
+    // Move malformed posts ({ record, problems }) into the quarantine store.
+    // removeFromPosts: they were already stored and must leave the post list
+    async quarantinePosts(malformed, options = {}) {
+        if (malformed.length === 0) return 0;
         
-        posts.unshift(post); // Add to beginning
+        const now = new Date().toISOString();
+        await this.adapter.putAll(this.quarantineStoreName, malformed.map(({ record, problems }) => ({
+            id: `quarantine_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            postId: record && typeof record === 'object' ? record.id ?? null : null,
+            problems: problems,
+            quarantinedAt: now,
+            record: record
+        })));
         
-        // Limit number of posts
-        if (posts.length > this.maxPosts) {
-            posts.splice(this.maxPosts);
+        if (options.removeFromPosts) {
+            const ids = malformed.map(({ record }) => record && record.id).filter(id => id !== undefined && id !== null);
+            await this.adapter.deleteAll(this.storeName, ids);
+            await this.updateSearchIndex([], ids);
+        }
+        console.warn(`Quarantined ${malformed.length} malformed posts:`, malformed.map(({ problems }) => problems.join(', ')));
+        return malformed.length;
+    }
+    
+    // Quarantined posts, newest first: [{ id, postId, problems, quarantinedAt, record }]
+    async getQuarantinedPosts() {
+        try {
+            await this.init();
+            const entries = await this.adapter.getAll(this.quarantineStoreName);
+            return entries.sort((a, b) => new Date(b.quarantinedAt) - new Date(a.quarantinedAt));
+        } catch (error) {
+            console.error('Error loading quarantined posts:', error);
+            return [];
+        }
+    }
+    
+    // Discard quarantined posts (all of them, or the given quarantine entries)
+    async deleteQuarantinedPosts(entryIds = null) {
+        try {
+            await this.init();
+            if (entryIds === null) {
+                await this.adapter.clear(this.quarantineStoreName);
+            } else {
+                await this.adapter.deleteAll(this.quarantineStoreName, entryIds);
+            }
+            return true;
+        } catch (error) {
+            console.error('Error deleting quarantined posts:', error);
+            return false;
+        }
+    }
+    
+    // Run a read-modify-write while holding the posts lock, so two tabs can't overwrite each other's changes,
+    // then tell other tabs what changed. change = { action, ids }
+    async write(change, action) {
+        await this.init();
+        const result = this.sync ? await this.sync.withLock(`posts:${this.namespace}`, action) : await action();
+        
+        if (this.sync && result !== false) {
+            this.sync.publish('posts', { namespace: this.namespace, ...change });
+        }
+        return result;
+    }
+    
+    // Newest first, as posts were always listed
+    sortPosts(posts) {
+        return posts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+    
+    // Save a new post
+    async savePost(post) {
+        try {
+            // Add timestamp and ID if not present
+            if (!post.id) {
+                post.id = this.generatePostId();
+            }
+            if (!post.timestamp) {
+                post.timestamp = new Date().toISOString();
+            }
+            post.schemaVersion = this.schemas.currentVersion('post');
+            
+            await this.write({ action: 'save', ids: [post.id] }, async () => {
+                await this.adapter.put(this.storeName, post);
+                await this.updateSearchIndex([post]);
+                await this.trimPosts();
+            });
+            return true;
+        } catch (error) {
+            console.error('Error saving post:', error);
+            this.reportIfQuotaExceeded(error);
+            return false;
+        }
+    }
+    
+    // Save many posts at once (e.g. restored from a backup), keeping their ids and timestamps.
+    // Posts from older versions are upgraded; malformed ones are quarantined instead of saved
+    async savePosts(posts) {
+        try {
+            const { posts: records, malformed } = this.upgradePosts(posts.map(post => post && typeof post === 'object' ? {
+                ...post,
+                id: post.id || this.generatePostId(),
+                timestamp: post.timestamp || new Date().toISOString()
+            } : post));
+            
+            await this.write({ action: 'save', ids: records.map(post => post.id) }, async () => {
+                await this.quarantinePosts(malformed);
+                await this.adapter.putAll(this.storeName, records);
+                await this.updateSearchIndex(records);
+                await this.trimPosts();
+            });
+            return true;
+        } catch (error) {
+            console.error('Error saving posts:', error);
+            this.reportIfQuotaExceeded(error);
+            return false;
         }
+    }
+    
+    // Move the oldest posts beyond maxPosts into an archive (or drop them, if the policy says so)
+    async trimPosts() {
+        const count = await this.adapter.count(this.storeName);
+        if (count <= this.maxPosts) return 0;
         
-        return this.save(this.postsKey, posts);
+        const oldest = this.sortPosts(await this.adapter.getAll(this.storeName)).slice(this.maxPosts);
+        if (this.archivePolicy.overflow === 'archive') {
+            await this.moveToArchive(oldest, 'limit');
+        } else {
+            await this.adapter.deleteAll(this.storeName, oldest.map(post => post.id));
+            await this.updateSearchIndex([], oldest.map(post => post.id));
+        }
+        return oldest.length;
+    }
+    
+    // Tell quota listeners when post storage is full
+    reportIfQuotaExceeded(error) {
+        if (isQuotaExceededError(error)) {
+            reportQuotaExceeded({ key: this.getKey(this.postsKey), source: this.adapter.type, error: error });
+        }
+    }
+    
+    // Generate a post ID (lets callers reference a post before it is saved)
+    generatePostId() {
+        return `post_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
     
     // Get all posts
-    getAllPosts() {
-        return this.load(this.postsKey, []);
+    async getAllPosts() {
+        try {
+            await this.init();
+            return this.sortPosts(await this.adapter.getAll(this.storeName));
+        } catch (error) {
+            console.error('Error loading posts:', error);
+            return [];
+        }
     }
     
-    // Get posts by criteria
-    getPostsByFilter(filter) {
-        const posts = this.getAllPosts();
+    // Get one post (or null)
+    async getPost(postId) {
+        try {
+            await this.init();
+            return (await this.adapter.get(this.storeName, postId)) || null;
+        } catch (error) {
+            console.error(`Error loading post ${postId}:`, error);
+            return null;
+        }
+    }
+    
+    // Get posts by criteria - source, platform or status is looked up through its index
+    async getPostsByFilter(filter) {
+        const indexed = ['source', 'platform', 'status'].find(field => filter[field]);
+        let posts;
+        
+        try {
+            await this.init();
+            posts = await this.adapter.getAll(this.storeName, indexed ? { index: indexed, value: filter[indexed] } : {});
+        } catch (error) {
+            console.error('Error loading posts:', error);
+            return [];
+        }
         
-        return posts.filter(post => {
+        return this.sortPosts(posts.filter(post => {
             if (filter.source && post.source !== filter.source) return false;
             if (filter.platform && post.platform !== filter.platform) return false;
             if (filter.status && post.status !== filter.status) return false;
             if (filter.dateFrom && new Date(post.timestamp) < new Date(filter.dateFrom)) return false;
             if (filter.dateTo && new Date(post.timestamp) > new Date(filter.dateTo)) return false;
             return true;
-        });
+        }));
     }
     
-    // Update a post
-    updatePost(postId, updates) {
-        const posts = this.getAllPosts();
-        const index = posts.findIndex(p => p.id === postId);
-        
-        if (index !== -1) {
-            posts[index] = { ...posts[index], ...updates, lastModified: new Date().toISOString() };
-            return this.save(this.postsKey, posts);
+    // Update a post. When a revision field changes, the previous version is kept in the post's history.
+    // change = { source: 'ai' | 'manual' | 'restore', author, note } describes the new version
+    async updatePost(postId, updates, change = {}) {
+        try {
+            return await this.write({ action: 'update', ids: [postId] }, async () => {
+                // Read inside the lock so an update made by another tab meanwhile is kept
+                const post = await this.getPost(postId);
+                if (!post) return false;
+                
+                const now = new Date().toISOString();
+                const updated = { ...post, ...updates, lastModified: now };
+                
+                const changed = this.revisionFields.some(field => JSON.stringify(post[field]) !== JSON.stringify(updated[field]));
+                if (changed) {
+                    updated.revisions = [...(post.revisions || []), this.snapshotRevision(post)].slice(-this.maxRevisions);
+                    updated.revision = {
+                        id: this.generateRevisionId(),
+                        createdAt: now,
+                        source: change.source || 'manual',
+                        author: change.author || null,
+                        note: change.note || null,
+                        restoredFrom: change.restoredFrom || null
+                    };
+                }
+                
+                await this.adapter.put(this.storeName, updated);
+                await this.updateSearchIndex([updated]);
+                return true;
+            });
+        } catch (error) {
+            console.error(`Error updating post ${postId}:`, error);
+            return false;
         }
+    }
+    
+    // Who made the post's current version (posts saved before revisions started out AI-generated)
+    describeRevision(post) {
+        return post.revision || {
+            id: 'rev_original',
+            createdAt: post.timestamp,
+            source: 'ai',
+            author: [post.generatedBy, post.model].filter(Boolean).join(' / ') || null,
+            note: 'Generated',
+            restoredFrom: null
+        };
+    }
+    
+    // The post's current version as a history entry
+    snapshotRevision(post) {
+        return {
+            ...this.describeRevision(post),
+            fields: Object.fromEntries(this.revisionFields.map(field => [field, post[field] ?? null]))
+        };
+    }
+    
+    // Generate a revision ID
+    generateRevisionId() {
+        return `rev_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+    
+    // A post's versions, newest (current) first. Each: { id, createdAt, source, author, note, fields, current }
+    async getRevisions(postId) {
+        const post = await this.getPost(postId);
+        if (!post) return [];
+        
+        return [
+            { ...this.snapshotRevision(post), current: true },
+            ...(post.revisions || []).slice().reverse().map(revision => ({ ...revision, current: false }))
+        ];
+    }
+    
+    // Compare two versions field by field (toId defaults to the current version).
+    // Returns { from, to, fields: [{ field, changed, rows }] } with side-by-side rows, or null
+    async diffRevisions(postId, fromId, toId = null) {
+        const revisions = await this.getRevisions(postId);
+        const from = revisions.find(revision => revision.id === fromId);
+        const to = toId ? revisions.find(revision => revision.id === toId) : revisions[0];
+        if (!from || !to) return null;
         
-        return false;
+        return {
+            from: from,
+            to: to,
+            fields: this.revisionFields.map(field => {
+                const rows = sideBySide(from.fields[field], to.fields[field]);
+                return { field: field, changed: rows.some(row => row.type !== 'equal'), rows: rows };
+            })
+        };
+    }
+    
+    // Bring back an earlier version. The version being replaced stays in the history.
+    async restoreRevision(postId, revisionId, change = {}) {
+        const revision = (await this.getRevisions(postId)).find(entry => entry.id === revisionId && !entry.current);
+        if (!revision) return false;
+        
+        return this.updatePost(postId, revision.fields, {
+            source: 'restore',
+            note: `Restored the version from ${new Date(revision.createdAt).toLocaleString()}`,
+            ...change,
+            restoredFrom: revision.id
+        });
+    }
+    
+    // Whether a post is new or was edited since it was last written to the sheet
+    needsWriting(post) {
+        return !post.writtenAt || (!!post.lastModified && post.lastModified > post.writtenAt);
+    }
+    
+    // Record that posts were written to the sheet, with the Row ID of each post's row. Written posts stay
+    // (with their revisions) until the archive policy moves them. Not an edit: lastModified and revisions are kept
+    async markWritten(postIds, rowIds = {}) {
+        try {
+            const writtenAt = new Date().toISOString();
+            return await this.write({ action: 'update', ids: postIds }, async () => {
+                const posts = (await Promise.all(postIds.map(postId => this.adapter.get(this.storeName, postId)))).filter(Boolean);
+                const updated = posts.map(post => ({ ...post, writtenAt: writtenAt, sheetRowId: rowIds[post.id] || post.sheetRowId || null }));
+                await this.adapter.putAll(this.storeName, updated);
+                await this.updateSearchIndex(updated);
+                return updated.length;
+            });
+        } catch (error) {
+            console.error('Error marking posts as written:', error);
+            return false;
+        }
     }
     
     // Delete a post
-    deletePost(postId) {
-        const posts = this.getAllPosts();
-        const filtered = posts.filter(p => p.id !== postId);
+    async deletePost(postId) {
+        try {
+            return await this.write({ action: 'delete', ids: [postId] }, async () => {
+                const post = await this.getPost(postId);
+                if (!post) return false;
+                
+                await this.adapter.delete(this.storeName, postId);
+                await this.updateSearchIndex([], [postId]);
+                return true;
+            });
+        } catch (error) {
+            console.error(`Error deleting post ${postId}:`, error);
+            return false;
+        }
+    }
+    
+    // Delete many posts at once
+    async deletePosts(postIds) {
+        try {
+            await this.write({ action: 'delete', ids: postIds }, async () => {
+                await this.adapter.deleteAll(this.storeName, postIds);
+                await this.updateSearchIndex([], postIds);
+            });
+            return true;
+        } catch (error) {
+            console.error('Error deleting posts:', error);
+            return false;
+        }
+    }
+    
+    // Clear all posts
+    async clearAllPosts() {
+        try {
+            await this.write({ action: 'clear', ids: [] }, async () => {
+                await this.adapter.clear(this.storeName);
+                if (this.indexReady) {
+                    (await this.indexReady).clear();
+                }
+            });
+            return true;
+        } catch (error) {
+            console.error('Error clearing posts:', error);
+            return false;
+        }
+    }
+    
+    // Change and save the archive policy
+    setArchivePolicy(policy) {
+        this.archivePolicy = { ...this.archivePolicy, ...policy };
+        return this.save('archive_policy', this.archivePolicy);
+    }
+    
+    // Pack posts into one compressed archive record and remove them from the post list.
+    // Runs inside a write (the posts lock is already held). Returns the archive summary
+    async moveToArchive(posts, reason) {
+        if (posts.length === 0) return null;
         
-        if (filtered.length < posts.length) {
-            return this.save(this.postsKey, filtered);
+        const archive = await createArchive(posts, reason);
+        await this.adapter.put(this.archiveStoreName, archive);
+        await this.adapter.deleteAll(this.storeName, posts.map(post => post.id));
+        await this.updateSearchIndex([], posts.map(post => post.id));
+        return describeArchive(archive);
+    }
+    
+    // Archive chosen posts. Returns the archive summary, or null when none of them exist
+    async archivePosts(postIds, reason = 'manual') {
+        try {
+            return await this.write({ action: 'archive', ids: postIds }, async () => {
+                const posts = (await Promise.all(postIds.map(postId => this.adapter.get(this.storeName, postId)))).filter(Boolean);
+                return (await this.moveToArchive(posts, reason)) || false;
+            }) || null;
+        } catch (error) {
+            console.error('Error archiving posts:', error);
+            this.reportIfQuotaExceeded(error);
+            return null;
         }
+    }
+    
+    // Archive posts older than the policy allows. Returns the archive summary, or null
+    async applyArchivePolicy() {
+        const days = this.archivePolicy.archiveAfterDays;
+        if (!days) return null;
         
-        return false;
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        const due = (await this.getAllPosts())
+            .filter(post => !this.archivePolicy.onlyPublished || this.isPublished(post))
+            .filter(post => new Date(post.publishedAt || post.timestamp).getTime() < cutoff);
+        
+        return due.length > 0 ? this.archivePosts(due.map(post => post.id), 'policy') : null;
     }
     
-    // Clear all posts
-    clearAllPosts() {
-        return this.save(this.postsKey, []);
+    // Archive summaries (without the packed posts), newest first
+    async getArchives() {
+        try {
+            await this.init();
+            const archives = await this.adapter.getAll(this.archiveStoreName);
+            return archives.map(describeArchive).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        } catch (error) {
+            console.error('Error loading archives:', error);
+            return [];
+        }
+    }
+    
+    // The full posts stored in an archive
+    async getArchivedPosts(archiveId) {
+        await this.init();
+        const archive = await this.adapter.get(this.archiveStoreName, archiveId);
+        if (!archive) {
+            throw new Error('Archive not found');
+        }
+        return unpackJSON(archive);
+    }
+    
+    // Put an archive's posts back in the post list and delete the archive. Restored posts are not
+    // trimmed straight away, so the list can stay above maxPosts until the next save
+    async restoreArchive(archiveId) {
+        try {
+            const { posts, malformed } = this.upgradePosts(await this.getArchivedPosts(archiveId));
+            
+            return await this.write({ action: 'save', ids: posts.map(post => post.id) }, async () => {
+                await this.quarantinePosts(malformed);
+                await this.adapter.putAll(this.storeName, posts);
+                await this.updateSearchIndex(posts);
+                await this.adapter.delete(this.archiveStoreName, archiveId);
+                return posts.length;
+            });
+        } catch (error) {
+            console.error(`Error restoring archive ${archiveId}:`, error);
+            this.reportIfQuotaExceeded(error);
+            return false;
+        }
+    }
+    
+    // Delete an archive for good
+    async deleteArchive(archiveId) {
+        try {
+            await this.init();
+            await this.adapter.delete(this.archiveStoreName, archiveId);
+            return true;
+        } catch (error) {
+            console.error(`Error deleting archive ${archiveId}:`, error);
+            return false;
+        }
+    }
+    
+    // The search index, built from storage on first use
+    getSearchIndex() {
+        if (!this.indexReady) {
+            this.indexReady = this.init()
+                .then(() => this.adapter.getAll(this.storeName))
+                .then(posts => this.searchIndex.build(posts))
+                .catch(error => {
+                    this.indexReady = null;
+                    throw error;
+                });
+        }
+        return this.indexReady;
+    }
+    
+    // Keep the index in step with a write. Nothing to do until the first search builds it;
+    // a build in progress is awaited so the write isn't lost from it.
+    async updateSearchIndex(posts = [], removedIds = []) {
+        if (!this.indexReady) return;
+        
+        const index = await this.indexReady.catch(() => null);
+        if (!index) return;
+        removedIds.forEach(postId => index.remove(postId));
+        posts.forEach(post => index.add(post));
+    }
+    
+    // Rebuild the index on next search (e.g. after another tab changed the posts)
+    invalidateSearchIndex() {
+        this.indexReady = null;
+    }
+    
+    // Full-text search with facet counts, sorting and paging (see PostSearchIndex.search).
+    // Returns { posts, total, page, pageSize, pageCount, facets }
+    async searchPosts(query = {}) {
+        try {
+            const index = await this.getSearchIndex();
+            const result = index.search(query);
+            const posts = await Promise.all(result.ids.map(postId => this.adapter.get(this.storeName, postId)));
+            
+            const { ids, ...rest } = result;
+            return { ...rest, posts: posts.filter(Boolean) };
+        } catch (error) {
+            console.error('Error searching posts:', error);
+            return { posts: [], total: 0, page: 1, pageSize: query.pageSize || 20, pageCount: 1, facets: {} };
+        }
     }
     
     // Get posts statistics
-    getStatistics() {
-        const posts = this.getAllPosts();
+    async getStatistics() {
+        const posts = await this.getAllPosts();
         const stats = {
             total: posts.length,
             bySource: {},
@@ -0,0 +1,150 @@
+// storage-quota.js
+// Storage Quota Monitoring - Origin Estimates, localStorage Size Accounting and Quota Errors (ES6)
+
+// Browsers allow about 5 million UTF-16 characters of localStorage per origin (keys included)
+export const LOCAL_STORAGE_LIMIT = 5 * 1024 * 1024;
+
+// Whether an error means storage is full (the name differs between browsers)
+export const isQuotaExceededError = (error) => !!error && (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014
+);
+
+// Human-readable size ("1.4 MB")
+export const formatBytes = (bytes) => {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / Math.pow(1024, exponent);
+    return `${value >= 10 || exponent === 0 ? Math.round(value) : value.toFixed(1)} ${units[exponent]}`;
+};
+
+// Listeners for writes that failed because storage is full
+const quotaListeners = new Set();
+
+// Be told whenever a save fails for lack of space: listener({ key, source, error }). Returns an unsubscribe function
+export const onQuotaExceeded = (listener) => {
+    quotaListeners.add(listener);
+    return () => quotaListeners.delete(listener);
+};
+
+// Report a failed save (called by the storage classes)
+export const reportQuotaExceeded = (detail) => {
+    for (const listener of quotaListeners) {
+        try {
+            listener(detail);
+        } catch (error) {
+            console.error('Error in quota listener:', error);
+        }
+    }
+};
+
+export class StorageQuotaMonitor {
+    constructor(config = {}) {
+        this.localStorageLimit = config.localStorageLimit || LOCAL_STORAGE_LIMIT;
+        this.warnAt = config.warnAt || 0.8; // Share of a quota that counts as nearly full
+        this.criticalAt = config.criticalAt || 0.95;
+        this.warningCallback = config.onWarning || null; // Called with the report when the level rises
+        this.lastLevel = 'ok';
+        this.lastReport = null;
+        this.checkInterval = null;
+    }
+    
+    // Whether the browser reports origin-wide usage (IndexedDB, caches and localStorage together)
+    static isSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.storage && typeof navigator.storage.estimate === 'function';
+    }
+    
+    // Origin usage and quota in bytes: { usage, quota, ratio, details }, or null when unavailable
+    async estimate() {
+        if (!StorageQuotaMonitor.isSupported()) return null;
+        
+        try {
+            const { usage = 0, quota = 0, usageDetails = null } = await navigator.storage.estimate();
+            return {
+                usage: usage,
+                quota: quota,
+                ratio: quota > 0 ? usage / quota : 0,
+                details: usageDetails // e.g. { indexedDB, caches } in Chromium
+            };
+        } catch (error) {
+            console.error('Error estimating storage:', error);
+            return null;
+        }
+    }
+    
+    // Size of every localStorage key, largest first, with totals per namespace ("blogAgent_...")
+    measureLocalStorage() {
+        const keys = [];
+        let used = 0;
+        
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            const size = key.length + (localStorage.getItem(key) || '').length;
+            keys.push({ key: key, size: size });
+            used += size;
+        }
+        keys.sort((a, b) => b.size - a.size);
+        
+        const byNamespace = {};
+        keys.forEach(({ key, size }) => {
+            const namespace = key.includes('_') ? key.slice(0, key.indexOf('_')) : key;
+            byNamespace[namespace] = (byNamespace[namespace] || 0) + size;
+        });
+        
+        return {
+            used: used,
+            limit: this.localStorageLimit,
+            ratio: used / this.localStorageLimit,
+            keys: keys,
+            byNamespace: byNamespace
+        };
+    }
+    
+    // 'ok', 'warning' or 'critical' for a used share
+    levelFor(ratio) {
+        if (ratio >= this.criticalAt) return 'critical';
+        if (ratio >= this.warnAt) return 'warning';
+        return 'ok';
+    }
+    
+    // Measure both quotas: { level, origin, localStorage, checkedAt }.
+    // The warning callback runs when the level gets worse than at the last check.
+    async check() {
+        const origin = await this.estimate();
+        const local = this.measureLocalStorage();
+        const level = this.levelFor(Math.max(origin ? origin.ratio : 0, local.ratio));
+        
+        const report = {
+            level: level,
+            origin: origin,
+            localStorage: local,
+            checkedAt: new Date().toISOString()
+        };
+        
+        const severity = { ok: 0, warning: 1, critical: 2 };
+        if (severity[level] > severity[this.lastLevel] && this.warningCallback) {
+            this.warningCallback(report);
+        }
+        this.lastLevel = level;
+        this.lastReport = report;
+        return report;
+    }
+    
+    // Check now and then every intervalMs
+    start(intervalMs = 5 * 60 * 1000) {
+        this.stop();
+        this.check();
+        this.checkInterval = setInterval(() => this.check(), intervalMs);
+    }
+    
+    // Stop periodic checks
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,135 @@
+// structured-output.js
+// Structured (JSON Schema) Output Parsing and Validation Module (ES6)
+
+// Raised when a structured response can't be parsed or doesn't match its schema
+export class StructuredOutputError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'StructuredOutputError';
+        this.errors = details.errors || [];
+        this.content = details.content || '';
+    }
+}
+
+// Parse JSON from model output, tolerating code fences and prose around the object
+export const parseJSONContent = (text) => {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new StructuredOutputError('Response is empty', { errors: ['Response is empty'], content: text || '' });
+    }
+    
+    let candidate = text.trim();
+    const fence = candidate.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fence) {
+        candidate = fence[1].trim();
+    }
+    
+    try {
+        return JSON.parse(candidate);
+    } catch (error) {
+        // Models sometimes wrap the object in a sentence - try the outermost braces
+        const start = candidate.indexOf('{');
+        const end = candidate.lastIndexOf('}');
+        if (start !== -1 && end > start) {
+            try {
+                return JSON.parse(candidate.slice(start, end + 1));
+            } catch (e) {
+                // Fall through to the original error
+            }
+        }
+        
+        throw new StructuredOutputError(`Response is not valid JSON: ${error.message}`, {
+            errors: [`Response is not valid JSON: ${error.message}`],
+            content: text
+        });
+    }
+};
+
+// Name the JSON type of a value the way JSON Schema does
+const jsonType = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+};
+
+// Validate a value against the JSON Schema subset used by prompt output schemas:
+// type, enum, properties, required, additionalProperties: false, items,
+// minLength/maxLength and minItems/maxItems. Returns a list of problems (empty when valid).
+export const validateJSONSchema = (value, schema, path = '$') => {
+    const errors = [];
+    if (!schema) return errors;
+    
+    const actual = jsonType(value);
+    
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matches = allowed.some(type => type === actual || (type === 'number' && actual === 'integer'));
+        if (!matches) {
+            errors.push(`${path} should be ${allowed.join(' or ')} but is ${actual}`);
+            return errors;
+        }
+    }
+    
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of: ${schema.enum.join(', ')}`);
+    }
+    
+    if (actual === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push(schema.minLength === 1 ? `${path} is empty` : `${path} should be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} should be at most ${schema.maxLength} characters`);
+        }
+    }
+    
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} should have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} should have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateJSONSchema(item, schema.items, `${path}[${index}]`));
+            });
+        }
+    }
+    
+    if (actual === 'object') {
+        const properties = schema.properties || {};
+        
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is missing`);
+            }
+        }
+        
+        for (const [key, propertySchema] of Object.entries(properties)) {
+            if (value[key] !== undefined) {
+                errors.push(...validateJSONSchema(value[key], propertySchema, `${path}.${key}`));
+            }
+        }
+        
+        if (schema.additionalProperties === false) {
+            for (const key of Object.keys(value)) {
+                if (!properties[key]) {
+                    errors.push(`${path}.${key} is not allowed`);
+                }
+            }
+        }
+    }
+    
+    return errors;
+};
+
+// Parse and validate in one step: returns { data, errors }
+export const checkStructuredContent = (text, schema) => {
+    try {
+        const data = parseJSONContent(text);
+        return { data: data, errors: validateJSONSchema(data, schema.schema) };
+    } catch (error) {
+        return { data: null, errors: error.errors && error.errors.length ? error.errors : [error.message] };
+    }
+};
\ No newline at end of file
@@ -0,0 +1,156 @@
+// text-diff.js
+// Line and Word Diffs (LCS) with Side-by-Side Rows for Revision Views (ES6)
+
+// Above this many token comparisons the differing middle is reported as replaced wholesale
+const MAX_COMPARISONS = 4000000;
+
+// Diff two token arrays. Returns [{ type: 'equal' | 'removed' | 'added', value }]
+export const diffSequence = (before, after) => {
+    // Common prefix and suffix need no table
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+        endBefore--;
+        endAfter--;
+    }
+    
+    const a = before.slice(start, endBefore);
+    const b = after.slice(start, endAfter);
+    const ops = before.slice(0, start).map(value => ({ type: 'equal', value: value }));
+    
+    if (a.length * b.length > MAX_COMPARISONS) {
+        a.forEach(value => ops.push({ type: 'removed', value: value }));
+        b.forEach(value => ops.push({ type: 'added', value: value }));
+    } else {
+        // lengths[i * width + j] = longest common subsequence of a[i..] and b[j..]
+        const width = b.length + 1;
+        const lengths = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[i] === b[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+        
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                ops.push({ type: 'equal', value: a[i++] });
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                ops.push({ type: 'removed', value: a[i++] });
+            } else {
+                ops.push({ type: 'added', value: b[j++] });
+            }
+        }
+        while (i < a.length) ops.push({ type: 'removed', value: a[i++] });
+        while (j < b.length) ops.push({ type: 'added', value: b[j++] });
+    }
+    
+    before.slice(endBefore).forEach(value => ops.push({ type: 'equal', value: value }));
+    return ops;
+};
+
+// Revision fields can be strings, lists (e.g. hashtags) or objects
+export const toDiffText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.join('\n');
+    if (typeof value === 'object') return JSON.stringify(value, null, 2);
+    return String(value);
+};
+
+// Line diff: [{ type, value }] with one line per op
+export const diffLines = (before, after) => {
+    return diffSequence(toDiffText(before).split('\n'), toDiffText(after).split('\n'));
+};
+
+// Word diff: [{ type, text }] with runs of the same type merged. Whitespace is kept,
+// so joining the equal and removed parts gives back `before` (equal and added gives `after`)
+export const diffWords = (before, after) => {
+    const tokenize = (text) => toDiffText(text).split(/(\s+)/).filter(token => token !== '');
+    const parts = [];
+    
+    for (const op of diffSequence(tokenize(before), tokenize(after))) {
+        const last = parts[parts.length - 1];
+        if (last && last.type === op.type) {
+            last.text += op.value;
+        } else {
+            parts.push({ type: op.type, text: op.value });
+        }
+    }
+    return parts;
+};
+
+// Rows for a two-column view: [{ type: 'equal' | 'changed' | 'removed' | 'added', left, right }].
+// Replaced lines are paired up as 'changed' rows with word-level leftParts / rightParts.
+export const sideBySide = (before, after) => {
+    const rows = [];
+    let removed = [];
+    let added = [];
+    
+    const flush = () => {
+        for (let index = 0; index < Math.max(removed.length, added.length); index++) {
+            const left = index < removed.length ? removed[index] : null;
+            const right = index < added.length ? added[index] : null;
+            
+            if (left !== null && right !== null) {
+                const words = diffWords(left, right);
+                rows.push({
+                    type: 'changed',
+                    left: left,
+                    right: right,
+                    leftParts: words.filter(part => part.type !== 'added'),
+                    rightParts: words.filter(part => part.type !== 'removed')
+                });
+            } else {
+                rows.push({ type: left !== null ? 'removed' : 'added', left: left, right: right });
+            }
+        }
+        removed = [];
+        added = [];
+    };
+    
+    for (const op of diffLines(before, after)) {
+        if (op.type === 'equal') {
+            flush();
+            rows.push({ type: 'equal', left: op.value, right: op.value });
+        } else if (op.type === 'removed') {
+            removed.push(op.value);
+        } else {
+            added.push(op.value);
+        }
+    }
+    flush();
+    
+    return rows;
+};
+
+// Replace long unchanged stretches with { type: 'skipped', count }, keeping `context` lines around changes
+export const collapseUnchanged = (rows, context = 2) => {
+    const keep = rows.map(row => row.type !== 'equal');
+    rows.forEach((row, index) => {
+        if (row.type === 'equal') return;
+        for (let offset = -context; offset <= context; offset++) {
+            if (rows[index + offset]) keep[index + offset] = true;
+        }
+    });
+    
+    const collapsed = [];
+    rows.forEach((row, index) => {
+        if (keep[index]) {
+            collapsed.push(row);
+            return;
+        }
+        const last = collapsed[collapsed.length - 1];
+        if (last && last.type === 'skipped') {
+            last.count++;
+        } else {
+            collapsed.push({ type: 'skipped', count: 1 });
+        }
+    });
+    return collapsed;
+};
\ No newline at end of file
@@ -0,0 +1,243 @@
+// usage-ledger.js
+// Token Usage, Cost Estimation and Budget Tracking Module (ES6)
+
+import { StorageManager } from './storage-credentials-manager.js';
+
+// Thrown when a generation would go past a configured budget cap
+export class BudgetExceededError extends Error {
+    constructor(period, spent, cap) {
+        super(`${period === 'daily' ? 'Daily' : 'Monthly'} AI budget reached ($${spent.toFixed(2)} of $${cap.toFixed(2)})`);
+        this.name = 'BudgetExceededError';
+        this.period = period;
+        this.spent = spent;
+        this.cap = cap;
+    }
+}
+
+export class UsageLedger extends StorageManager {
+    constructor(config = {}) {
+        // Shared namespace so budgets cover every agent
+        super({ ...config, namespace: config.namespace || 'postassist' });
+        this.entriesKey = 'usage_ledger';
+        this.settingsKey = 'usage_settings';
+        this.maxEntries = config.maxEntries || 10000;
+        this.entries = this.load(this.entriesKey, []);
+        this.settings = {
+            prices: { ...UsageLedger.DEFAULT_PRICES },
+            budgets: { daily: null, monthly: null },
+            currency: 'USD',
+            ...this.load(this.settingsKey, {})
+        };
+    }
+    
+    // Default prices in USD per 1M tokens - edit in the Usage tab to match your plan
+    static DEFAULT_PRICES = {
+        'claude-3-opus': { input: 15, output: 75 },
+        'claude-3-5-sonnet': { input: 3, output: 15 },
+        'claude-3-sonnet': { input: 3, output: 15 },
+        'claude-3-5-haiku': { input: 0.8, output: 4 },
+        'claude-3-haiku': { input: 0.25, output: 1.25 },
+        'gpt-4o-mini': { input: 0.15, output: 0.6 },
+        'gpt-4o': { input: 2.5, output: 10 },
+        'gpt-4-turbo': { input: 10, output: 30 },
+        'gpt-4': { input: 30, output: 60 },
+        'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+        'gemini-1.5-pro': { input: 1.25, output: 5 },
+        'gemini-1.5-flash': { input: 0.075, output: 0.3 }
+    };
+    
+    // Reload entries and settings (e.g. after another agent wrote to them)
+    refresh() {
+        this.entries = this.load(this.entriesKey, []);
+        this.settings = { ...this.settings, ...this.load(this.settingsKey, {}) };
+    }
+    
+    // Record one generation
+    record(entry) {
+        // Another agent may have recorded since we loaded
+        this.entries = this.load(this.entriesKey, []);
+        
+        const promptTokens = entry.promptTokens || 0;
+        const completionTokens = entry.completionTokens || 0;
+        
+        const record = {
+            id: `usage_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            timestamp: entry.timestamp || new Date().toISOString(),
+            provider: entry.provider || 'unknown',
+            model: entry.model || 'unknown',
+            agent: entry.agent || 'unknown',
+            postId: entry.postId || null,
+            promptTokens: promptTokens,
+            completionTokens: completionTokens,
+            totalTokens: promptTokens + completionTokens,
+            cost: this.estimateCost(entry.model, promptTokens, completionTokens)
+        };
+        
+        this.entries.push(record);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+        
+        this.save(this.entriesKey, this.entries);
+        return record;
+    }
+    
+    // Find the price for a model: exact match first, then the longest matching prefix
+    // (providers return versioned ids like "gpt-4-0613" or "claude-3-opus-20240229")
+    getPrice(model) {
+        if (!model) return null;
+        const prices = this.settings.prices;
+        
+        if (prices[model]) return prices[model];
+        
+        const prefix = Object.keys(prices)
+            .filter(key => model.startsWith(key))
+            .sort((a, b) => b.length - a.length)[0];
+        
+        return prefix ? prices[prefix] : null;
+    }
+    
+    // Estimate cost in the ledger currency (null when the model has no price)
+    estimateCost(model, promptTokens, completionTokens) {
+        const price = this.getPrice(model);
+        if (!price) return null;
+        
+        return (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1000000;
+    }
+    
+    // Replace the price table
+    setPrices(prices) {
+        this.settings.prices = { ...prices };
+        return this.saveSettings();
+    }
+    
+    // Set budget caps (null or 0 disables a cap)
+    setBudgets(budgets) {
+        this.settings.budgets = {
+            daily: budgets.daily || null,
+            monthly: budgets.monthly || null
+        };
+        return this.saveSettings();
+    }
+    
+    // Persist settings
+    saveSettings() {
+        return this.save(this.settingsKey, this.settings);
+    }
+    
+    // Entries matching a filter ({ from, to, provider, model, agent, postId })
+    getEntries(filter = {}) {
+        return this.entries.filter(entry => {
+            if (filter.from && new Date(entry.timestamp) < new Date(filter.from)) return false;
+            if (filter.to && new Date(entry.timestamp) > new Date(filter.to)) return false;
+            if (filter.provider && entry.provider !== filter.provider) return false;
+            if (filter.model && entry.model !== filter.model) return false;
+            if (filter.agent && entry.agent !== filter.agent) return false;
+            if (filter.postId && entry.postId !== filter.postId) return false;
+            return true;
+        });
+    }
+    
+    // Total spend since a date
+    getSpend(from) {
+        return this.getEntries({ from }).reduce((sum, entry) => sum + (entry.cost || 0), 0);
+    }
+    
+    // Start of the current day / month in local time
+    getPeriodStart(period) {
+        const now = new Date();
+        return period === 'daily'
+            ? new Date(now.getFullYear(), now.getMonth(), now.getDate())
+            : new Date(now.getFullYear(), now.getMonth(), 1);
+    }
+    
+    // Check budget caps
+    checkBudget() {
+        this.refresh();
+        
+        for (const period of ['daily', 'monthly']) {
+            const cap = this.settings.budgets[period];
+            if (!cap) continue;
+            
+            const spent = this.getSpend(this.getPeriodStart(period));
+            if (spent >= cap) {
+                return { ok: false, period, spent, cap };
+            }
+        }
+        
+        return { ok: true };
+    }
+    
+    // Throw BudgetExceededError if a cap has been reached
+    assertWithinBudget() {
+        const check = this.checkBudget();
+        if (!check.ok) {
+            throw new BudgetExceededError(check.period, check.spent, check.cap);
+        }
+    }
+    
+    // Aggregate entries by one or more fields, e.g. ['provider', 'model']
+    summarize(groupBy = ['provider', 'model'], filter = {}) {
+        const groups = new Map();
+        
+        for (const entry of this.getEntries(filter)) {
+            const key = groupBy.map(field => entry[field] || 'unknown').join('|');
+            
+            if (!groups.has(key)) {
+                const group = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpriced: 0 };
+                groupBy.forEach(field => { group[field] = entry[field] || 'unknown'; });
+                groups.set(key, group);
+            }
+            
+            const group = groups.get(key);
+            group.requests++;
+            group.promptTokens += entry.promptTokens;
+            group.completionTokens += entry.completionTokens;
+            group.totalTokens += entry.totalTokens;
+            if (entry.cost === null) {
+                group.unpriced++;
+            } else {
+                group.cost += entry.cost;
+            }
+        }
+        
+        return Array.from(groups.values()).sort((a, b) => b.cost - a.cost);
+    }
+    
+    // Spend and caps for the current day and month
+    getBudgetStatus() {
+        this.refresh();
+        
+        return {
+            daily: {
+                spent: this.getSpend(this.getPeriodStart('daily')),
+                cap: this.settings.budgets.daily
+            },
+            monthly: {
+                spent: this.getSpend(this.getPeriodStart('monthly')),
+                cap: this.settings.budgets.monthly
+            }
+        };
+    }
+    
+    // Export entries as CSV
+    toCSV(filter = {}) {
+        const columns = ['timestamp', 'agent', 'provider', 'model', 'postId', 'promptTokens', 'completionTokens', 'totalTokens', 'cost'];
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const rows = this.getEntries(filter).map(entry =>
+            columns.map(column => escape(column === 'cost' && entry.cost !== null ? entry.cost.toFixed(6) : entry[column])).join(',')
+        );
+        
+        return [columns.join(','), ...rows].join('\n');
+    }
+    
+    // Remove all entries (keeps prices and budgets)
+    clearEntries() {
+        this.entries = [];
+        return this.save(this.entriesKey, []);
+    }
+}
\ No newline at end of file
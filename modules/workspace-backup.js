@@ -0,0 +1,418 @@
+// workspace-backup.js
+// Versioned Workspace Backup - One Optionally Encrypted Bundle for Credentials, Prompts, Posts and Settings (ES6)
+
+import { VaultLockedError, deriveKey, encryptJSON, decryptJSON, toBase64, fromBase64 } from './credential-vault.js';
+
+export const WORKSPACE_FORMAT = 'postassist-workspace';
+export const WORKSPACE_BUNDLE_VERSION = 1;
+
+// Thrown for unreadable, undecryptable or unsupported backups
+export class WorkspaceBackupError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WorkspaceBackupError';
+    }
+}
+
+// AI settings carried in the settings section (keys travel with the credentials section)
+const AI_SETTING_FIELDS = ['provider', 'proxyUrl', 'baseUrl', 'defaultModel', 'outputMode', 'autoRegenerate', 'batchConcurrency', 'retry', 'rateLimits', 'fallbackChain'];
+
+// Upgrades keyed by the bundle version they start from - add one whenever the bundle layout changes
+const MIGRATIONS = {
+    // Version 0: the separate exportPrompts() and exportCredentials() files from before workspace bundles
+    0: (data) => {
+        const values = Object.values(data);
+        if (!data.templates && (values.length === 0 || values.some(value => !value || typeof value !== 'object'))) {
+            throw new WorkspaceBackupError('This file is not a PostAssist backup');
+        }
+        
+        const sections = data.templates
+            ? { prompts: { templates: data.templates, schemas: data.schemas || {} }, variables: data.variables || {} }
+            : { credentials: { services: data, aiApiKeys: null } };
+        
+        return {
+            format: WORKSPACE_FORMAT,
+            version: 1,
+            createdAt: data.exportDate || null,
+            agent: null,
+            sections: sections
+        };
+    }
+};
+
+// Stable comparison of two JSON values
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+export class WorkspaceBackup {
+    constructor(config = {}) {
+        this.agent = config.agent || null; // 'blog' or 'instagram' - recorded in the bundle
+        this.credentials = config.credentials || null;
+        this.oauth = config.oauth || null;
+        this.ai = config.ai || null;
+        this.prompts = config.prompts || null;
+        this.posts = config.posts || null;
+        this.usage = config.usage || null;
+        this.vault = config.vault || null;
+        this.iterations = config.iterations || 600000; // PBKDF2-SHA256 rounds for encrypted bundles
+    }
+    
+    // Sections in the order they are restored (settings first so credentials can fill in fallback keys)
+    static SECTIONS = ['settings', 'credentials', 'prompts', 'variables', 'posts'];
+    
+    // Whether backup data (file text or parsed) is an encrypted envelope
+    static isEncrypted(data) {
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                return false;
+            }
+        }
+        return !!data && data.format === WORKSPACE_FORMAT && !!data.encrypted;
+    }
+    
+    // Collect the requested sections into a bundle
+    async createBundle(sections = WorkspaceBackup.SECTIONS) {
+        const bundle = {
+            format: WORKSPACE_FORMAT,
+            version: WORKSPACE_BUNDLE_VERSION,
+            createdAt: new Date().toISOString(),
+            agent: this.agent,
+            sections: {}
+        };
+        
+        for (const section of WorkspaceBackup.SECTIONS.filter(name => sections.includes(name))) {
+            bundle.sections[section] = await this.readSection(section);
+        }
+        return bundle;
+    }
+    
+    // Bundle as JSON text, encrypted when a passphrase is given
+    async exportBundle(options = {}) {
+        const bundle = await this.createBundle(options.sections || WorkspaceBackup.SECTIONS);
+        const data = options.passphrase ? await this.encryptBundle(bundle, options.passphrase) : bundle;
+        return JSON.stringify(data, null, 2);
+    }
+    
+    // Wrap a bundle in an AES-GCM envelope. The version stays readable outside it.
+    async encryptBundle(bundle, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await deriveKey(passphrase, salt, this.iterations);
+        const encrypted = await encryptJSON(key, bundle);
+        
+        return {
+            format: WORKSPACE_FORMAT,
+            version: bundle.version,
+            createdAt: bundle.createdAt,
+            encrypted: {
+                kdf: 'PBKDF2-SHA256',
+                iterations: this.iterations,
+                salt: toBase64(salt),
+                iv: encrypted.iv,
+                data: encrypted.data
+            }
+        };
+    }
+    
+    // Open an encrypted envelope
+    async decryptBundle(envelope, passphrase) {
+        const { iterations, salt, iv, data } = envelope.encrypted;
+        const key = await deriveKey(passphrase, fromBase64(salt), iterations);
+        
+        try {
+            return await decryptJSON(key, { iv: iv, data: data });
+        } catch (error) {
+            throw new WorkspaceBackupError('Incorrect passphrase, or the backup file is damaged');
+        }
+    }
+    
+    // Read backup file text into a current-version bundle
+    async parseBundle(text, passphrase = null) {
+        let data;
+        try {
+            data = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (error) {
+            throw new WorkspaceBackupError('This file is not a PostAssist backup (invalid JSON)');
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new WorkspaceBackupError('This file is not a PostAssist backup');
+        }
+        
+        if (WorkspaceBackup.isEncrypted(data)) {
+            if (!passphrase) {
+                throw new WorkspaceBackupError('This backup is encrypted - enter its passphrase');
+            }
+            data = await this.decryptBundle(data, passphrase);
+        }
+        
+        return this.migrate(data);
+    }
+    
+    // Bring an older bundle up to the current version
+    migrate(data) {
+        let bundle = data;
+        let version = data.format === WORKSPACE_FORMAT ? data.version : 0;
+        
+        if (version > WORKSPACE_BUNDLE_VERSION) {
+            throw new WorkspaceBackupError(`This backup was made by a newer version of PostAssist (bundle version ${version})`);
+        }
+        
+        while (version < WORKSPACE_BUNDLE_VERSION) {
+            if (!MIGRATIONS[version]) {
+                throw new WorkspaceBackupError(`Backups of version ${version} can no longer be imported`);
+            }
+            bundle = MIGRATIONS[version](bundle);
+            version = bundle.version;
+        }
+        
+        if (!bundle.sections || typeof bundle.sections !== 'object') {
+            throw new WorkspaceBackupError('This backup has no sections to import');
+        }
+        
+        // Posts follow their own schema - upgrade them the way stored posts are, so they compare equal.
+        // Malformed ones are left as they are and get quarantined when imported
+        if (Array.isArray(bundle.sections.posts) && this.posts) {
+            bundle.sections.posts = bundle.sections.posts
+                .filter(post => post && typeof post === 'object')
+                .map(post => this.posts.upgradePost(post).post);
+        }
+        return bundle;
+    }
+    
+    // Compare a bundle with this workspace, section by section.
+    // Returns { [section]: { added, changed, localOnly: [{ key, label }], unchanged: count } }
+    async diff(bundle) {
+        const result = {};
+        
+        for (const section of WorkspaceBackup.SECTIONS) {
+            if (!bundle.sections[section]) continue;
+            
+            const current = this.toEntries(section, await this.readSection(section));
+            const incoming = this.toEntries(section, bundle.sections[section]);
+            const describe = (key, value) => ({ key: key, label: this.entryLabel(section, key, value) });
+            const sectionDiff = { added: [], changed: [], localOnly: [], unchanged: 0 };
+            
+            for (const [key, value] of Object.entries(incoming)) {
+                if (!(key in current)) {
+                    sectionDiff.added.push(describe(key, value));
+                } else if (!sameValue(current[key], value)) {
+                    sectionDiff.changed.push(describe(key, value));
+                } else {
+                    sectionDiff.unchanged++;
+                }
+            }
+            for (const [key, value] of Object.entries(current)) {
+                if (!(key in incoming)) {
+                    sectionDiff.localOnly.push(describe(key, value));
+                }
+            }
+            
+            result[section] = sectionDiff;
+        }
+        return result;
+    }
+    
+    // Restore a bundle. modes: { [section]: 'merge' | 'overwrite' | 'skip' } (missing = skip).
+    // Merge adds and updates entries and keeps local-only ones; overwrite also removes them.
+    // Returns { [section]: { mode, saved, removed, failed: [key] } }
+    async apply(bundle, modes = {}) {
+        const results = {};
+        
+        for (const section of WorkspaceBackup.SECTIONS) {
+            const mode = modes[section] || 'skip';
+            if (mode === 'skip' || !bundle.sections[section]) continue;
+            if (mode !== 'merge' && mode !== 'overwrite') {
+                throw new WorkspaceBackupError(`Unknown import mode for ${section}: ${mode}`);
+            }
+            
+            const current = this.toEntries(section, await this.readSection(section));
+            const incoming = this.toEntries(section, bundle.sections[section]);
+            const put = Object.fromEntries(
+                Object.entries(incoming).filter(([key, value]) => !(key in current) || !sameValue(current[key], value))
+            );
+            const remove = mode === 'overwrite' ? Object.keys(current).filter(key => !(key in incoming)) : [];
+            
+            const failed = await this.writeSection(section, put, remove);
+            results[section] = {
+                mode: mode,
+                saved: Object.keys(put).length - failed.length,
+                removed: remove.length,
+                failed: failed
+            };
+        }
+        return results;
+    }
+    
+    // Credentials can only be read or written in full while the vault is unlocked
+    assertCredentialsReadable() {
+        if (this.vault && this.vault.isInitialized() && !this.vault.isUnlocked()) {
+            throw new VaultLockedError('Unlock the credential vault to back up or restore credentials');
+        }
+    }
+    
+    // Current state of one section, in bundle form
+    async readSection(section) {
+        switch (section) {
+            case 'credentials': {
+                this.assertCredentialsReadable();
+                return {
+                    services: this.credentials.exportCredentials(false),
+                    aiApiKeys: this.ai.getSecrets()
+                };
+            }
+            case 'prompts':
+                return { templates: this.prompts.templates, schemas: this.prompts.schemas };
+            case 'variables':
+                return this.prompts.getVariables();
+            case 'posts':
+                return await this.posts.getAllPosts();
+            case 'settings': {
+                const ai = Object.fromEntries(AI_SETTING_FIELDS.map(field => [field, this.ai[field === 'retry' ? 'retryConfig' : field]]));
+                ai.fallbackChain = ai.fallbackChain.map(({ apiKey, ...entry }) => entry);
+                return {
+                    ai: ai,
+                    prices: this.usage.settings.prices,
+                    budgets: this.usage.settings.budgets,
+                    vaultIdleTimeout: this.vault ? this.vault.idleTimeout : null
+                };
+            }
+            default:
+                throw new WorkspaceBackupError(`Unknown backup section: ${section}`);
+        }
+    }
+    
+    // Flatten a section into comparable entries: { [key]: value }
+    toEntries(section, data) {
+        const prefixed = (prefix, values) => Object.fromEntries(
+            Object.entries(values || {}).map(([key, value]) => [`${prefix}.${key}`, value])
+        );
+        
+        switch (section) {
+            case 'credentials': {
+                const entries = { ...(data.services || {}) };
+                if (data.aiApiKeys) entries.aiApiKeys = data.aiApiKeys;
+                return entries;
+            }
+            case 'prompts':
+                return { ...prefixed('templates', data.templates), ...prefixed('schemas', data.schemas) };
+            case 'variables':
+                return { ...data };
+            case 'posts':
+                return Object.fromEntries(data.map(post => [post.id, post]));
+            case 'settings': {
+                const entries = { ...prefixed('ai', data.ai), ...prefixed('prices', data.prices) };
+                if (data.budgets) entries.budgets = data.budgets;
+                if (data.vaultIdleTimeout !== null && data.vaultIdleTimeout !== undefined) entries.vaultIdleTimeout = data.vaultIdleTimeout;
+                return entries;
+            }
+            default:
+                throw new WorkspaceBackupError(`Unknown backup section: ${section}`);
+        }
+    }
+    
+    // Readable name for an entry in the import preview (never shows secret values)
+    entryLabel(section, key, value) {
+        if (section === 'posts') return value.title || value.originalTitle || key;
+        if (section === 'credentials') return key === 'aiApiKeys' ? 'AI API keys' : `${key} credentials`;
+        return key;
+    }
+    
+    // Apply changed entries to one section. Returns the keys that could not be saved.
+    async writeSection(section, put, remove) {
+        const failed = [];
+        
+        switch (section) {
+            case 'credentials': {
+                this.assertCredentialsReadable();
+                for (const [key, value] of Object.entries(put)) {
+                    if (key === 'aiApiKeys') {
+                        this.ai.clearSecrets();
+                        this.ai.applySecrets(value);
+                        if (!this.ai.saveToStorage()) failed.push(key);
+                        continue;
+                    }
+                    if (!this.credentials.saveCredentials(key, value)) {
+                        failed.push(key);
+                    } else if (key === 'google' && this.oauth) {
+                        this.oauth.updateCredentials(value.clientId, value.clientSecret, value.authFlow || 'secret');
+                    }
+                }
+                for (const key of remove) {
+                    if (key === 'aiApiKeys') {
+                        this.ai.clearSecrets();
+                        this.ai.saveToStorage();
+                    } else {
+                        this.credentials.clearCredentials(key);
+                    }
+                }
+                break;
+            }
+            case 'prompts': {
+                for (const [key, value] of Object.entries(put)) {
+                    const [kind, platform] = key.split(/\.(.*)/);
+                    this.prompts[kind][platform] = value;
+                }
+                for (const key of remove) {
+                    const [kind, platform] = key.split(/\.(.*)/);
+                    delete this.prompts[kind][platform];
+                }
+                if (!this.prompts.savePrompts()) failed.push(...Object.keys(put));
+                break;
+            }
+            case 'variables': {
+                const variables = this.prompts.getVariables();
+                remove.forEach(key => delete variables[key]);
+                this.prompts.variables = { ...variables, ...put };
+                if (!this.prompts.savePrompts()) failed.push(...Object.keys(put));
+                break;
+            }
+            case 'posts': {
+                if (remove.length > 0) await this.posts.deletePosts(remove);
+                if (!(await this.posts.savePosts(Object.values(put)))) failed.push(...Object.keys(put));
+                break;
+            }
+            case 'settings': {
+                const aiUpdates = {};
+                const prices = { ...this.usage.settings.prices };
+                let pricesChanged = false;
+                
+                for (const [key, value] of Object.entries(put)) {
+                    const [kind, name] = key.split(/\.(.*)/);
+                    if (kind === 'ai') {
+                        aiUpdates[name] = value;
+                    } else if (kind === 'prices') {
+                        prices[name] = value;
+                        pricesChanged = true;
+                    } else if (key === 'budgets') {
+                        this.usage.setBudgets(value);
+                    } else if (key === 'vaultIdleTimeout' && this.vault) {
+                        this.vault.setIdleTimeout(value);
+                    }
+                }
+                for (const key of remove.filter(key => key.startsWith('prices.'))) {
+                    delete prices[key.substring('prices.'.length)];
+                    pricesChanged = true;
+                }
+                
+                if (aiUpdates.fallbackChain) {
+                    // Keep this browser's fallback keys - the credentials section restores the backup's
+                    aiUpdates.fallbackChain = aiUpdates.fallbackChain.map((entry, index) => ({
+                        ...entry,
+                        apiKey: (this.ai.fallbackChain[index] || {}).apiKey || null
+                    }));
+                }
+                if (Object.keys(aiUpdates).length > 0) {
+                    this.ai.updateConfig(aiUpdates);
+                }
+                if (pricesChanged) {
+                    this.usage.setPrices(prices);
+                }
+                break;
+            }
+            default:
+                throw new WorkspaceBackupError(`Unknown backup section: ${section}`);
+        }
+        
+        return failed;
+    }
+}
\ No newline at end of file
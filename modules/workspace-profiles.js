@@ -0,0 +1,275 @@
+// workspace-profiles.js
+// Named Workspace Profiles - One Google Account, Spreadsheet, WordPress Site, AI Setup and Prompt Set per Brand (ES6)
+
+import { StorageManager } from './storage-credentials-manager.js';
+
+// The profile that uses the storage keys from before profiles existed
+export const DEFAULT_PROFILE_ID = 'default';
+
+// Thrown for unknown profiles, duplicate names and profiles that can't be removed
+export class WorkspaceProfileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WorkspaceProfileError';
+    }
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Profile ids are slugs of their names ("Acme Coffee" -> "acme-coffee")
+const slugify = (name) => name.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'profile';
+
+export class WorkspaceProfiles extends StorageManager {
+    constructor(config = {}) {
+        // Shared namespace so both agents see the same profiles
+        super({ ...config, namespace: config.namespace || 'postassist' });
+        this.agent = config.agent; // The agent's storage namespace, e.g. 'blogAgent'
+        this.profilesKey = 'workspace_profiles';
+        this.activeKey = `active_profile_${this.agent}`; // Each agent remembers its own active profile
+        
+        // Managers rebound on every switch: CredentialsManager (spreadsheet, WordPress site),
+        // OAuthTokenManager (Google account), AIAPIManager and AIPromptManager
+        this.credentials = config.credentials || null;
+        this.oauth = config.oauth || null;
+        this.ai = config.ai || null;
+        this.prompts = config.prompts || null;
+        this.promptNamespace = this.prompts ? this.prompts.namespace : null; // The default profile's prompt namespace
+        
+        this.vault = config.vault || null; // Secrets of copied and removed profiles
+        this.sync = config.sync || null; // Optional CrossTabSync - other tabs pick up new, renamed and removed profiles
+        this.changeCallback = config.onChange || null; // Profiles were changed by another tab
+        
+        this.profiles = this.loadProfiles();
+        this.activeId = this.has(this.load(this.activeKey)) ? this.load(this.activeKey) : DEFAULT_PROFILE_ID;
+        if (this.activeId !== DEFAULT_PROFILE_ID) {
+            this.bind(this.activeId);
+        }
+        
+        if (this.sync) {
+            this.sync.subscribe('profiles', () => this.onChangedElsewhere());
+        }
+    }
+    
+    // Every agent's active profile key shares one schema
+    schemaFor(key) {
+        return key.startsWith('active_profile_') ? 'active_profile' : super.schemaFor(key);
+    }
+    
+    // Profiles with the default first (it exists even before anything is saved)
+    loadProfiles() {
+        const stored = this.load(this.profilesKey, []);
+        return [
+            stored.find(profile => profile.id === DEFAULT_PROFILE_ID) || { id: DEFAULT_PROFILE_ID, name: 'Default', createdAt: null },
+            ...stored.filter(profile => profile.id !== DEFAULT_PROFILE_ID)
+        ];
+    }
+    
+    // Save the list and tell other tabs
+    saveProfiles() {
+        const saved = this.save(this.profilesKey, this.profiles);
+        if (saved && this.sync) {
+            this.sync.publish('profiles', { count: this.profiles.length });
+        }
+        return saved;
+    }
+    
+    // Every profile, default first
+    list() {
+        return this.profiles.map(profile => ({ ...profile, active: profile.id === this.activeId }));
+    }
+    
+    // Get a profile by id
+    get(id) {
+        return this.profiles.find(profile => profile.id === id) || null;
+    }
+    
+    // Check if a profile exists
+    has(id) {
+        return this.profiles.some(profile => profile.id === id);
+    }
+    
+    // The profile the managers are bound to
+    getActive() {
+        return this.get(this.activeId);
+    }
+    
+    // Storage each manager uses for a profile. The default keeps the original keys; others add ".<id>"
+    // to the agent namespace ('blogAgent.acme-coffee_google') and to the prompt namespace ('blog.acme-coffee')
+    bindingsFor(id) {
+        const suffix = id === DEFAULT_PROFILE_ID ? '' : `.${id}`;
+        const namespace = `${this.agent}${suffix}`;
+        return {
+            namespace: namespace,
+            oauthKey: `${namespace}_google`,
+            aiKey: `${namespace}_ai`,
+            promptNamespace: this.promptNamespace !== null ? `${this.promptNamespace}${suffix}` : null
+        };
+    }
+    
+    // Point every manager at a profile's storage
+    bind(id) {
+        const bindings = this.bindingsFor(id);
+        if (this.oauth) this.oauth.bindStorage(bindings.oauthKey);
+        if (this.credentials) this.credentials.setNamespace(bindings.namespace);
+        if (this.ai) this.ai.bindStorage(bindings.aiKey);
+        if (this.prompts) this.prompts.setNamespace(bindings.promptNamespace);
+        return bindings;
+    }
+    
+    // Make a profile active and rebind every manager to it
+    switchTo(id) {
+        const profile = this.get(id);
+        if (!profile) {
+            throw new WorkspaceProfileError(`Unknown workspace profile: ${id}`);
+        }
+        
+        this.bind(id);
+        this.activeId = id;
+        this.save(this.activeKey, id);
+        return profile;
+    }
+    
+    // Reject empty names and names another profile already has
+    checkName(name, exceptId = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new WorkspaceProfileError('Enter a profile name');
+        }
+        if (this.profiles.some(profile => profile.id !== exceptId && profile.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new WorkspaceProfileError(`There is already a profile called "${trimmed}"`);
+        }
+        return trimmed;
+    }
+    
+    // Add a profile (it doesn't become active). copySettings: start from the active profile's
+    // AI setup, prompts and Google OAuth client - never its Google tokens, spreadsheet or WordPress site
+    create(name, options = {}) {
+        const trimmed = this.checkName(name);
+        
+        const base = slugify(trimmed);
+        let id = base === DEFAULT_PROFILE_ID ? `${base}-2` : base;
+        for (let n = 2; this.has(id); n++) {
+            id = `${base}-${n}`;
+        }
+        
+        const profile = { id: id, name: trimmed, createdAt: new Date().toISOString() };
+        this.profiles.push(profile);
+        if (!this.saveProfiles()) {
+            this.profiles.pop();
+            throw new WorkspaceProfileError('Could not save the profile - browser storage may be full');
+        }
+        
+        if (options.copySettings) {
+            this.copySettings(this.activeId, id);
+        }
+        return profile;
+    }
+    
+    // Rename a profile (its id and storage stay the same)
+    rename(id, name) {
+        const profile = this.get(id);
+        if (!profile) {
+            throw new WorkspaceProfileError(`Unknown workspace profile: ${id}`);
+        }
+        
+        profile.name = this.checkName(name, id);
+        this.saveProfiles();
+        return profile;
+    }
+    
+    // Remove a profile and its saved settings in every agent. The active one falls back to the default
+    remove(id) {
+        if (id === DEFAULT_PROFILE_ID) {
+            throw new WorkspaceProfileError('The default profile cannot be removed');
+        }
+        if (!this.has(id)) {
+            throw new WorkspaceProfileError(`Unknown workspace profile: ${id}`);
+        }
+        
+        if (this.activeId === id) {
+            this.switchTo(DEFAULT_PROFILE_ID);
+        }
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+        this.saveProfiles();
+        return this.purgeStorage(id);
+    }
+    
+    // Whether a storage key (or vault entry) belongs to a profile in any agent:
+    // '<agent>.<id>_...' or a prompt set '..._<platform>.<id>'
+    isProfileKey(key, id) {
+        const escaped = escapeRegExp(id);
+        return new RegExp(`^[A-Za-z0-9]+\\.${escaped}_|_[A-Za-z0-9]+\\.${escaped}$`).test(key);
+    }
+    
+    // Delete a profile's localStorage keys and, while the vault is unlocked, its secrets. Returns the number of keys removed
+    purgeStorage(id) {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && this.isProfileKey(key, id)) {
+                keys.push(key);
+            }
+        }
+        keys.forEach(key => localStorage.removeItem(key));
+        
+        if (this.vault && this.vault.isUnlocked()) {
+            this.vault.listEntries()
+                .filter(entry => this.isProfileKey(entry, id))
+                .forEach(entry => this.vault.removeSecrets(entry));
+        }
+        return keys.length;
+    }
+    
+    // Copy AI settings, prompts and the Google OAuth client from one profile of this agent to another
+    copySettings(fromId, toId) {
+        const from = this.bindingsFor(fromId);
+        const to = this.bindingsFor(toId);
+        
+        this.copyStored(from.aiKey, to.aiKey);
+        this.copySecrets(from.aiKey, to.aiKey);
+        
+        if (this.prompts) {
+            this.copyStored(`${this.prompts.storageKey}_${from.promptNamespace}`, `${this.prompts.storageKey}_${to.promptNamespace}`);
+        }
+        
+        // Only the client - the new profile signs in with its own Google account
+        this.copyStored(from.oauthKey, to.oauthKey, ({ clientId, clientSecret, flow, provider }) => ({ clientId, clientSecret, flow, provider }));
+        this.copySecrets(from.oauthKey, to.oauthKey, ({ clientSecret }) => ({ clientSecret }));
+    }
+    
+    // Copy one localStorage value, optionally keeping only some of it
+    copyStored(fromKey, toKey, pick = null) {
+        try {
+            const stored = localStorage.getItem(fromKey);
+            if (stored === null) return false;
+            localStorage.setItem(toKey, pick ? JSON.stringify(pick(JSON.parse(stored))) : stored);
+            return true;
+        } catch (error) {
+            console.error(`Error copying ${fromKey}:`, error);
+            return false;
+        }
+    }
+    
+    // Copy one vault entry (skipped while the vault is locked)
+    copySecrets(fromEntry, toEntry, pick = null) {
+        if (!this.vault || !this.vault.isUnlocked()) return false;
+        
+        const secrets = this.vault.getSecrets(fromEntry);
+        this.vault.setSecrets(toEntry, pick ? pick(secrets) : secrets);
+        return true;
+    }
+    
+    // Another tab added, renamed or removed profiles
+    onChangedElsewhere() {
+        this.profiles = this.loadProfiles();
+        
+        let switched = false;
+        if (!this.has(this.activeId)) {
+            this.switchTo(DEFAULT_PROFILE_ID);
+            switched = true;
+        }
+        if (this.changeCallback) {
+            this.changeCallback({ switched: switched });
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,65 @@
+// ai-provider-registry.test.mjs
+// AI Provider Errors - Categories from the Status Code First, Then the Body (node --test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AIProviderError, AIProviderAdapter, GeminiAdapter } from '../modules/ai-provider-registry.js';
+
+test('the status code decides the category', () => {
+    assert.equal(AIProviderError.categorize(401, ''), 'auth');
+    assert.equal(AIProviderError.categorize(403, 'Forbidden'), 'auth');
+    assert.equal(AIProviderError.categorize(429, 'Too many requests'), 'rate_limit');
+    assert.equal(AIProviderError.categorize(402, ''), 'quota');
+    assert.equal(AIProviderError.categorize(503, ''), 'server');
+    assert.equal(AIProviderError.categorize(529, 'overloaded'), 'server');
+    assert.equal(AIProviderError.categorize(404, ''), 'invalid_request');
+    assert.equal(AIProviderError.categorize(null, ''), 'unknown');
+});
+
+test('a bad request that mentions quota stays a bad request', () => {
+    assert.equal(AIProviderError.categorize(400, '{"error":{"message":"max_tokens exceeds the quota for this model"}}'), 'invalid_request');
+    assert.equal(AIProviderError.categorize(500, 'quota service unavailable'), 'server');
+});
+
+test('rate limits that mention quota are still retried as rate limits', () => {
+    assert.equal(AIProviderError.categorize(429, '{"error":{"status":"RESOURCE_EXHAUSTED","message":"Quota exceeded for metric: generate_content_free_tier_requests, limit: 15"}}'), 'rate_limit');
+    assert.equal(AIProviderError.categorize(429, 'Rate limit reached for requests per min'), 'rate_limit');
+});
+
+test('running out of quota or credits is told apart by the body', () => {
+    assert.equal(AIProviderError.categorize(429, '{"error":{"code":"insufficient_quota"}}'), 'quota');
+    assert.equal(AIProviderError.categorize(429, 'You exceeded your current quota, please check your plan and billing details'), 'quota');
+    assert.equal(AIProviderError.categorize(403, 'Daily quota exceeded'), 'quota');
+    assert.equal(AIProviderError.categorize(400, 'Your credit balance is too low to access the Anthropic API'), 'quota');
+});
+
+test('failed responses become errors with the category and retry delay', async () => {
+    const adapter = new AIProviderAdapter({ id: 'test', label: 'Test API' });
+    const response = {
+        status: 429,
+        headers: new Headers({ 'retry-after': '2' }),
+        text: async () => 'Rate limit reached'
+    };
+    const error = await adapter.mapError(response);
+    assert.ok(error instanceof AIProviderError);
+    assert.deepEqual({ category: error.category, status: error.status, retryAfter: error.retryAfter }, { category: 'rate_limit', status: 429, retryAfter: 2000 });
+});
+
+test('Gemini reports a bad API key as an auth error', async () => {
+    const body = JSON.stringify({
+        error: {
+            code: 400,
+            message: 'API key not valid. Please pass a valid API key.',
+            status: 'INVALID_ARGUMENT',
+            details: [{ '@type': 'type.googleapis.com/google.rpc.ErrorInfo', reason: 'API_KEY_INVALID', domain: 'googleapis.com' }]
+        }
+    });
+    const gemini = new GeminiAdapter();
+    const error = await gemini.mapError({ status: 400, statusText: 'Bad Request', headers: new Headers(), text: async () => body });
+    assert.equal(error.category, 'auth');
+    assert.equal(error.message, 'Gemini API error: API key not valid. Please pass a valid API key.');
+    
+    const invalid = await gemini.mapError({ status: 400, statusText: 'Bad Request', headers: new Headers(), text: async () => '{"error":{"message":"Invalid JSON payload"}}' });
+    assert.equal(invalid.category, 'invalid_request');
+});
\ No newline at end of file
@@ -0,0 +1,113 @@
+// ai-request-policy.test.mjs
+// AI Request Policy - Which Errors Are Retried, Retry-After Delays and Rate Limits (node --test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RetryPolicy, RateLimiter, sleep } from '../modules/ai-request-policy.js';
+import { AIProviderError } from '../modules/ai-provider-registry.js';
+
+const providerError = (category, retryAfter = null) => new AIProviderError(category, { category: category, retryAfter: retryAfter });
+
+test('rate limits, server and network errors are retried; quota, auth and bad requests are not', () => {
+    const policy = new RetryPolicy({ maxAttempts: 3 });
+    for (const category of ['rate_limit', 'server', 'network']) {
+        assert.equal(policy.shouldRetry(providerError(category), 1), true, category);
+    }
+    for (const category of ['quota', 'auth', 'invalid_request', 'unknown']) {
+        assert.equal(policy.shouldRetry(providerError(category), 1), false, category);
+    }
+    assert.equal(policy.shouldRetry(providerError('rate_limit'), 3), false); // Out of attempts
+    assert.equal(policy.shouldRetry(new DOMException('Stopped', 'AbortError'), 1), false);
+    
+    // Gemini's per-minute limits mention quota but are still retried
+    const gemini = AIProviderError.categorize(429, 'RESOURCE_EXHAUSTED: Quota exceeded for metric: requests per minute');
+    assert.equal(policy.shouldRetry(providerError(gemini), 1), true);
+});
+
+test('retry-after is waited out, but never longer than the cap', () => {
+    const policy = new RetryPolicy({ baseDelayMs: 1000, maxDelayMs: 8000, maxRetryAfterMs: 60000 });
+    for (let attempt = 1; attempt <= 6; attempt++) {
+        const delay = policy.getDelay(providerError('server'), attempt);
+        assert.ok(delay >= 0 && delay <= Math.min(8000, 1000 * 2 ** (attempt - 1)), `attempt ${attempt}: ${delay}`);
+    }
+    assert.ok(policy.getDelay(providerError('rate_limit', 20000), 1) >= 20000);
+    assert.equal(policy.getDelay(providerError('rate_limit', 600000), 1), 60000);
+    assert.ok(policy.getDelay(providerError('rate_limit', 0), 1) <= 1000);
+});
+
+test('execute retries until the call succeeds and reports each retry', async () => {
+    const policy = new RetryPolicy({ maxAttempts: 4, baseDelayMs: 0 });
+    const retries = [];
+    const result = await policy.execute(async (attempt) => {
+        if (attempt < 3) throw providerError('server');
+        return `answer on attempt ${attempt}`;
+    }, { onRetry: (retry) => retries.push(retry.nextAttempt) });
+    
+    assert.equal(result, 'answer on attempt 3');
+    assert.deepEqual(retries, [2, 3]);
+    
+    let calls = 0;
+    await assert.rejects(policy.execute(async () => {
+        calls++;
+        throw providerError('quota');
+    }), { category: 'quota' });
+    assert.equal(calls, 1);
+});
+
+test('a stop during the backoff wait ends the retries', async () => {
+    const policy = new RetryPolicy({ baseDelayMs: 0 });
+    const controller = new AbortController();
+    const pending = policy.execute(async () => {
+        throw providerError('rate_limit', 60000);
+    }, { signal: controller.signal });
+    
+    controller.abort(new DOMException('Stopped by user', 'AbortError'));
+    await assert.rejects(pending, { name: 'AbortError' });
+});
+
+test('no more requests run at once than allowed', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 2 });
+    let running = 0;
+    let most = 0;
+    const job = async () => {
+        running++;
+        most = Math.max(most, running);
+        await sleep(5);
+        running--;
+    };
+    
+    await Promise.all(Array.from({ length: 6 }, () => limiter.schedule(job)));
+    assert.equal(most, 2);
+    assert.deepEqual(limiter.getStatus(), { active: 0, queued: 0, maxConcurrent: 2, requestsPerMinute: 0 });
+});
+
+test('requests wait for the one-minute window once the per-minute limit is used up', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 5, requestsPerMinute: 1 });
+    limiter.startTimes = [Date.now() - 60000 + 50]; // One request made just under a minute ago
+    
+    let started = false;
+    const pending = limiter.schedule(async () => { started = true; });
+    await sleep(10);
+    assert.equal(started, false);
+    assert.equal(limiter.getStatus().queued, 1);
+    
+    await pending;
+    assert.equal(started, true);
+});
+
+test('a waiting request can be called off', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+    const release = await limiter.acquire();
+    const controller = new AbortController();
+    const waiting = limiter.acquire(controller.signal);
+    assert.equal(limiter.getStatus().queued, 1);
+    
+    controller.abort(new DOMException('Stopped by user', 'AbortError'));
+    await assert.rejects(waiting, { name: 'AbortError' });
+    assert.equal(limiter.getStatus().queued, 0);
+    
+    release();
+    assert.equal(limiter.getStatus().active, 0);
+    await assert.rejects(limiter.acquire(controller.signal), { name: 'AbortError' }); // Already stopped
+});
\ No newline at end of file
@@ -0,0 +1,129 @@
+// batch-runner.test.mjs
+// Batch Runner - Stop, Pause and Resume, Progress Kept Across Runs, Concurrency and Result Order (node --test)
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BatchRunner } from '../modules/batch-runner.js';
+import { sleep } from '../modules/ai-request-policy.js';
+import { MemoryStorage } from './memory-storage.mjs';
+
+const ideas = (count) => Array.from({ length: count }, (_, index) => ({ rowIndex: index + 2, title: `Idea ${index + 1}` }));
+const createRunner = (config = {}) => new BatchRunner({ namespace: 'testAgent', ...config });
+
+beforeEach(() => {
+    globalThis.localStorage = new MemoryStorage();
+});
+
+test('a stopped batch cancels the item in flight and resumes with the items not done', async () => {
+    const items = ideas(4);
+    const batch = createRunner();
+    const statuses = [];
+    batch.itemStatusCallback = (item, status) => statuses.push(`${item.title}: ${status}`);
+    
+    const { remaining } = batch.prepare(items);
+    const summary = await batch.run(remaining, async (item, signal) => {
+        if (item.title === 'Idea 2') {
+            batch.stop('Stopped by user');
+            await sleep(1000, signal); // Ends as soon as the stop aborts the signal
+        }
+        return `post for ${item.title}`;
+    });
+    
+    assert.deepEqual({ stopped: summary.stopped, reason: summary.reason }, { stopped: true, reason: 'Stopped by user' });
+    assert.deepEqual(summary.done.map(entry => entry.result), ['post for Idea 1']);
+    assert.deepEqual(summary.failed, []);
+    assert.deepEqual(statuses, ['Idea 1: running', 'Idea 1: done', 'Idea 2: running', 'Idea 2: cancelled']);
+    assert.equal(batch.getResumableState().status, 'stopped');
+    
+    // A new page load picks the batch up where it stopped
+    const resumed = createRunner();
+    const prepared = resumed.prepare(items);
+    assert.deepEqual(prepared.done, [{ item: items[0], result: 'post for Idea 1' }]);
+    assert.deepEqual(prepared.remaining.map(item => item.title), ['Idea 2', 'Idea 3', 'Idea 4']);
+    
+    const rest = await resumed.run(prepared.remaining, async (item) => `post for ${item.title}`);
+    assert.equal(rest.done.length, 3);
+    assert.deepEqual(resumed.getCounts(), { pending: 0, running: 0, done: 4, failed: 0 });
+    
+    await resumed.complete();
+    assert.equal(resumed.getResumableState(), null);
+});
+
+test('a paused batch finishes the item in flight and starts nothing until resumed', async () => {
+    const batch = createRunner();
+    const { remaining } = batch.prepare(ideas(3));
+    const started = [];
+    
+    const running = batch.run(remaining, async (item) => {
+        started.push(item.title);
+        if (item.title === 'Idea 1') batch.pause();
+        return item.title;
+    });
+    
+    await sleep(20);
+    assert.deepEqual(started, ['Idea 1']);
+    assert.equal(batch.getResumableState().status, 'paused');
+    assert.deepEqual(batch.getCounts(), { pending: 2, running: 0, done: 1, failed: 0 });
+    
+    batch.resume();
+    const summary = await running;
+    assert.deepEqual(started, ['Idea 1', 'Idea 2', 'Idea 3']);
+    assert.equal(summary.stopped, false);
+    assert.equal(batch.getResumableState().status, 'finished');
+});
+
+test('stopping a paused batch ends it without starting the next item', async () => {
+    const batch = createRunner();
+    const { remaining } = batch.prepare(ideas(3));
+    const started = [];
+    
+    const running = batch.run(remaining, async (item) => {
+        started.push(item.title);
+        batch.pause();
+    });
+    await sleep(20);
+    batch.stop('Daily AI budget reached');
+    
+    const summary = await running;
+    assert.deepEqual(started, ['Idea 1']);
+    assert.deepEqual({ stopped: summary.stopped, reason: summary.reason, done: summary.done.length }, { stopped: true, reason: 'Daily AI budget reached', done: 1 });
+});
+
+test('items run a few at a time and outcomes keep the input order whatever order they finish in', async () => {
+    const batch = createRunner({ concurrency: 3 });
+    const { remaining } = batch.prepare(ideas(6));
+    const finished = [];
+    let running = 0;
+    let most = 0;
+    
+    const summary = await batch.run(remaining, async (item) => {
+        running++;
+        most = Math.max(most, running);
+        await sleep(30 - item.rowIndex * 4); // Later ideas finish sooner
+        running--;
+        finished.push(item.title);
+        if (item.title === 'Idea 2' || item.title === 'Idea 5') throw new Error(`No answer for ${item.title}`);
+        return item.title;
+    });
+    
+    assert.equal(most, 3);
+    assert.notDeepEqual(finished, remaining.map(item => item.title));
+    assert.deepEqual(summary.done.map(entry => entry.result), ['Idea 1', 'Idea 3', 'Idea 4', 'Idea 6']);
+    assert.deepEqual(summary.failed.map(entry => entry.error.message), ['No answer for Idea 2', 'No answer for Idea 5']);
+    assert.deepEqual(batch.getCounts(), { pending: 0, running: 0, done: 4, failed: 2 });
+});
+
+test('a resumed batch retries the items that failed', async () => {
+    const items = ideas(2);
+    const first = createRunner({ concurrency: 2 });
+    await first.run(first.prepare(items).remaining, async (item) => {
+        if (item.title === 'Idea 2') throw new Error('Server error');
+        return item.title;
+    });
+    
+    const second = createRunner({ concurrency: 2 });
+    const prepared = second.prepare(items);
+    assert.deepEqual(prepared.remaining, [items[1]]);
+    assert.equal(prepared.done.length, 1);
+});
\ No newline at end of file
@@ -0,0 +1,92 @@
+// cross-tab-sync.test.mjs
+// Cross-Tab Sync - Change Messages Between Tabs and Locks Around Shared Writes (node --test)
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CrossTabSync, LockTimeoutError } from '../modules/cross-tab-sync.js';
+import { sleep } from '../modules/ai-request-policy.js';
+
+// Two tabs are two instances on the same BroadcastChannel name
+const opened = [];
+const openTab = (config = {}) => {
+    const tab = new CrossTabSync({ channelName: 'postassist-test', ...config });
+    opened.push(tab);
+    return tab;
+};
+
+afterEach(() => {
+    opened.splice(0).forEach(tab => tab.close());
+    delete globalThis.navigator?.locks;
+});
+
+test('changes reach other tabs but not the tab that made them', async () => {
+    const blog = openTab();
+    const instagram = openTab();
+    const received = [];
+    blog.subscribe('posts', (detail) => received.push(`blog: ${detail.postId}`));
+    const unsubscribe = instagram.subscribe('posts', (detail, message) => received.push(`instagram: ${detail.postId} from ${message.tabId === blog.tabId ? 'blog' : 'elsewhere'}`));
+    instagram.subscribe('settings', () => received.push('instagram: settings'));
+    
+    blog.publish('posts', { postId: 'post_1' });
+    await sleep(20);
+    assert.deepEqual(received, ['instagram: post_1 from blog']);
+    
+    unsubscribe();
+    blog.publish('posts', { postId: 'post_2' });
+    await sleep(20);
+    assert.equal(received.length, 1);
+});
+
+test('a failing subscriber does not keep the others from hearing about a change', () => {
+    const tab = openTab();
+    const heard = [];
+    const error = console.error;
+    console.error = () => {};
+    try {
+        tab.subscribe('posts', () => { throw new Error('broken view'); });
+        tab.subscribe('posts', (detail) => heard.push(detail.postId));
+        tab.dispatch({ topic: 'posts', detail: { postId: 'post_1' }, tabId: 'tab_other' });
+    } finally {
+        console.error = error;
+    }
+    assert.deepEqual(heard, ['post_1']);
+});
+
+test('without Web Locks, writes under the same lock run one after another in this tab', async () => {
+    const tab = openTab();
+    const steps = [];
+    const write = (label, ms) => tab.withLock('posts', async () => {
+        steps.push(`${label} start`);
+        await sleep(ms);
+        steps.push(`${label} end`);
+        return label;
+    });
+    
+    const failing = assert.rejects(tab.withLock('posts', async () => { throw new Error('quota exceeded'); }), /quota exceeded/);
+    const results = await Promise.all([write('first', 15), write('second', 1), tab.withLock('settings', async () => 'other lock')]);
+    await failing; // A failed write doesn't hold up the next one
+    
+    assert.deepEqual(results, ['first', 'second', 'other lock']);
+    assert.deepEqual(steps, ['first start', 'first end', 'second start', 'second end']);
+    assert.equal(tab.localLocks.size, 0);
+});
+
+test('waiting too long for a Web Lock ends with LockTimeoutError', async () => {
+    // Web Locks whose lock is always held by another tab
+    globalThis.navigator = globalThis.navigator || {};
+    globalThis.navigator.locks = {
+        request: (name, options) => new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => reject(new DOMException('Lock request aborted', 'AbortError')));
+        })
+    };
+    const tab = openTab({ lockTimeout: 20 });
+    
+    assert.equal(CrossTabSync.supportsLocks(), true);
+    await assert.rejects(tab.withLock('posts', async () => 'never'), (error) => {
+        assert.ok(error instanceof LockTimeoutError);
+        assert.equal(error.lockName, 'posts');
+        assert.match(error.message, /waiting for "posts"/);
+        return true;
+    });
+});
\ No newline at end of file
@@ -0,0 +1,65 @@
+// idea-lifecycle.test.mjs
+// Idea Statuses - Parsing, Picking Up Ideas, Retries and Writing Statuses to the Ideas Tab (node --test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MemorySheetsClient } from '../modules/sheets-client.js';
+import { SheetColumnMapper } from '../modules/sheet-column-mapper.js';
+import { SheetSync } from '../modules/sheet-sync.js';
+import { IdeaLifecycle, IdeaTransitionError, IDEA_LIFECYCLE_FIELDS } from '../modules/idea-lifecycle.js';
+
+const lifecycle = new IdeaLifecycle();
+
+test('status text is read leniently, including the old Processed', () => {
+    assert.equal(lifecycle.parse(''), 'pending');
+    assert.equal(lifecycle.parse('Processed'), 'generated');
+    assert.equal(lifecycle.parse('in-review'), 'in_review');
+    assert.equal(lifecycle.parse('APPROVED'), 'approved');
+    assert.equal(lifecycle.parse('whatever'), null);
+    assert.equal(lifecycle.describe({ status: 'whatever' }).state, 'pending');
+});
+
+test('failed ideas are retried until they run out, and interrupted runs are picked up again', () => {
+    assert.equal(lifecycle.isPickable(lifecycle.describe({ status: 'Failed', retries: '2' })), true);
+    assert.equal(lifecycle.isPickable(lifecycle.describe({ status: 'Failed', retries: '3' })), false);
+    assert.equal(lifecycle.isPickable(lifecycle.describe({ status: 'Processed' })), false);
+    assert.equal(lifecycle.isPickable(lifecycle.describe({ status: 'Generating', statusUpdated: new Date().toISOString() })), false);
+    assert.equal(lifecycle.isPickable(lifecycle.describe({ status: 'Generating', statusUpdated: '2020-01-01T00:00:00Z' })), true);
+});
+
+test('moves the lifecycle does not allow throw', () => {
+    assert.throws(() => lifecycle.cellsFor({ state: 'published', retries: 0 }, 'generating'), IdeaTransitionError);
+});
+
+test('statuses, errors, retries and timestamps are written to the Ideas tab', async () => {
+    const sheets = new MemorySheetsClient({ tabs: { Ideas: [['Topic', 'Keywords', 'Status'], ['A', 'k', ''], ['B', '', 'Failed'], ['C', '', 'Published']] } });
+    const sync = new SheetSync({ sheets: sheets, mapper: new SheetColumnMapper(), layoutId: 'ideas', required: ['title', 'status'] });
+    const ids = (await sync.read()).map(row => row.id);
+    await sync.assignIds();
+    const rowIds = sync.rows.map(row => row.id);
+    assert.deepEqual(ids, [null, null, null]);
+    
+    assert.equal((await sync.ensureColumns(IDEA_LIFECYCLE_FIELDS)).length, 3);
+    assert.deepEqual(sheets.getTab('Ideas')[0], ['Topic', 'Keywords', 'Status', 'Row ID', 'Status Updated', 'Error', 'Retries']);
+    assert.deepEqual(sheets.getHiddenColumns('Ideas'), [3]);
+    
+    let result = await lifecycle.moveRows(sync, rowIds, 'generating');
+    assert.equal(result.updated, 2);
+    assert.deepEqual(result.refused, [{ id: rowIds[2], from: 'published' }]);
+    
+    await lifecycle.moveRows(sync, [rowIds[1]], 'failed', { errors: { [rowIds[1]]: 'boom' } });
+    await lifecycle.moveRows(sync, [rowIds[0]], 'generated');
+    let tab = sheets.getTab('Ideas');
+    assert.deepEqual([tab[2][2], tab[2][5], tab[2][6]], ['Failed', 'boom', '1']);
+    assert.deepEqual([tab[1][2], tab[1][5]], ['Generated', '']);
+    assert.ok(!Number.isNaN(Date.parse(tab[1][4])));
+    
+    // An idea edited in the sheet meanwhile keeps its status
+    sheets.tabs.get('Ideas').rows[1][1] = 'edited';
+    result = await lifecycle.moveRows(sync, [rowIds[0]], 'in_review');
+    assert.equal(result.updated, 0);
+    assert.equal(result.conflicts.length, 1);
+    tab = sheets.getTab('Ideas');
+    assert.equal(tab[1][2], 'Generated');
+});
\ No newline at end of file
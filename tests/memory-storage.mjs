@@ -0,0 +1,32 @@
+// memory-storage.mjs
+// localStorage as Browsers Have It, Kept in Memory - for Modules Built on StorageManager (node --test helper)
+
+export class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+    
+    get length() {
+        return this.items.size;
+    }
+    
+    key(index) {
+        return Array.from(this.items.keys())[index] ?? null;
+    }
+    
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+    
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+    
+    removeItem(key) {
+        this.items.delete(key);
+    }
+    
+    clear() {
+        this.items.clear();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,68 @@
+// post-search-index.test.mjs
+// Post Search - Weighted Full-Text Matches, Facet Counts, Filters, Sorting and Paging (node --test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PostSearchIndex, tokenize } from '../modules/post-search-index.js';
+
+const posts = [
+    { id: 'p1', platform: 'blog', status: 'draft', generatedBy: 'claude', title: 'Cold brew coffee at home', content: '<p>Coffee steeped overnight</p>', keywords: 'coffee, Brewing', timestamp: '2026-03-01T10:00:00Z' },
+    { id: 'p2', platform: 'instagram', status: 'published', generatedBy: 'openai', caption: 'Morning coffee ritual', hashtags: ['#coffee', '#morning'], timestamp: '2026-03-03T10:00:00Z' },
+    { id: 'p3', platform: 'blog', status: 'published', generatedBy: 'openai', title: 'Tea for beginners', content: 'Brewing green tea, and a note on coffee', keywords: 'tea', timestamp: '2026-03-02T10:00:00Z' }
+];
+
+const index = () => new PostSearchIndex().build(posts);
+
+test('words are lowercased and HTML tags and hashtag marks dropped', () => {
+    assert.deepEqual(tokenize('<h2>Cold Brew</h2> #Travel, 2026!'), ['cold', 'brew', 'travel', '2026']);
+    assert.deepEqual(tokenize(['#a', 'B']), ['a', 'b']);
+    assert.deepEqual(tokenize(null), []);
+});
+
+test('every query word must match, and matches in titles rank first', () => {
+    const search = index();
+    assert.deepEqual(search.search({ text: 'coffee' }).ids, ['p1', 'p2', 'p3']);
+    assert.deepEqual(search.search({ text: 'brewing coffee' }).ids, ['p1', 'p3']);
+    assert.deepEqual(search.search({ text: 'tea' }).ids, ['p3']);
+    assert.equal(search.search({ text: 'espresso' }).total, 0);
+});
+
+test('longer query words match the start of words, single letters only whole words', () => {
+    const search = index();
+    assert.deepEqual(search.search({ text: 'beg' }).ids, ['p3']);
+    assert.deepEqual(search.search({ text: 'c' }).ids, []);
+    assert.deepEqual(new PostSearchIndex({ minPrefixLength: 4 }).build(posts).search({ text: 'beg' }).ids, []);
+});
+
+test('facet counts ignore their own filter so other values can still be picked', () => {
+    const result = index().search({ filters: { platform: 'BLOG', status: 'published' } });
+    assert.deepEqual(result.ids, ['p3']);
+    assert.deepEqual(result.facets.platform, { blog: 1, instagram: 1 });
+    assert.deepEqual(result.facets.status, { draft: 1, published: 1 });
+    assert.deepEqual(result.facets.keyword, { tea: 1 });
+    assert.deepEqual(index().search({ filters: { keyword: 'brewing' } }).ids, ['p1']);
+});
+
+test('date filters, sort orders and pages', () => {
+    const search = index();
+    assert.deepEqual(search.search({}).ids, ['p2', 'p3', 'p1']);
+    assert.deepEqual(search.search({ sort: 'oldest' }).ids, ['p1', 'p3', 'p2']);
+    assert.deepEqual(search.search({ sort: 'title' }).ids, ['p2', 'p1', 'p3']); // Untitled first
+    assert.deepEqual(search.search({ filters: { dateFrom: '2026-03-02', dateTo: '2026-03-02T23:59:59Z' } }).ids, ['p3']);
+    
+    const page = search.search({ pageSize: 2, page: 9 });
+    assert.deepEqual({ ids: page.ids, page: page.page, pageCount: page.pageCount, total: page.total }, { ids: ['p1'], page: 2, pageCount: 2, total: 3 });
+});
+
+test('re-indexing a post replaces its old words and removing it drops them', () => {
+    const search = index();
+    search.add({ ...posts[2], title: 'Matcha for beginners', content: 'Whisked', keywords: 'matcha' });
+    assert.deepEqual(search.search({ text: 'tea' }).ids, []);
+    assert.deepEqual(search.search({ text: 'matcha' }).ids, ['p3']);
+    
+    search.remove('p3');
+    assert.equal(search.size, 2);
+    assert.equal(search.postings.has('matcha'), false);
+    assert.deepEqual(search.search({ text: 'beginners' }).ids, []);
+});
\ No newline at end of file
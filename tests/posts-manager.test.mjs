@@ -0,0 +1,83 @@
+// posts-manager.test.mjs
+// Post Storage - Moving Legacy Posts, Writes to the Sheet, Revisions and Archiving (node --test)
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PostsManager } from '../modules/storage-credentials-manager.js';
+import { MemoryAdapter } from '../modules/storage-adapters.js';
+import { MemoryStorage } from './memory-storage.mjs';
+
+const createPosts = (config = {}) => new PostsManager({ namespace: 'testAgent', adapter: new MemoryAdapter(), ...config });
+
+beforeEach(() => {
+    globalThis.localStorage = new MemoryStorage();
+});
+
+test('legacy localStorage posts move to the adapter and are upgraded once, and the agent is told', async () => {
+    localStorage.setItem('testAgent_generated_posts', JSON.stringify([
+        { id: 'post_1', platform: 'blog', title: 'Cold brew', content: 'Text', timestamp: '2026-01-01T00:00:00.000Z' },
+        { platform: 'blog', title: 'No id yet', content: 'Text' }
+    ]));
+    const migrations = [];
+    const posts = createPosts({ onMigrate: (migration) => migrations.push(migration) });
+    
+    const stored = await posts.getAllPosts();
+    assert.equal(stored.length, 2);
+    assert.ok(stored.every(post => post.id && post.timestamp));
+    assert.equal(localStorage.getItem('testAgent_generated_posts'), null);
+    assert.ok(stored.every(post => post.schemaVersion === posts.schemas.currentVersion('post')));
+    assert.deepEqual(migrations.map(({ action, count }) => ({ action, count })), [{ action: 'moved', count: 2 }, { action: 'upgraded', count: 2 }]);
+    
+    const reopened = createPosts({ adapter: posts.adapter, onMigrate: (migration) => migrations.push(migration) });
+    assert.equal((await reopened.getAllPosts()).length, 2);
+    assert.equal(migrations.length, 2);
+});
+
+test('malformed stored posts are quarantined and the rest still load', async () => {
+    const adapter = new MemoryAdapter();
+    await adapter.open();
+    await adapter.putAll('posts', [
+        { id: 'post_1', platform: 'blog', title: 'Fine', content: 'Text', timestamp: '2026-01-01T00:00:00.000Z' },
+        { id: 'post_2', platform: 'blog', title: ['not', 'text'], content: 'Text', timestamp: '2026-01-02T00:00:00.000Z' }
+    ]);
+    const posts = createPosts({ adapter: adapter });
+    
+    assert.deepEqual((await posts.getAllPosts()).map(post => post.id), ['post_1']);
+    const quarantined = await posts.getQuarantinedPosts();
+    assert.equal(quarantined.length, 1);
+    assert.ok(JSON.stringify(quarantined[0]).includes('title is not text'));
+});
+
+test('written posts stay, keep their revisions and are only written again once edited', async () => {
+    const posts = createPosts();
+    await posts.savePost({ id: 'post_1', platform: 'blog', title: 'Cold brew', content: 'First draft' });
+    await posts.updatePost('post_1', { content: 'Second draft' });
+    
+    assert.equal(posts.needsWriting(await posts.getPost('post_1')), true);
+    assert.equal(await posts.markWritten(['post_1'], { post_1: 'row_abc' }), 1);
+    
+    const written = await posts.getPost('post_1');
+    assert.equal(written.sheetRowId, 'row_abc');
+    assert.equal(written.revisions.length, 1);
+    assert.equal(posts.needsWriting(written), false);
+    assert.equal((await posts.getAllPosts()).length, 1);
+    
+    await new Promise(resolve => setTimeout(resolve, 5)); // A later edit has a later timestamp
+    await posts.updatePost('post_1', { content: 'Edited after writing' });
+    assert.equal(posts.needsWriting(await posts.getPost('post_1')), true);
+});
+
+test('written posts beyond the limit are archived, not deleted', async () => {
+    const posts = createPosts({ maxPosts: 3 });
+    for (let n = 1; n <= 3; n++) {
+        await posts.savePost({ id: `post_${n}`, platform: 'blog', title: `Post ${n}`, content: 'Text', timestamp: new Date(2026, 0, n).toISOString() });
+    }
+    await posts.markWritten(['post_1', 'post_2', 'post_3']);
+    await posts.savePost({ id: 'post_4', platform: 'blog', title: 'Post 4', content: 'Text', timestamp: new Date(2026, 0, 4).toISOString() });
+    
+    assert.deepEqual((await posts.getAllPosts()).map(post => post.id).sort(), ['post_2', 'post_3', 'post_4']);
+    const archived = (await Promise.all((await posts.getArchives()).map(archive => posts.getArchivedPosts(archive.id)))).flat();
+    assert.deepEqual(archived.map(post => post.id), ['post_1']);
+    assert.ok(archived.every(post => post.writtenAt));
+});
\ No newline at end of file
@@ -0,0 +1,63 @@
+// section-parser.test.mjs
+// Section Parser - Reading Line-Prefix Sections from Model Replies and Checking Their Rules (node --test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SectionParser } from '../modules/section-parser.js';
+
+const instagram = new SectionParser({
+    CAPTION: { minLength: 20 },
+    HASHTAGS: { minHashtags: 3, maxHashtags: 5 },
+    CTA: { required: false }
+});
+
+test('headers are matched through markdown decorations, case and spacing', () => {
+    const parser = new SectionParser(['TITLE', 'META_DESCRIPTION', 'CONTENT']);
+    const reply = [
+        '**Title:** Cold brew at home',
+        '**Meta Description: Brew it cold**',
+        '- content:',
+        'First paragraph',
+        '',
+        'Title: a line inside the content'
+    ].join('\r\n');
+    
+    const { sections, diagnostics } = parser.parse(reply);
+    assert.deepEqual(sections, {
+        TITLE: 'Cold brew at home',
+        META_DESCRIPTION: 'Brew it cold',
+        CONTENT: 'First paragraph\n\nTitle: a line inside the content'
+    });
+    assert.equal(diagnostics.valid, true);
+});
+
+test('a reply inside a code fence and headings on their own line are read', () => {
+    const parser = new SectionParser(['TITLE', 'CONTENT']);
+    const { sections } = parser.parse('```markdown\n## TITLE\nCold brew\n**Content**\nText\n```');
+    assert.deepEqual(sections, { TITLE: 'Cold brew', CONTENT: 'Text' });
+    
+    // A bare word in running text is not a heading
+    assert.deepEqual(parser.parse('TITLE: A\nCONTENT: the content\ntitle\nmore').sections, { TITLE: 'A', CONTENT: 'the content\ntitle\nmore' });
+});
+
+test('missing, empty and out-of-range sections are reported and picked for regeneration', () => {
+    const { diagnostics } = instagram.parse('CAPTION: Too short\nHASHTAGS: #coffee #brew');
+    assert.equal(diagnostics.valid, false);
+    assert.deepEqual(diagnostics.found, ['CAPTION', 'HASHTAGS']);
+    assert.deepEqual(diagnostics.missing, []); // CTA is optional
+    assert.deepEqual(diagnostics.issues, ['CAPTION is 9 characters (needs at least 20)', 'HASHTAGS has 2 hashtags (needs 3-5)']);
+    assert.deepEqual(instagram.getSectionsToRegenerate(diagnostics), ['CAPTION', 'HASHTAGS']);
+    
+    const empty = instagram.validate({ CAPTION: '  ' });
+    assert.deepEqual({ missing: empty.missing, empty: empty.empty }, { missing: ['HASHTAGS'], empty: ['CAPTION'] });
+    assert.equal(instagram.describeRule('HASHTAGS'), '3-5 hashtags');
+    assert.equal(instagram.describeRule('CTA'), '');
+});
+
+test('list values are checked by item count and written back one item per line', () => {
+    const parser = new SectionParser({ TITLE: {}, TAGS: { minItems: 2, maxItems: 3 } });
+    assert.deepEqual(parser.validate({ TITLE: 'A', TAGS: ['one'] }).issues, ['TAGS has 1 items (needs 2-3)']);
+    assert.equal(parser.format({ TAGS: ['one', 'two'], TITLE: 'A' }), 'TITLE: A\nTAGS: one\ntwo');
+    assert.equal(instagram.countHashtags('#café #brew_2 # #'), 2);
+});
\ No newline at end of file
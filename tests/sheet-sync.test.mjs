@@ -0,0 +1,127 @@
+// sheet-sync.test.mjs
+// Sheet Sync - Row IDs Across Moved Rows, Upserts and Conflicting Edits, against the In-Memory Sheets Fake (node --test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MemorySheetsClient } from '../modules/sheets-client.js';
+import { SheetColumnMapper } from '../modules/sheet-column-mapper.js';
+import { SheetSync, SheetConflictError } from '../modules/sheet-sync.js';
+
+const mapper = new SheetColumnMapper();
+
+const ideasTab = () => new MemorySheetsClient({
+    tabs: { Ideas: [['Topic', 'Keywords', 'Status'], ['A', 'k', ''], ['', '', ''], ['B', '', '']] }
+});
+
+test('rows get hidden IDs and are found again after rows are inserted above them', async () => {
+    const sheets = ideasTab();
+    const ideas = new SheetSync({ sheets: sheets, mapper: mapper, layoutId: 'ideas', required: ['title', 'status'] });
+    const rows = await ideas.read();
+    assert.deepEqual(rows.map(row => row.rowNumber), [2, 4]); // The blank row is skipped
+    
+    assert.equal(await ideas.assignIds(), 2);
+    assert.equal(sheets.getTab('Ideas')[0][3], 'Row ID');
+    assert.deepEqual(sheets.getHiddenColumns('Ideas'), [3]);
+    
+    sheets.tabs.get('Ideas').rows.splice(1, 0, ['Inserted by hand', '', '', '']);
+    const result = await ideas.updateRows([rows[1].id], { status: 'Processed' });
+    assert.equal(result.updated, 1);
+    assert.equal(sheets.getTab('Ideas')[4][2], 'Processed'); // B, now on row 5
+    assert.equal(sheets.getTab('Ideas')[2][2], ''); // A untouched
+});
+
+test('rows edited or deleted since they were read are skipped and reported', async () => {
+    const sheets = ideasTab();
+    const ideas = new SheetSync({ sheets: sheets, mapper: mapper, layoutId: 'ideas', required: ['title', 'status'] });
+    const rows = await ideas.read();
+    await ideas.assignIds();
+    
+    sheets.tabs.get('Ideas').rows[1][0] = 'A edited';
+    const result = await ideas.updateRows([rows[0].id, rows[1].id, 'row_missing'], { status: 'Processed' });
+    assert.equal(result.updated, 1);
+    assert.deepEqual(result.conflicts.map(conflict => conflict.reason), ['changed', 'deleted']);
+    assert.equal(sheets.getTab('Ideas')[1][2], '');
+});
+
+test('values can be worked out per row from the row as it is now', async () => {
+    const sheets = ideasTab();
+    const ideas = new SheetSync({ sheets: sheets, mapper: mapper, layoutId: 'ideas', required: ['title', 'status'] });
+    const rows = await ideas.read();
+    await ideas.assignIds();
+    
+    const result = await ideas.updateRows(rows.map(row => row.id), (record) => record.values.title === 'A' ? { status: 'Done' } : null);
+    assert.equal(result.updated, 1);
+    assert.deepEqual(sheets.getTab('Ideas').slice(1).map(row => row[2]), ['Done', '', '']);
+});
+
+test('upserts update rows written before, append new ones and never duplicate', async () => {
+    const sheets = new MemorySheetsClient({ tabs: { Blog: [] } });
+    const blog = new SheetSync({ sheets: sheets, mapper: mapper, layoutId: 'blog', required: ['topic', 'title', 'content'] });
+    await blog.prepare();
+    assert.equal(sheets.getTab('Blog')[0].length, 10);
+    assert.deepEqual(sheets.getHiddenColumns('Blog'), [9]);
+    
+    let result = await blog.upsert([
+        { id: 'p1', values: { topic: 'T1', title: 'x', content: 'c1' } },
+        { id: 'p2', values: { topic: 'T2', title: 'y', content: 'c2' } }
+    ]);
+    assert.equal(result.appended, 2);
+    
+    // Someone sets a status and inserts a row on top, then the same posts are written again
+    sheets.tabs.get('Blog').rows[1][8] = 'Published';
+    sheets.tabs.get('Blog').rows.splice(1, 0, ['Manual', '', '', '', '', '', 'm']);
+    const again = new SheetSync({ sheets: sheets, mapper: mapper, layoutId: 'blog', required: ['topic', 'title', 'content'] });
+    await again.prepare();
+    result = await again.upsert([
+        { id: 'p1', values: { topic: 'T1', title: 'x2', content: 'c1' } },
+        { id: 'p3', values: { topic: 'T3', title: 'z', content: 'c3' } }
+    ]);
+    
+    const tab = sheets.getTab('Blog');
+    assert.deepEqual({ updated: result.updated, appended: result.appended, rows: tab.length }, { updated: 1, appended: 1, rows: 5 });
+    assert.equal(tab[2][2], 'x2');
+    assert.equal(tab[2][8], 'Published'); // Cells the post doesn't set are kept
+    assert.equal(tab[4][0], 'T3');
+    
+    // A row edited since it was read stops the whole write, unless overwrite is set
+    sheets.tabs.get('Blog').rows[2][6] = 'hand edit';
+    await assert.rejects(again.upsert([{ id: 'p1', values: { topic: 'T1', title: 'x3', content: 'c1' } }]), SheetConflictError);
+    assert.equal(sheets.getTab('Blog')[2][2], 'x2');
+    result = await again.upsert([{ id: 'p1', values: { topic: 'T1', title: 'x3', content: 'c1' } }], { overwrite: true });
+    assert.equal(result.updated, 1);
+});
+
+test('rows appended while another editor appends are tracked at the rows Google chose', async () => {
+    const sheets = new MemorySheetsClient({ tabs: { Blog: [] } });
+    const blog = new SheetSync({ sheets: sheets, mapper: mapper, layoutId: 'blog', required: ['topic', 'title', 'content'] });
+    await blog.prepare();
+    
+    // Another editor's row lands between reading the tab and appending to it
+    const appendRows = sheets.appendRows.bind(sheets);
+    sheets.appendRows = async (...args) => {
+        sheets.tabs.get('Blog').rows.push(['Other editor', '', '', '', '', '', 'o']);
+        return appendRows(...args);
+    };
+    await blog.upsert([{ id: 'p1', values: { topic: 'T1', title: 'x', content: 'c1' } }]);
+    assert.equal(blog.snapshot.get('p1').rowNumber, 3);
+    assert.equal(sheets.getTab('Blog')[2][0], 'T1');
+    
+    const result = await blog.updateRows(['p1'], { status: 'Published' });
+    assert.deepEqual({ updated: result.updated, conflicts: result.conflicts.length }, { updated: 1, conflicts: 0 });
+    assert.equal(sheets.getTab('Blog')[2][8], 'Published');
+    assert.equal(sheets.getTab('Blog')[1][8] ?? '', '');
+});
+
+test('insert-only fields keep their first value and the grid grows for new columns', async () => {
+    const sheets = new MemorySheetsClient({ tabs: { Instagram: [['Post ID', 'Caption']] } });
+    sheets.tabs.get('Instagram').columnCount = 2;
+    const instagram = new SheetSync({ sheets: sheets, mapper: mapper, layoutId: 'instagram', required: ['caption'] });
+    await instagram.prepare();
+    assert.equal(sheets.getTab('Instagram')[0][2], 'Row ID');
+    assert.equal(sheets.tabs.get('Instagram').columnCount, 3);
+    
+    await instagram.upsert([{ id: 'i1', values: { postId: 'IG_1', caption: 'c' } }], { insertOnly: ['postId'] });
+    await instagram.upsert([{ id: 'i1', values: { postId: 'IG_2', caption: 'c2' } }], { insertOnly: ['postId'] });
+    assert.deepEqual(sheets.getTab('Instagram')[1].slice(0, 2), ['IG_1', 'c2']);
+});
\ No newline at end of file
@@ -0,0 +1,107 @@
+// sheets-client.test.mjs
+// Google Sheets Client - Error Categories, Batching and the In-Memory Fake (node --test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SheetsClient, SheetsError, MemorySheetsClient, sheetRange, parseA1Range } from '../modules/sheets-client.js';
+
+// A client whose OAuth manager fails every request with the given error
+const failingClient = (error) => new SheetsClient({
+    oauth: { makeAuthenticatedRequest: async () => { throw error; } },
+    spreadsheetId: 'sheet_1'
+});
+
+test('network failures are network errors', async () => {
+    await assert.rejects(failingClient(new TypeError('Failed to fetch')).readRange('Ideas'), (error) => {
+        assert.ok(error instanceof SheetsError);
+        assert.equal(error.category, 'network');
+        return true;
+    });
+});
+
+test('sign-in failures are auth errors, not network errors', async () => {
+    for (const message of ['No access token available', 'Cannot refresh token: missing required credentials']) {
+        await assert.rejects(failingClient(new Error(message)).readRange('Ideas'), (error) => {
+            assert.equal(error.category, 'auth');
+            assert.match(error.message, /reconnect Google/);
+            return true;
+        });
+    }
+});
+
+test('cancelled requests stay AbortErrors', async () => {
+    const abort = new Error('The operation was aborted');
+    abort.name = 'AbortError';
+    await assert.rejects(failingClient(abort).readRange('Ideas'), { name: 'AbortError' });
+});
+
+test('a missing spreadsheet ID is reported before anything is sent', async () => {
+    const sheets = new SheetsClient({ oauth: { makeAuthenticatedRequest: async () => assert.fail('sent a request') }, spreadsheetId: () => '' });
+    await assert.rejects(sheets.readRange('Ideas'), { name: 'SheetsError', category: 'invalid_request' });
+});
+
+test('tab names are quoted and parsed back', () => {
+    assert.equal(sheetRange('Q3 Ideas', '1:1'), "'Q3 Ideas'!1:1");
+    assert.equal(sheetRange("Bob's"), "'Bob''s'");
+    
+    const range = parseA1Range("'Bob''s'!B2:C");
+    assert.equal(range.sheet, "Bob's");
+    assert.equal(range.startRow, 1); // 0-based
+    assert.equal(range.startColumn, 1);
+    assert.equal(range.endColumn, 2);
+    assert.equal(range.endRow, null); // Open-ended
+});
+
+test('the fake reads ranges the way Google does', async () => {
+    const sheets = new MemorySheetsClient({ tabs: { Ideas: [['Topic', 'Keywords', '', 'Status'], ['A', 'k', '', ''], ['B', '', '', 'Processed']] } });
+    const rows = await sheets.readRange('Ideas');
+    assert.equal(rows.length, 3);
+    assert.deepEqual(rows[1], ['A', 'k']); // Trailing empty cells are left out
+    assert.equal((await sheets.readRange('Ideas!1:1'))[0].length, 4);
+    assert.equal(await sheets.findNextRow('Ideas'), 4);
+});
+
+test('large appends and updates are split into several requests', async () => {
+    const sheets = new MemorySheetsClient({ tabs: { Blog: [] }, maxRowsPerRequest: 3 });
+    await sheets.ensureHeaders('Blog', ['Topic', 'Content']);
+    
+    const appended = await sheets.appendRows('Blog', [['1', 'a'], ['2', 'b'], ['3', 'c'], ['4', 'd'], ['5', 'e']]);
+    assert.deepEqual({ requests: appended.requests, updatedRows: appended.updatedRows, startRow: appended.startRow }, { requests: 2, updatedRows: 5, startRow: 2 });
+    assert.equal(sheets.getTab('Blog')[5][0], '5');
+    
+    sheets.maxRequestSize = 30;
+    const updated = await sheets.batchUpdateValues([{ range: 'Blog!B2', values: [['xx']] }, { range: 'Blog!B3', values: [['yy']] }]);
+    assert.equal(updated.requests, 2);
+    assert.deepEqual(sheets.getTab('Blog').slice(1, 3).map(row => row[1]), ['xx', 'yy']);
+});
+
+test('appended rows are reported where Google put them, not where they were aimed', async () => {
+    const sheets = new MemorySheetsClient({ tabs: { Blog: [['Topic'], ['1'], ['2'], ['3']] }, maxRowsPerRequest: 2 });
+    
+    // Aimed at row 2 from an old read - Google appends after the table instead
+    const appended = await sheets.appendRows('Blog', [['4'], ['5'], ['6']], { startRow: 2 });
+    assert.deepEqual({ startRow: appended.startRow, rowNumbers: appended.rowNumbers }, { startRow: 5, rowNumbers: [5, 6, 7] });
+    assert.deepEqual(sheets.getTab('Blog').map(row => row[0]), ['Topic', '1', '2', '3', '4', '5', '6']);
+});
+
+test('tabs and header rows are only created when missing', async () => {
+    const sheets = new MemorySheetsClient({ tabs: { Ideas: [['Topic']] } });
+    assert.equal((await sheets.ensureSheet('ideas')).created, false);
+    
+    const created = await sheets.ensureSheet('Blog', { columnCount: 9 });
+    assert.equal(created.created, true);
+    assert.equal(created.sheet.columnCount, 9);
+    assert.equal((await sheets.ensureHeaders('Blog', ['Topic', 'Content'])).written, true);
+    assert.equal((await sheets.ensureHeaders('Blog', ['Other'])).written, false);
+    assert.deepEqual(sheets.getTab('Blog')[0], ['Topic', 'Content']);
+});
+
+test('the fake fails like Google: missing tabs and injected errors', async () => {
+    const sheets = new MemorySheetsClient({ tabs: { Ideas: [['Topic']] } });
+    await assert.rejects(sheets.readRange('Nope!A:A'), { name: 'SheetsError', category: 'not_found', status: 400 });
+    
+    sheets.failNext(429, 'Quota exceeded');
+    await assert.rejects(sheets.readRange('Ideas'), { category: 'rate_limit', message: 'Quota exceeded' });
+    assert.deepEqual(await sheets.readRange('Ideas'), [['Topic']]);
+});
\ No newline at end of file
@@ -0,0 +1,70 @@
+// structured-output.test.mjs
+// Structured Output - Reading JSON from Model Replies and Checking It Against Prompt Schemas (node --test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseJSONContent, validateJSONSchema, checkStructuredContent, StructuredOutputError } from '../modules/structured-output.js';
+import { AIPromptManager } from '../modules/ai-prompt-manager.js';
+
+const blogSchema = AIPromptManager.DEFAULT_SCHEMAS.blog;
+
+test('JSON is found inside code fences and surrounding prose', () => {
+    assert.deepEqual(parseJSONContent('{"TITLE": "Cold brew"}'), { TITLE: 'Cold brew' });
+    assert.deepEqual(parseJSONContent('```json\n{"TITLE": "Cold brew"}\n```'), { TITLE: 'Cold brew' });
+    assert.deepEqual(parseJSONContent('Here is the post:\n{"TITLE": "Cold brew", "TAGS": ["a"]}\nEnjoy!'), { TITLE: 'Cold brew', TAGS: ['a'] });
+});
+
+test('empty and broken replies throw StructuredOutputError with the reply kept', () => {
+    assert.throws(() => parseJSONContent('   '), { name: 'StructuredOutputError', message: 'Response is empty' });
+    assert.throws(() => parseJSONContent(undefined), StructuredOutputError);
+    
+    const reply = 'Sorry, I cannot write about {that topic';
+    assert.throws(() => parseJSONContent(reply), (error) => {
+        assert.ok(error instanceof StructuredOutputError);
+        assert.match(error.message, /^Response is not valid JSON/);
+        assert.equal(error.content, reply);
+        return true;
+    });
+});
+
+test('every problem is listed with its path', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            title: { type: 'string', minLength: 1 },
+            tone: { enum: ['casual', 'formal'] },
+            tags: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'string', maxLength: 5 } },
+            score: { type: 'number' }
+        },
+        required: ['title', 'tags'],
+        additionalProperties: false
+    };
+    
+    assert.deepEqual(validateJSONSchema({ title: 'A', tone: 'casual', tags: ['x'], score: 3 }, schema), []);
+    assert.deepEqual(validateJSONSchema({ title: '  ', tone: 'loud', tags: ['x', 'toolong', 3], score: 'high', extra: 1 }, schema), [
+        '$.title is empty',
+        '$.tone should be one of: casual, formal',
+        '$.tags should have at most 2 items',
+        '$.tags[1] should be at most 5 characters',
+        '$.tags[2] should be string but is integer',
+        '$.score should be number but is string',
+        '$.extra is not allowed'
+    ]);
+    assert.deepEqual(validateJSONSchema({ tone: 'casual' }, schema), ['$.title is missing', '$.tags is missing']);
+    assert.deepEqual(validateJSONSchema(['not', 'an', 'object'], schema), ['$ should be object but is array']);
+    assert.deepEqual(validateJSONSchema({ score: 1.5 }, { properties: { score: { type: 'integer' } } }), ['$.score should be integer but is number']);
+});
+
+test('a blog reply is parsed and checked against the default blog schema in one step', () => {
+    const reply = '```json\n' + JSON.stringify({ TITLE: 'Cold brew', CONTENT: '<p>Text</p>', META_DESCRIPTION: 'Brew it cold', FEATURED_IMAGE_SUGGESTION: '' }) + '\n```';
+    assert.deepEqual(checkStructuredContent(reply, blogSchema).errors, []);
+    assert.equal(checkStructuredContent(reply, blogSchema).data.TITLE, 'Cold brew');
+    
+    const missing = checkStructuredContent('{"TITLE": "Cold brew", "CONTENT": ""}', blogSchema);
+    assert.deepEqual(missing.errors, ['$.META_DESCRIPTION is missing', '$.FEATURED_IMAGE_SUGGESTION is missing', '$.CONTENT is empty']);
+    
+    const broken = checkStructuredContent('not json', blogSchema);
+    assert.equal(broken.data, null);
+    assert.match(broken.errors[0], /^Response is not valid JSON/);
+});
\ No newline at end of file
@@ -0,0 +1,70 @@
+// text-diff.test.mjs
+// Text Diffs - Line and Word Changes Between Revisions and the Side-by-Side Rows Built from Them (node --test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diffSequence, diffLines, diffWords, sideBySide, collapseUnchanged, toDiffText } from '../modules/text-diff.js';
+
+const joined = (parts, skip) => parts.filter(part => part.type !== skip).map(part => part.text).join('');
+
+test('line diffs keep unchanged lines and mark removed and added ones', () => {
+    assert.deepEqual(diffLines('a\nb\nc', 'a\nB\nc\nd'), [
+        { type: 'equal', value: 'a' },
+        { type: 'removed', value: 'b' },
+        { type: 'added', value: 'B' },
+        { type: 'equal', value: 'c' },
+        { type: 'added', value: 'd' }
+    ]);
+    assert.deepEqual(diffLines('same', 'same'), [{ type: 'equal', value: 'same' }]);
+    assert.deepEqual(diffSequence([], ['x']), [{ type: 'added', value: 'x' }]);
+});
+
+test('word diffs merge runs and give back both texts, whitespace included', () => {
+    const before = 'Cold brew  is smooth\nand sweet';
+    const after = 'Cold brew is very smooth\nand sweet!';
+    const parts = diffWords(before, after);
+    
+    assert.equal(joined(parts, 'added'), before);
+    assert.equal(joined(parts, 'removed'), after);
+    assert.ok(parts.every((part, index) => index === 0 || part.type !== parts[index - 1].type));
+    assert.deepEqual(diffWords('one two', 'one two'), [{ type: 'equal', text: 'one two' }]);
+});
+
+test('hashtag lists and other non-text fields are compared line by line', () => {
+    assert.equal(toDiffText(['#coffee', '#brew']), '#coffee\n#brew');
+    assert.equal(toDiffText(null), '');
+    assert.equal(toDiffText({ a: 1 }), '{\n  "a": 1\n}');
+    assert.deepEqual(diffLines(['#coffee', '#brew'], ['#coffee', '#tea']).map(op => op.type), ['equal', 'removed', 'added']);
+});
+
+test('replaced lines pair up as changed rows with word parts for each side', () => {
+    const rows = sideBySide('Title\nOld intro here\nGone line\nEnd', 'Title\nNew intro here\nEnd\nAdded line');
+    assert.deepEqual(rows.map(row => row.type), ['equal', 'changed', 'removed', 'equal', 'added']);
+    
+    const changed = rows[1];
+    assert.deepEqual({ left: changed.left, right: changed.right }, { left: 'Old intro here', right: 'New intro here' });
+    assert.equal(joined(changed.leftParts), 'Old intro here');
+    assert.equal(joined(changed.rightParts), 'New intro here');
+    assert.deepEqual(changed.leftParts.filter(part => part.type === 'removed').map(part => part.text), ['Old']);
+    assert.deepEqual(rows[2], { type: 'removed', left: 'Gone line', right: null });
+    assert.deepEqual(rows[4], { type: 'added', left: null, right: 'Added line' });
+});
+
+test('long unchanged stretches collapse, keeping context around changes', () => {
+    const before = Array.from({ length: 10 }, (_, index) => `line ${index}`).join('\n');
+    const after = before.replace('line 5', 'line five');
+    const rows = collapseUnchanged(sideBySide(before, after), 1);
+    
+    assert.deepEqual(rows.map(row => row.type === 'skipped' ? `skipped ${row.count}` : row.type), ['skipped 4', 'equal', 'changed', 'equal', 'skipped 3']);
+    assert.deepEqual(collapseUnchanged(sideBySide('a', 'a')), [{ type: 'skipped', count: 1 }]);
+});
+
+test('very large rewrites are reported as replaced wholesale instead of compared token by token', () => {
+    const before = Array.from({ length: 2500 }, (_, index) => `old ${index}`);
+    const after = Array.from({ length: 2500 }, (_, index) => `new ${index}`);
+    const ops = diffSequence(['same', ...before, 'end'], ['same', ...after, 'end']);
+    
+    assert.equal(ops.length, 5002);
+    assert.deepEqual([ops[0].type, ops[1].type, ops[2500].type, ops[2501].type, ops[5001].type], ['equal', 'removed', 'removed', 'added', 'equal']);
+});
\ No newline at end of file
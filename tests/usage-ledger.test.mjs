@@ -0,0 +1,65 @@
+// usage-ledger.test.mjs
+// Usage Ledger - Cost Estimates and Daily/Monthly Budget Caps Shared by the Agents (node --test)
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { UsageLedger, BudgetExceededError } from '../modules/usage-ledger.js';
+import { MemoryStorage } from './memory-storage.mjs';
+
+// gpt-4 costs $30 per 1M prompt tokens: 10,000 prompt tokens cost $0.30
+const spend = (ledger, promptTokens, extra = {}) => ledger.record({ provider: 'openai', model: 'gpt-4-0613', agent: 'blog', promptTokens: promptTokens, ...extra });
+
+beforeEach(() => {
+    globalThis.localStorage = new MemoryStorage();
+});
+
+test('costs come from the longest matching price, and unknown models are left unpriced', () => {
+    const ledger = new UsageLedger();
+    assert.equal(ledger.getPrice('gpt-4o-mini-2024-07-18'), UsageLedger.DEFAULT_PRICES['gpt-4o-mini']);
+    assert.equal(spend(ledger, 10000).cost.toFixed(2), '0.30');
+    assert.equal(ledger.record({ model: 'local-llama', promptTokens: 500 }).cost, null);
+});
+
+test('a cap is reached once spend meets it, and stops further generation', () => {
+    const ledger = new UsageLedger();
+    ledger.setBudgets({ daily: 1 });
+    assert.deepEqual(ledger.checkBudget(), { ok: true });
+    
+    spend(ledger, 30000);
+    assert.equal(ledger.checkBudget().ok, true); // $0.90
+    spend(ledger, 5000);
+    
+    const check = ledger.checkBudget();
+    assert.deepEqual({ ok: check.ok, period: check.period, cap: check.cap }, { ok: false, period: 'daily', cap: 1 });
+    assert.equal(check.spent.toFixed(2), '1.05');
+    assert.throws(() => ledger.assertWithinBudget(), (error) => error instanceof BudgetExceededError && /Daily AI budget reached \(\$1\.05 of \$1\.00\)/.test(error.message));
+});
+
+test('spend from earlier periods and unpriced models does not count', () => {
+    const ledger = new UsageLedger();
+    ledger.setBudgets({ daily: 0.5, monthly: 2 });
+    spend(ledger, 100000, { timestamp: '2020-01-01T12:00:00.000Z' }); // $3.00, long ago
+    ledger.record({ model: 'local-llama', promptTokens: 10000000 });
+    assert.deepEqual(ledger.checkBudget(), { ok: true });
+    
+    // A cleared cap no longer applies
+    spend(ledger, 20000);
+    assert.equal(ledger.checkBudget().period, 'daily');
+    ledger.setBudgets({ daily: 0, monthly: 2 });
+    assert.deepEqual(ledger.checkBudget(), { ok: true });
+});
+
+test('every agent counts towards the same caps', () => {
+    const blog = new UsageLedger();
+    const instagram = new UsageLedger();
+    blog.setBudgets({ monthly: 0.8 });
+    
+    spend(blog, 10000);
+    spend(instagram, 10000, { agent: 'instagram' });
+    assert.equal(instagram.checkBudget().ok, true);
+    assert.equal(blog.getBudgetStatus().monthly.cap, 0.8);
+    
+    spend(instagram, 10000, { agent: 'instagram' });
+    assert.throws(() => blog.assertWithinBudget(), { name: 'BudgetExceededError', period: 'monthly' });
+});
\ No newline at end of file
@@ -0,0 +1,44 @@
+// workspace-backup.test.mjs
+// Encrypted Workspace Backups - Round Trips of Large Bundles (node --test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WorkspaceBackup, WorkspaceBackupError, WORKSPACE_FORMAT } from '../modules/workspace-backup.js';
+import { toBase64, fromBase64 } from '../modules/credential-vault.js';
+
+// A bundle the size of a real workspace: 20 posts of about 10 KB each
+const largeBundle = () => ({
+    format: WORKSPACE_FORMAT,
+    version: 1,
+    createdAt: new Date().toISOString(),
+    sections: {
+        posts: Array.from({ length: 20 }, (_, index) => ({
+            id: `post_${index}`,
+            title: `Post ${index}`,
+            content: `Paragraph ${index} `.repeat(800)
+        }))
+    }
+});
+
+test('base64 helpers round-trip values far past the argument limit', () => {
+    const bytes = new Uint8Array(300000).map((_, index) => index % 256);
+    assert.deepEqual(fromBase64(toBase64(bytes)), bytes);
+    assert.deepEqual(fromBase64(toBase64(bytes.buffer)), bytes);
+});
+
+test('an encrypted 200 KB bundle decrypts to the same bundle', async () => {
+    const backup = new WorkspaceBackup({ iterations: 1000 });
+    const bundle = largeBundle();
+    assert.ok(JSON.stringify(bundle).length > 200000);
+    
+    const envelope = await backup.encryptBundle(bundle, 'correct horse');
+    assert.equal(envelope.version, bundle.version);
+    assert.deepEqual(await backup.decryptBundle(envelope, 'correct horse'), bundle);
+});
+
+test('a wrong passphrase is reported as such', async () => {
+    const backup = new WorkspaceBackup({ iterations: 1000 });
+    const envelope = await backup.encryptBundle(largeBundle(), 'correct horse');
+    await assert.rejects(backup.decryptBundle(envelope, 'battery staple'), WorkspaceBackupError);
+});
\ No newline at end of file